@@ -74,3 +74,34 @@ B = pqm.quantity(randomArray(1000, 10), "[c]m");
 C = pqm.quantity(randomArray(1000, 10) ,"s");
 
 doUnitMath("Unit Math with Arrays");
+
+// Throughput of conversions of large typed array quantities, from the source
+// modules so that the numbers do not depend on the state of the build
+import("../src/pqm.mjs").then(({default: pqmSource}) => {
+  const numSamples = 1000000;
+  const samples = new Float64Array(numSamples);
+  for (let ii=0; ii<numSamples; ii++) {
+    samples[ii] = Math.random() * 100;
+  }
+  const trace = pqmSource.quantity(samples, "degF");
+  const converted = new Float64Array(numSamples);
+  function throughput(message, func) {
+    const repeats = 20;
+    const start = performance.now();
+    for (let ii=0; ii<repeats; ii++) {
+      func();
+    }
+    const seconds = (performance.now() - start) / 1000;
+    const rate = (repeats * numSamples) / seconds / 1e6;
+    console.log(`${message} -> ${rate.toFixed(1)} Msamples/s`);
+  }
+  throughput("Create Typed Array Quantity", () => {
+    pqmSource.quantity(samples, "degF");
+  });
+  throughput("Convert Typed Array", () => trace.in("degC"));
+  throughput("Convert Typed Array (out)", () => {
+    trace.in("degC", {out: converted});
+  });
+  const plainTrace = pqmSource.quantity(Array.from(samples), "degF");
+  throughput("Convert Plain Array", () => plainTrace.in("degC"));
+});
@@ -4,6 +4,7 @@
  */
 
 import fs from "fs";
+import {unitNames} from "./unitnames.mjs";
 
 let unitschema = JSON.parse(fs.readFileSync("unitdb/schema.json"));
 let fulldb = JSON.parse(fs.readFileSync("unitdb/db.json"))
@@ -57,6 +58,11 @@ for (let mainSym in unitdb) {
   if (unitdb[mainSym].hasOwnProperty("offset")) {
     unitDef += ", \"o\": " + niceNumber(unitdb[mainSym].offset);
   }
+  // Singular and plural names of the unit
+  let names = unitNames(mainSym, unitdb[mainSym].name);
+  if (names) {
+    unitDef += ", \"n\": " + JSON.stringify(names);
+  }
   unitDef += "},\n";
   // Create an array with the unit and aliases to loop through
   let allSyms;
@@ -0,0 +1,108 @@
+/**
+ * English names of units for the generated unit definitions, made from the
+ * names in the unit database. Names are written in lower case except for
+ * proper nouns and abbreviations, and the plural form changes the main word
+ * of the name (e.g. "inch of mercury" and "inches of mercury").
+ */
+
+// Names that do not follow the rules below as [singular, plural], or null
+// for units without a name
+const overrides = {
+  "1": null,
+  "ppm": ["part per million", "parts per million"],
+  "ppb": ["part per billion", "parts per billion"],
+  "ppt": ["part per trillion", "parts per trillion"],
+  "fps": ["foot per second", "feet per second"],
+  "c": ["speed of light", "speed of light"],
+  "degF": ["degree Fahrenheit", "degrees Fahrenheit"],
+  "degC": ["degree Celsius", "degrees Celsius"],
+  "Pa-g": ["pascal gauge", "pascals gauge"],
+  "bar-g": ["bar gauge", "bars gauge"],
+  "psi-g": ["pound per square inch gauge", "pounds per square inch gauge"],
+  "Cal": ["kilocalorie", "kilocalories"],
+  "ft-lb": ["foot-pound", "foot-pounds"],
+  "HPh": ["horsepower hour", "horsepower hours"],
+  "RSI": ["SI R-value", "SI R-values"],
+  "RIP": ["US R-value", "US R-values"],
+  "clo": ["clo", "clo"],
+  "kayser": ["kayser", "kaysers"],
+  "GRT": ["gross register ton", "gross register tons"],
+  "baud": ["baud", "baud"],
+  "molar": ["molar", "molar"],
+  "U": ["enzyme unit", "enzyme units"],
+  "sr": ["steradian", "steradians"],
+  "rpm": ["revolution per minute", "revolutions per minute"],
+  "rem": ["roentgen equivalent man", "roentgen equivalent man"],
+};
+
+// Words that are the same in the plural
+const invariant = [
+  "percent", "hertz", "siemens", "lux", "gauss", "stokes", "torr", "tex",
+  "denier", "stone", "hundredweight", "horsepower",
+];
+
+// Words with irregular plurals
+const irregular = {
+  "foot": "feet",
+};
+
+// Proper nouns that keep their capital letter
+const properNouns = ["British"];
+
+/**
+ * Get the English names of a unit
+ *
+ * @param {string} symbol Main symbol of the unit
+ * @param {string} name Name of the unit in the unit database (e.g. "Pound
+ *                      Force")
+ *
+ * @returns {string[]|null} Singular and plural names (e.g. ["pound-force",
+ *                          "pounds-force"]), or null if the unit has no name
+ */
+export function unitNames(symbol, name) {
+  if (overrides.hasOwnProperty(symbol)) {
+    return overrides[symbol];
+  }
+  let words = name.split(" ").map((word) => {
+    let isAbbreviation = (word.length > 1 && word == word.toUpperCase());
+    if (isAbbreviation || properNouns.includes(word)) {
+      return word;
+    }
+    return word.toLowerCase();
+  });
+  // Force units are hyphenated, such as pound-force
+  if (words.length > 1 && words[words.length-1] == "force") {
+    words.splice(-2, 2, words[words.length-2] + "-force");
+  }
+  // The main word is the one in front of "per" or "of", or the last word
+  let main = words.length - 1;
+  for (const joiner of ["per", "of"]) {
+    if (words.indexOf(joiner) > 0) {
+      main = words.indexOf(joiner) - 1;
+      break;
+    }
+  }
+  let plural = words.slice();
+  if (plural[main].endsWith("-force")) {
+    plural[main] = pluralWord(plural[main].slice(0, -6)) + "-force";
+  } else {
+    let parts = plural[main].split("-");
+    parts[parts.length-1] = pluralWord(parts[parts.length-1]);
+    plural[main] = parts.join("-");
+  }
+  return [words.join(" "), plural.join(" ")];
+}
+
+// Plural of a single word
+function pluralWord(word) {
+  if (irregular.hasOwnProperty(word)) {
+    return irregular[word];
+  } else if (invariant.includes(word)) {
+    return word;
+  } else if (/(s|x|z|ch|sh)$/.test(word)) {
+    return word + "es";
+  } else if (/[^aeiou]y$/.test(word)) {
+    return word.slice(0, -1) + "ies";
+  }
+  return word + "s";
+}
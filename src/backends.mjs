@@ -0,0 +1,145 @@
+/*******************************************************************************
+* Numeric backends used for the magnitudes of quantities. A backend is an
+* object with the following functions, all of which must accept plain numbers
+* as well as the backend's own values as inputs:
+*
+*   value(x)      Convert a number, numeric string or value to a backend value
+*   toNumber(x)   Convert a backend value to a number
+*   add(a, b)     a + b
+*   sub(a, b)     a - b
+*   mul(a, b)     a * b
+*   div(a, b)     a / b
+*   pow(a, n)     a^n, where n is a number
+*   compare(a, b) -1 if a < b, 0 if a == b and 1 if a > b
+*******************************************************************************/
+
+import {
+  toBigDecimal,
+  decimalAdd,
+  decimalSub,
+  decimalMul,
+  decimalDiv,
+  decimalPow,
+  decimalCompare,
+} from "./bigdecimal.mjs";
+import {InvalidArgumentError} from "./errors.mjs";
+
+// Functions that every backend must have
+const backendFunctions = [
+  "value", "toNumber", "add", "sub", "mul", "div", "pow", "compare",
+];
+
+/**
+ * Default backend using plain javascript numbers
+ */
+export const numberBackend = {
+  name: "number",
+  value: (x) => (typeof(x) === "number") ? x : Number(x),
+  toNumber: (x) => x,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+  pow: (a, n) => Math.pow(a, n),
+  compare: (a, b) => (a < b) ? -1 : ((a > b) ? 1 : 0),
+};
+
+/**
+ * Create a backend of decimal numbers stored as BigInts, with results rounded
+ * to a number of significant digits
+ *
+ * @param {number} precision Number of significant digits (default=34)
+ *
+ * @returns {Object} Numeric backend
+ */
+export function bigDecimalBackend(precision) {
+  if (typeof(precision) === "undefined") {
+    precision = 34;
+  }
+  if (!Number.isInteger(precision) || precision < 1) {
+    throw new InvalidArgumentError(
+      "Precision must be a positive integer", precision
+    );
+  }
+  let value = toBigDecimal;
+  return {
+    name: "bigDecimal",
+    value: value,
+    toNumber: (x) => value(x).valueOf(),
+    add: (a, b) => decimalAdd(value(a), value(b), precision),
+    sub: (a, b) => decimalSub(value(a), value(b), precision),
+    mul: (a, b) => decimalMul(value(a), value(b), precision),
+    div: (a, b) => decimalDiv(value(a), value(b), precision),
+    pow: function(a, n) {
+      if (Number.isInteger(n)) {
+        return decimalPow(value(a), n, precision);
+      }
+      // Fractional powers are only as precise as a number
+      return value(Math.pow(value(a).valueOf(), n));
+    },
+    compare: (a, b) => decimalCompare(value(a), value(b)),
+  };
+}
+
+/**
+ * Create a backend from a decimal library with the same interface as
+ * decimal.js or big.js (plus, minus, times, div, pow and cmp methods)
+ *
+ * @param {function} Decimal Constructor of the library's decimal numbers,
+ *                           called with a number or string
+ *
+ * @returns {Object} Numeric backend
+ */
+export function decimalAdapter(Decimal) {
+  if (typeof(Decimal) !== "function") {
+    throw new InvalidArgumentError(
+      "Decimal adapter requires a decimal number constructor", Decimal
+    );
+  }
+  let value = function(x) {
+    if (x instanceof Decimal) {
+      return x;
+    }
+    if (typeof(x) === "number" || typeof(x) === "string") {
+      return new Decimal(x);
+    }
+    return new Decimal(x.toString());
+  };
+  let toNumber = (x) => Number(value(x).toString());
+  return {
+    name: "decimalAdapter",
+    value: value,
+    toNumber: toNumber,
+    add: (a, b) => value(a).plus(value(b)),
+    sub: (a, b) => value(a).minus(value(b)),
+    mul: (a, b) => value(a).times(value(b)),
+    div: (a, b) => value(a).div(value(b)),
+    pow: function(a, n) {
+      if (Number.isInteger(n)) {
+        return value(a).pow(n);
+      }
+      // Not all libraries support fractional powers
+      return value(Math.pow(toNumber(a), n));
+    },
+    compare: (a, b) => value(a).cmp(value(b)),
+  };
+}
+
+/**
+ * Check that a backend has all of the required functions
+ *
+ * @param {Object} backend Backend to check
+ */
+export function checkBackend(backend) {
+  if (typeof(backend) !== "object" || backend === null) {
+    throw new InvalidArgumentError("Backend must be an object", backend);
+  }
+  for (let ii=0; ii<backendFunctions.length; ii++) {
+    if (typeof(backend[backendFunctions[ii]]) !== "function") {
+      throw new InvalidArgumentError(
+        "Backend is missing the " + backendFunctions[ii] + " function",
+        backend
+      );
+    }
+  }
+}
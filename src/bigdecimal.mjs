@@ -0,0 +1,197 @@
+/*******************************************************************************
+* Arbitrary precision decimal numbers stored as a BigInt coefficient and a
+* power of ten exponent, used by the BigInt decimal numeric backend. Results
+* are rounded (half to even) to a fixed number of significant digits.
+*******************************************************************************/
+
+import {InvalidArgumentError} from "./errors.mjs";
+import {isExactInteger} from "./bigrational.mjs";
+
+/**
+ * Class representing a decimal number equal to c * 10^e. Use the functions in
+ * this module to create these so that they are normalized.
+ *
+ * @param {bigint} c Coefficient
+ * @param {number} e Exponent
+ */
+export function BigDecimal(c, e) {
+  this.c = c;
+  this.e = e;
+}
+
+BigDecimal.prototype.valueOf = function() {
+  return Number(this.c.toString() + "e" + this.e);
+};
+
+BigDecimal.prototype.toString = function() {
+  let negative = this.c < 0n;
+  let digits = (negative ? -this.c : this.c).toString();
+  let sign = negative ? "-" : "";
+  // Very large or small numbers are written in exponential notation
+  let pointIdx = digits.length + this.e;
+  if (pointIdx > 40 || pointIdx < -20) {
+    let mantissa = digits[0];
+    if (digits.length > 1) {
+      mantissa += "." + digits.slice(1);
+    }
+    return sign + mantissa + "e" + (pointIdx - 1);
+  }
+  if (this.e >= 0) {
+    return sign + digits + "0".repeat(this.e);
+  }
+  if (pointIdx <= 0) {
+    return sign + "0." + "0".repeat(-pointIdx) + digits;
+  }
+  return sign + digits.slice(0, pointIdx) + "." + digits.slice(pointIdx);
+};
+
+/**
+ * Create a decimal number from a number, string or another decimal
+ *
+ * @param {number|string|BigDecimal} value Value to convert, numbers are
+ *                                         converted from their shortest
+ *                                         decimal representation
+ *
+ * @returns {BigDecimal} Decimal number
+ */
+export function toBigDecimal(value) {
+  if (value instanceof BigDecimal) {
+    return value;
+  }
+  if (typeof(value) === "number" && !Number.isFinite(value)) {
+    throw new InvalidArgumentError(
+      "Decimal numbers cannot represent " + value, value
+    );
+  }
+  if (isExactInteger(value)) {
+    return normalize(BigInt(value), 0);
+  }
+  let str = String(value).trim();
+  let match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(str);
+  if (!match || (!match[2] && !match[3])) {
+    throw new InvalidArgumentError(str + " is not a decimal number", value);
+  }
+  let fraction = match[3] || "";
+  let c = BigInt(match[1] + (match[2] || "0") + fraction);
+  let e = Number.parseInt(match[4] || "0") - fraction.length;
+  return normalize(c, e);
+}
+
+/**
+ * Add two decimal numbers, rounded to the provided number of digits
+ */
+export function decimalAdd(a, b, precision) {
+  let e = Math.min(a.e, b.e);
+  let c = a.c * pow10(a.e - e) + b.c * pow10(b.e - e);
+  return round(c, e, precision);
+}
+
+/**
+ * Subtract decimal number b from a, rounded to the provided number of digits
+ */
+export function decimalSub(a, b, precision) {
+  return decimalAdd(a, new BigDecimal(-b.c, b.e), precision);
+}
+
+/**
+ * Multiply two decimal numbers, rounded to the provided number of digits
+ */
+export function decimalMul(a, b, precision) {
+  return round(a.c * b.c, a.e + b.e, precision);
+}
+
+/**
+ * Divide decimal number a by b, rounded to the provided number of digits
+ */
+export function decimalDiv(a, b, precision) {
+  if (b.c == 0n) {
+    throw new InvalidArgumentError("Division by zero", b);
+  }
+  // Scale the numerator so that the quotient has two more digits than needed
+  let shift = precision + 2 + numDigits(b.c) - numDigits(a.c);
+  let numerator = (shift > 0) ? a.c * pow10(shift) : a.c;
+  let denominator = (shift < 0) ? b.c * pow10(-shift) : b.c;
+  let quotient = numerator / denominator;
+  // Keep track of a non-zero remainder so it is not lost in rounding
+  if (quotient * denominator != numerator) {
+    quotient = quotient * 10n + ((quotient < 0n) ? -1n : 1n);
+    shift += 1;
+  }
+  return round(quotient, a.e - b.e - shift, precision);
+}
+
+/**
+ * Raise a decimal number to an integer power, rounded to the provided number
+ * of digits
+ */
+export function decimalPow(a, n, precision) {
+  if (n < 0) {
+    return decimalDiv(
+      new BigDecimal(1n, 0), decimalPow(a, -n, precision + 5), precision
+    );
+  }
+  let result = new BigDecimal(1n, 0);
+  let base = a;
+  // Exponentiation by squaring with a few guard digits
+  while (n > 0) {
+    if (n % 2 == 1) {
+      result = decimalMul(result, base, precision + 5);
+    }
+    base = decimalMul(base, base, precision + 5);
+    n = Math.floor(n / 2);
+  }
+  return round(result.c, result.e, precision);
+}
+
+/**
+ * Compare two decimal numbers
+ *
+ * @returns {number} -1 if a < b, 0 if a == b and 1 if a > b
+ */
+export function decimalCompare(a, b) {
+  let c = decimalSub(a, b, Infinity).c;
+  return (c < 0n) ? -1 : ((c > 0n) ? 1 : 0);
+}
+
+// Round a coefficient to the provided number of significant digits, rounding
+// half to even
+function round(c, e, precision) {
+  let drop = numDigits(c) - precision;
+  if (drop > 0) {
+    let divisor = pow10(drop);
+    let quotient = c / divisor;
+    let remainder = c % divisor;
+    if (remainder < 0n) {
+      remainder = -remainder;
+    }
+    let twice = 2n * remainder;
+    if (twice > divisor || (twice == divisor && quotient % 2n != 0n)) {
+      quotient += (c < 0n) ? -1n : 1n;
+    }
+    c = quotient;
+    e += drop;
+  }
+  return normalize(c, e);
+}
+
+// Remove trailing zeros from the coefficient
+function normalize(c, e) {
+  if (c == 0n) {
+    return new BigDecimal(0n, 0);
+  }
+  while (c % 10n == 0n) {
+    c /= 10n;
+    e += 1;
+  }
+  return new BigDecimal(c, e);
+}
+
+// Number of decimal digits in a BigInt
+function numDigits(c) {
+  return ((c < 0n) ? -c : c).toString().length;
+}
+
+// Power of ten as a BigInt
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
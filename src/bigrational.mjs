@@ -0,0 +1,185 @@
+/*******************************************************************************
+* Exact rational numbers with BigInt numerators and denominators, used for the
+* magnitudes of quantities when exact mode is enabled. Conversion factors such
+* as 0.0254 (inch) or 0.45359237 (pound) are taken as the exact decimal values
+* they are written as, so chains of conversions do not accumulate rounding
+* errors.
+*******************************************************************************/
+
+/**
+ * Class representing an exact rational number. Use the bigRational function
+ * to create these so that they are always reduced.
+ *
+ * @param {bigint} n Numerator
+ * @param {bigint} d Denominator greater than 0
+ */
+export function BigRational(n, d) {
+  this.n = n;
+  this.d = d;
+}
+
+BigRational.prototype.valueOf = function() {
+  return toNumber(this.n, this.d);
+};
+
+BigRational.prototype.toString = function() {
+  if (this.d == 1n) {
+    return this.n.toString();
+  }
+  return this.n + "/" + this.d;
+};
+
+/**
+ * Create a reduced rational number from a numerator and denominator
+ *
+ * @param {bigint} n Numerator
+ * @param {bigint} d Denominator (default=1n)
+ *
+ * @returns {BigRational|undefined} Rational number, or undefined if the
+ *                                  denominator is zero
+ */
+export function bigRational(n, d) {
+  if (typeof(d) === "undefined") {
+    d = 1n;
+  }
+  if (d == 0n) {
+    return undefined;
+  }
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  let divisor = gcd(n < 0n ? -n : n, d);
+  return new BigRational(n / divisor, d / divisor);
+}
+
+/**
+ * Get the exact value of a number as it is written in decimal (e.g. 0.1 is
+ * 1/10, not the binary floating point value closest to 0.1)
+ *
+ * @param {number} value Number to convert
+ *
+ * @returns {BigRational|undefined} Rational number, or undefined if the value
+ *                                  is not a finite number
+ */
+export function bigFromNumber(value) {
+  if (value instanceof BigRational) {
+    return value;
+  }
+  if (typeof(value) !== "number" || !Number.isFinite(value)) {
+    return undefined;
+  }
+  if (isExactInteger(value)) {
+    return bigRational(BigInt(value));
+  }
+  let match = /^(-?)(\d+)(?:\.(\d+))?(?:e([+-]\d+))?$/.exec(value.toString());
+  let fraction = match[3] || "";
+  let n = BigInt(match[1] + match[2] + fraction);
+  let exponent = Number.parseInt(match[4] || "0") - fraction.length;
+  if (exponent >= 0) {
+    return bigRational(n * 10n ** BigInt(exponent));
+  }
+  return bigRational(n, 10n ** BigInt(-exponent));
+}
+
+/**
+ * Check if a number is an integer that should be taken as it is stored
+ * rather than as its shortest decimal form. This is the case for safe 
+ * integers, where both are the same, and for powers of two such as the
+ * binary prefixes (2^80 is written as 1.2089258196146292e+24).
+ *
+ * @param {number} value Number to check
+ *
+ * @returns {boolean} True if the value is an exact integer
+ */
+export function isExactInteger(value) {
+  return (
+       Number.isSafeInteger(value) 
+    || (Number.isInteger(value) && Number.isInteger(Math.log2(Math.abs(value))))
+  );
+}
+
+/**
+ * Add two rational numbers
+ */
+export function bigAdd(a, b) {
+  if (!a || !b) {
+    return undefined;
+  }
+  return bigRational(a.n * b.d + b.n * a.d, a.d * b.d);
+}
+
+/**
+ * Subtract rational number b from a
+ */
+export function bigSub(a, b) {
+  if (!a || !b) {
+    return undefined;
+  }
+  return bigRational(a.n * b.d - b.n * a.d, a.d * b.d);
+}
+
+/**
+ * Multiply two rational numbers
+ */
+export function bigMul(a, b) {
+  if (!a || !b) {
+    return undefined;
+  }
+  return bigRational(a.n * b.n, a.d * b.d);
+}
+
+/**
+ * Divide rational number a by b, undefined if b is zero
+ */
+export function bigDiv(a, b) {
+  if (!a || !b) {
+    return undefined;
+  }
+  return bigRational(a.n * b.d, a.d * b.n);
+}
+
+/**
+ * Raise a rational number to an integer power, undefined for other powers
+ */
+export function bigPow(a, n) {
+  if (!a || !Number.isInteger(n)) {
+    return undefined;
+  }
+  if (n < 0) {
+    return bigRational(a.d ** BigInt(-n), a.n ** BigInt(-n));
+  }
+  return bigRational(a.n ** BigInt(n), a.d ** BigInt(n));
+}
+
+// Divide two BigInts to the nearest floating point number, without first
+// converting them to numbers (which would overflow or lose precision)
+function toNumber(n, d) {
+  let negative = n < 0n;
+  if (negative) {
+    n = -n;
+  }
+  // Scale so the quotient has 64 significant bits
+  let shift = bitLength(n) - bitLength(d) - 64;
+  let quotient = (shift > 0) ? (n / (d << BigInt(shift)))
+                             : ((n << BigInt(-shift)) / d);
+  // Apply the scale in two steps so very small numbers do not underflow
+  let halfShift = Math.trunc(shift / 2);
+  let value = (
+    Number(quotient) * Math.pow(2, halfShift) * Math.pow(2, shift - halfShift)
+  );
+  return negative ? -value : value;
+}
+
+// Number of bits in a positive BigInt
+function bitLength(n) {
+  return n.toString(2).length;
+}
+
+// Greatest common divisor of two non-negative BigInts
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
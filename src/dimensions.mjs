@@ -0,0 +1,107 @@
+/*******************************************************************************
+* Functions for describing dimension arrays in a human readable form, such as
+* "mass·length²/time²" or "kg·m²/s²", along with the name of the kind of
+* quantity they represent (e.g. "energy").
+*******************************************************************************/
+
+import {dimensionTypes} from "./unitdefs.mjs";
+import {kindsWithDimensions} from "./kinds.mjs";
+import {ratAbs} from "./rational.mjs";
+
+// SI base unit symbols for each of the dimension types
+const baseSymbols = {
+  "mass": "kg",
+  "length": "m",
+  "time": "s",
+  "temperature": "K",
+  "current": "A",
+  "substance": "mol",
+  "luminosity": "cd",
+  "information": "bit",
+};
+
+const superscripts = {
+  "0": "⁰", "1": "¹", "2": "²", "3": "³", "4": "⁴",
+  "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹",
+  "/": "ᐟ",
+};
+
+/**
+ * Render dimensions as a string of dimension types or base unit symbols with
+ * superscript powers (e.g. "mass·length²/time²" or "kg·m²/s²"). Rational
+ * powers are shown as superscript fractions (e.g. "m¹ᐟ²")
+ *
+ * @param {Array<number|Rational>} dimensions Dimensions in the order of dimensionTypes
+ * @param {boolean} useSymbols Render the dimensions with SI base unit symbols
+ *                             instead of the dimension type names
+ *                             (default=false)
+ *
+ * @returns {string} Dimensions as a string
+ */
+export function dimensionsString(dimensions, useSymbols) {
+  let numerator = [];
+  let denominator = [];
+  for (let dimIdx=0; dimIdx<dimensionTypes.length; dimIdx++) {
+    let power = dimensions[dimIdx];
+    if (power == 0) {
+      continue;
+    }
+    let term = dimensionTypes[dimIdx];
+    if (useSymbols) {
+      term = baseSymbols[term];
+    }
+    if (power != 1 && power != -1) {
+      term += superscript(ratAbs(power));
+    }
+    if (power > 0) {
+      numerator.push(term);
+    } else {
+      denominator.push(term);
+    }
+  }
+  if (numerator.length == 0 && denominator.length == 0) {
+    return useSymbols ? "1" : "dimensionless";
+  }
+  let output = (numerator.length > 0) ? numerator.join("·") : "1";
+  if (denominator.length == 1) {
+    output += "/" + denominator[0];
+  } else if (denominator.length > 1) {
+    output += "/(" + denominator.join("·") + ")";
+  }
+  return output;
+}
+
+/**
+ * Describe dimensions with the name of the kind of quantity, if it has one,
+ * followed by the dimensions (e.g. "energy (kg·m²/s²)")
+ *
+ * @param {number[]} dimensions Dimensions in the order of dimensionTypes
+ * @param {boolean} useSymbols Render the dimensions with SI base unit symbols
+ *                             instead of the dimension type names
+ *                             (default=false)
+ * @param {string} kind Name of the kind of quantity, if not provided the
+ *                      first kind registered with the dimensions is used
+ *
+ * @returns {string} Description of the dimensions
+ */
+export function describeDimensions(dimensions, useSymbols, kind) {
+  let name = kind || kindsWithDimensions(dimensions)[0];
+  let dimStr = dimensionsString(dimensions, useSymbols);
+  if (name == "dimensionless") {
+    return name;
+  }
+  if (!name || name == dimStr) {
+    return dimStr;
+  }
+  return name + " (" + dimStr + ")";
+}
+
+// Convert a number or rational number to superscript characters
+function superscript(value) {
+  let output = "";
+  let str = value.toString();
+  for (let ii=0; ii<str.length; ii++) {
+    output += superscripts[str[ii]];
+  }
+  return output;
+}
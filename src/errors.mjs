@@ -0,0 +1,194 @@
+/*******************************************************************************
+* Error classes thrown by PQM. All errors inherit from PqmError so that they
+* can be told apart from other errors with instanceof, and each error carries
+* structured information about what went wrong in addition to the message.
+*******************************************************************************/
+
+/**
+ * Base class for all errors thrown by PQM
+ *
+ * @param {string} message Description of the error
+ */
+export class PqmError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PqmError";
+  }
+}
+
+/**
+ * Error thrown when an operation requires quantities with the same dimensions
+ *
+ * @param {string} message Description of the error
+ * @param {number[]} dimensions Dimensions of the calling quantity
+ * @param {number[]} otherDimensions Dimensions of the other quantity
+ */
+export class DimensionMismatchError extends PqmError {
+  constructor(message, dimensions, otherDimensions) {
+    super(message);
+    this.name = "DimensionMismatchError";
+    this.dimensions = dimensions;
+    this.otherDimensions = otherDimensions;
+  }
+}
+
+/**
+ * Error thrown when strict kinds are enabled and an operation requires 
+ * quantities of the same kind
+ *
+ * @param {string} message Description of the error
+ * @param {number[]} dimensions Dimensions of the calling quantity
+ * @param {number[]} otherDimensions Dimensions of the other quantity
+ * @param {string} kind Kind of the calling quantity
+ * @param {string} otherKind Kind of the other quantity
+ */
+export class KindMismatchError extends DimensionMismatchError {
+  constructor(message, dimensions, otherDimensions, kind, otherKind) {
+    super(message, dimensions, otherDimensions);
+    this.name = "KindMismatchError";
+    this.kind = kind;
+    this.otherKind = otherKind;
+  }
+}
+
+/**
+ * Error thrown when a unit string cannot be parsed
+ *
+ * @param {string} message Description of the error
+ * @param {string} input Full string that was being parsed
+ * @param {number} position Index in the input where the problem is
+ */
+export class UnitParseError extends PqmError {
+  constructor(message, input, position) {
+    super(message + " at position " + position + " in \"" + input + "\"");
+    this.name = "UnitParseError";
+    this.input = input;
+    this.position = position;
+  }
+}
+
+/**
+ * Error thrown when a unit symbol does not exist
+ *
+ * @param {string} symbol Unit symbol that could not be found
+ * @param {string} input Full string that was being parsed
+ * @param {number} position Index in the input where the symbol is
+ * @param {string[]} suggestions Valid units similar to the symbol, ranked 
+ *                               from most to least similar
+ */
+export class UnknownUnitError extends PqmError {
+  constructor(symbol, input, position, suggestions) {
+    super(symbol + " is not a valid unit at position " + position +
+          " in \"" + input + "\"" + didYouMean(suggestions));
+    this.name = "UnknownUnitError";
+    this.symbol = symbol;
+    this.input = input;
+    this.position = position;
+    this.suggestions = suggestions || [];
+  }
+}
+
+/**
+ * Error thrown when a unit prefix does not exist
+ *
+ * @param {string} symbol Prefix symbol that could not be found
+ * @param {string} input Full string that was being parsed
+ * @param {number} position Index in the input where the prefix is
+ * @param {string[]} suggestions Valid prefixes similar to the symbol, ranked 
+ *                               from most to least similar
+ */
+export class UnknownPrefixError extends PqmError {
+  constructor(symbol, input, position, suggestions) {
+    super(symbol + " is not a valid prefix at position " + position +
+          " in \"" + input + "\"" + didYouMean(suggestions));
+    this.name = "UnknownPrefixError";
+    this.symbol = symbol;
+    this.input = input;
+    this.position = position;
+    this.suggestions = suggestions || [];
+  }
+}
+
+/**
+ * Error thrown when an operation is not allowed on a quantity with a zero
+ * offset (such as degC or psi-g)
+ *
+ * @param {string} message Description of the error
+ * @param {number} offset Offset of the quantity that caused the error
+ */
+export class OffsetUnitError extends PqmError {
+  constructor(message, offset) {
+    super(message);
+    this.name = "OffsetUnitError";
+    this.offset = offset;
+  }
+}
+
+/**
+ * Error thrown when an operation is not allowed on a quantity in a 
+ * logarithmic unit (such as dBm)
+ *
+ * @param {string} message Description of the error
+ * @param {string} unit Logarithmic unit of the quantity that caused the error
+ */
+export class LogUnitError extends PqmError {
+  constructor(message, unit) {
+    super(message);
+    this.name = "LogUnitError";
+    this.unit = unit;
+  }
+}
+
+/**
+ * Error thrown when an operation is not allowed on a quantity in a functional
+ * unit (such as AWG or pH)
+ *
+ * @param {string} message Description of the error
+ * @param {string} unit Functional unit of the quantity that caused the error
+ */
+export class FunctionalUnitError extends PqmError {
+  constructor(message, unit) {
+    super(message);
+    this.name = "FunctionalUnitError";
+    this.unit = unit;
+  }
+}
+
+/**
+ * Error thrown when two array quantities with incompatible lengths or shapes
+ * are used together
+ *
+ * @param {string} message Description of the error
+ * @param {number[]} lengths Lengths (number of elements) of the two arrays
+ * @param {number[][]} shapes Shapes of the two arrays
+ */
+export class VectorLengthError extends PqmError {
+  constructor(message, lengths, shapes) {
+    super(message);
+    this.name = "VectorLengthError";
+    this.lengths = lengths;
+    this.shapes = shapes || lengths.map((length) => [length]);
+  }
+}
+
+/**
+ * Error thrown when a function is called with an invalid argument
+ *
+ * @param {string} message Description of the error
+ * @param {*} value Value of the invalid argument
+ */
+export class InvalidArgumentError extends PqmError {
+  constructor(message, value) {
+    super(message);
+    this.name = "InvalidArgumentError";
+    this.value = value;
+  }
+}
+
+// Format suggestions to append to an error message
+function didYouMean(suggestions) {
+  if (!suggestions || suggestions.length == 0) {
+    return "";
+  }
+  return ". Did you mean " + suggestions.join(", ") + "?";
+}
@@ -0,0 +1,670 @@
+/*******************************************************************************
+* Formatting of magnitudes and units for display, such as significant digits,
+* scientific notation and Unicode superscripts (e.g. "1.23×10⁴ kg·m²/s²"), and
+* markup of quantities as LaTeX, siunitx, MathML and HTML.
+*******************************************************************************/
+
+import {Rational, ratNeg} from "./rational.mjs";
+import {InvalidArgumentError} from "./errors.mjs";
+import {units, prefixes} from "./unitdefs.mjs";
+import {logUnits} from "./logunits.mjs";
+import {functionalUnits} from "./functional.mjs";
+import {
+  checkLocale,
+  localeSymbols,
+  groupInteger,
+  localizeDigits,
+  getTranslation,
+  longName,
+} from "./locale.mjs";
+import {englishTranslation} from "./names.mjs";
+
+const superscripts = {
+  "0": "⁰", "1": "¹", "2": "²", "3": "³", "4": "⁴",
+  "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹",
+  "-": "⁻", "/": "ᐟ",
+};
+
+const notations = ["auto", "fixed", "scientific", "engineering"];
+
+const styles = ["short", "long"];
+
+// Symbols of units and prefixes for display, where they are different from
+// the symbols used in unit strings
+const displaySymbols = {
+  "ohm": "Ω",
+  "mho": "℧",
+  "degC": "°C",
+  "degF": "°F",
+  "deg": "°",
+  "arcmin": "′",
+  "arcsec": "″",
+  "ang": "Å",
+};
+const displayPrefixes = {
+  "u": "μ",
+  "µ": "μ",
+  "mu": "μ",
+  "mc": "μ",
+};
+
+// Symbols of units and prefixes in LaTeX math mode
+const latexSymbols = {
+  "ohm": "\\Omega",
+  "mho": "\\mho",
+  "degC": "{}^{\\circ}C",
+  "degF": "{}^{\\circ}F",
+  "deg": "{}^{\\circ}",
+  "arcmin": "{}^{\\prime}",
+  "arcsec": "{}^{\\prime\\prime}",
+  "ang": "\\mathring{A}",
+};
+const latexPrefixes = {
+  "u": "\\mu ",
+  "μ": "\\mu ",
+  "µ": "\\mu ",
+  "mu": "\\mu ",
+  "mc": "\\mu ",
+};
+
+// Unit and prefix macros of the siunitx LaTeX package
+const siunitxUnits = {
+  "g": "gram", "m": "metre", "s": "second", "A": "ampere", "K": "kelvin",
+  "mol": "mole", "cd": "candela", "Hz": "hertz", "N": "newton",
+  "Pa": "pascal", "J": "joule", "W": "watt", "C": "coulomb", "V": "volt",
+  "F": "farad", "ohm": "ohm", "S": "siemens", "Wb": "weber", "T": "tesla",
+  "H": "henry", "lm": "lumen", "lx": "lux", "Bq": "becquerel", "Gy": "gray",
+  "Sv": "sievert", "kat": "katal", "degC": "degreeCelsius", "L": "litre",
+  "min": "minute", "hr": "hour", "day": "day", "deg": "degree",
+  "arcmin": "arcminute", "arcsec": "arcsecond", "rad": "radian",
+  "sr": "steradian", "eV": "electronvolt", "Da": "dalton", "ha": "hectare",
+  "bar": "bar", "ang": "angstrom", "bit": "bit", "byte": "byte",
+  "%": "percent",
+};
+const siunitxPrefixes = {
+  "y": "yocto", "z": "zepto", "a": "atto", "f": "femto", "p": "pico",
+  "n": "nano", "u": "micro", "μ": "micro", "µ": "micro", "mu": "micro",
+  "mc": "micro", "m": "milli", "c": "centi", "d": "deci", "da": "deca",
+  "h": "hecto", "k": "kilo", "M": "mega", "G": "giga", "T": "tera",
+  "P": "peta", "E": "exa", "Z": "zetta", "Y": "yotta", "Ki": "kibi",
+  "Mi": "mebi", "Gi": "gibi", "Ti": "tebi", "Pi": "pebi", "Ei": "exbi",
+  "Zi": "zebi", "Yi": "yobi",
+};
+
+// Markups of units, each has the functions:
+//   name(prefix, symbol, text): Unit name, text is the name as it appears in
+//                               the unit string
+//   power(name, power): Unit name raised to a power other than 1
+//   divide(numerator, denominators): Numerator divided by a list of units
+// and the strings one (numerator of units with only a denominator) and times
+// (between units). Markups of quantities also have the functions:
+//   number(mantissa, exponent): Number, exponent is undefined if the number
+//                               is written without one
+//   list(items): Array of formatted items
+//   wrap(content): Complete quantity
+// and the strings space (between the magnitude and the unit), pm (between a
+// value and its uncertainty) and to (between the bounds of an interval)
+const markups = {
+  text: {
+    name: (prefix, symbol, text) => text,
+    power: (name, power) => name + "^" + (
+      (power instanceof Rational)
+        ? "(" + power.toString() + ")" : power.toString()
+    ),
+    divide: (numerator, denominators) => (
+      numerator + " / " + denominators.join(" ")
+    ),
+    one: "1",
+    times: " ",
+  },
+  unicode: {
+    name: (prefix, symbol) => displayName(prefix, symbol),
+    power: (name, power) => name + superscript(power.toString()),
+    divide: (numerator, denominators) => numerator + "/" + (
+      (denominators.length > 1)
+        ? "(" + denominators.join("·") + ")" : denominators[0]
+    ),
+    one: "1",
+    times: "·",
+  },
+  latex: {
+    name: (prefix, symbol) => "\\mathrm{" + (
+      (latexPrefixes[prefix] || prefix) +
+      (latexSymbols[symbol] || symbol.replace(/([_%$&#])/g, "\\$1"))
+    ) + "}",
+    power: (name, power) => name + "^{" + power.toString() + "}",
+    divide: (numerator, denominators) => numerator + "/" + (
+      (denominators.length > 1)
+        ? "\\left(" + denominators.join("\\,") + "\\right)" : denominators[0]
+    ),
+    // Braces keep a decimal comma from being spaced like punctuation
+    number: (mantissa, exponent) => mantissa.replace(/,/g, "{,}") + (
+      (typeof(exponent) === "undefined") ? "" : " \\times 10^{" + exponent + "}"
+    ),
+    list: (items) => "\\left[" + items.join(", ") + "\\right]",
+    wrap: (content) => content,
+    one: "1",
+    times: "\\,",
+    space: "\\,",
+    pm: " \\pm ",
+    to: "\\text{ to }",
+  },
+  mathml: {
+    name: (prefix, symbol) => (
+      "<mi mathvariant=\"normal\">" + escapeXml(displayName(prefix, symbol)) +
+      "</mi>"
+    ),
+    power: (name, power) => (
+      "<msup>" + name + mathmlNumber(power.toString()) + "</msup>"
+    ),
+    divide: (numerator, denominators) => numerator + "<mo>/</mo>" + (
+      (denominators.length > 1)
+        ? "<mrow><mo>(</mo>" + denominators.join("<mo>&#x22C5;</mo>") +
+          "<mo>)</mo></mrow>"
+        : denominators[0]
+    ),
+    number: (mantissa, exponent) => mathmlNumber(mantissa) + (
+      (typeof(exponent) === "undefined") ? "" :
+        "<mo>&#xD7;</mo><msup><mn>10</mn>" + mathmlNumber(String(exponent)) +
+        "</msup>"
+    ),
+    list: (items) => "<mo>[</mo>" + items.join("<mo>,</mo>") + "<mo>]</mo>",
+    wrap: (content) => "<math><mrow>" + content + "</mrow></math>",
+    one: "<mn>1</mn>",
+    times: "<mo>&#x22C5;</mo>",
+    space: "<mspace width=\"0.167em\"/>",
+    pm: "<mo>&#xB1;</mo>",
+    to: "<mtext>&#xA0;to&#xA0;</mtext>",
+  },
+  html: {
+    name: (prefix, symbol) => escapeXml(displayName(prefix, symbol)),
+    power: (name, power) => name + "<sup>" + power.toString() + "</sup>",
+    divide: (numerator, denominators) => numerator + "/" + (
+      (denominators.length > 1)
+        ? "(" + denominators.join("&middot;") + ")" : denominators[0]
+    ),
+    number: (mantissa, exponent) => escapeXml(mantissa) + (
+      (typeof(exponent) === "undefined") ? "" :
+        "&times;10<sup>" + exponent + "</sup>"
+    ),
+    list: (items) => "[" + items.join(", ") + "]",
+    wrap: (content) => content,
+    one: "1",
+    times: "&middot;",
+    space: "&nbsp;",
+    pm: " &plusmn; ",
+    to: " to ",
+  },
+};
+
+/**
+ * Split a unit name into its prefix and unit symbol
+ *
+ * @param {string} unitName Unit name with an optional prefix, in brackets or
+ *                          not (e.g. "[k]g", "kg" or "g")
+ *
+ * @returns {[string, string]} Prefix (an empty string if there is none) and
+ *                             unit symbol
+ */
+export function splitUnitName(unitName) {
+  if (unitName[0] == "[") {
+    let close = unitName.indexOf("]");
+    return [unitName.slice(1, close), unitName.slice(close + 1)];
+  }
+  let isUnit = (
+    units.hasOwnProperty(unitName) || logUnits.hasOwnProperty(unitName) ||
+    functionalUnits.hasOwnProperty(unitName)
+  );
+  for (const length of [1, 2]) {
+    if (    !isUnit
+         && units.hasOwnProperty(unitName.slice(length))
+         && prefixes.hasOwnProperty(unitName.slice(0, length))) {
+      return [unitName.slice(0, length), unitName.slice(length)];
+    }
+  }
+  return ["", unitName];
+}
+
+/**
+ * Check the formatting options of a number and throw an error if they are
+ * invalid
+ *
+ * @param {Object} options Formatting options (see formatNumber)
+ */
+export function checkFormat(options) {
+  for (const key of ["digits", "significant"]) {
+    let value = options[key];
+    if (    typeof(value) !== "undefined"
+         && !(Number.isInteger(value) && value >= 0 && value <= 100)) {
+      throw new InvalidArgumentError(
+        key + " must be an integer from 0 to 100", value
+      );
+    }
+  }
+  if (options.significant === 0) {
+    throw new InvalidArgumentError(
+      "significant must be at least 1", options.significant
+    );
+  }
+  if (options.notation && !notations.includes(options.notation)) {
+    throw new InvalidArgumentError(
+      "notation must be one of " + notations.join(", "), options.notation
+    );
+  }
+  if (    typeof(options.format) !== "undefined"
+       && typeof(options.format) !== "function") {
+    throw new InvalidArgumentError(
+      "format must be a function", options.format
+    );
+  }
+  if (typeof(options.locale) !== "undefined") {
+    checkLocale(options.locale);
+  }
+  if (options.style && !styles.includes(options.style)) {
+    throw new InvalidArgumentError(
+      "style must be one of " + styles.join(", "), options.style
+    );
+  }
+}
+
+/**
+ * Format a number for display
+ *
+ * @param {number} value Number to format
+ * @param {Object} options Formatting options
+ * @param {number} options.digits Number of digits after the decimal point
+ * @param {number} options.significant Number of significant digits, ignored
+ *                                     if digits is provided
+ * @param {string} options.notation One of "auto" (the same as
+ *                                  Number.toString, default), "fixed" (never
+ *                                  use an exponent), "scientific" or
+ *                                  "engineering" (exponents that are
+ *                                  multiples of 3)
+ * @param {boolean} options.unicode Write exponents as "×10⁵" rather than "e5"
+ * @param {string} options.thousands Separator for groups of thousands in the
+ *                                   integer part (default="" no grouping)
+ * @param {string} options.decimal Decimal separator (default=".")
+ * @param {string} options.locale Locale whose separators and digits are used
+ *                                (e.g. "de-DE" for "1.234,5"), the thousands
+ *                                and decimal options override the separators
+ *
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, options) {
+  let [mantissa, exponent] = numberParts(value, options);
+  if (typeof(exponent) === "undefined") {
+    return mantissa;
+  } else if (options.unicode) {
+    return mantissa + "×10" + superscript(String(exponent));
+  }
+  return mantissa + "e" + exponent;
+}
+
+/**
+ * Format the factors of a unit for display
+ *
+ * @param {Object[]} factors Units and their powers (number or Rational) as
+ *                           {unit, power}
+ * @param {Object} options Formatting options
+ * @param {boolean} options.unicode Use superscript powers, "·" between units
+ *                                  and display symbols without brackets
+ *                                  (e.g. "kg·m²/s²" or "μΩ")
+ * @param {boolean} options.negativeExponents Write units in the denominator
+ *                                            with negative powers rather
+ *                                            than after a "/" (e.g.
+ *                                            "kg m^2 s^-2")
+ *
+ * @returns {string} Formatted unit
+ */
+export function formatUnit(factors, options) {
+  return markupUnit(
+    factors, options.unicode ? markups.unicode : markups.text,
+    options.negativeExponents
+  );
+}
+
+/**
+ * Format the factors of a unit with long names, from the translation table
+ * of a locale (see defineTranslation) or in English if there is none. The
+ * last unit of the numerator is in the plural form that goes with the number
+ * (e.g. "kilomètres").
+ *
+ * @param {Object[]} factors Units and their powers (number or Rational) as
+ *                           {unit, power}
+ * @param {number} count Number in front of the unit, undefined for the
+ *                       plural form of arrays and intervals
+ * @param {string} locale Locale of the names
+ *
+ * @returns {string} Formatted unit, units without a name are written as they
+ *                   are in the unit string
+ */
+export function formatLongUnit(factors, count, locale) {
+  let translation = getTranslation(locale);
+  if (!translation) {
+    translation = englishTranslation();
+    locale = "en";
+  }
+  let category = "other";
+  if (typeof(count) === "number") {
+    category = new Intl.PluralRules(locale).select(count);
+  }
+  let factorString = (factor, power, plural) => {
+    let name = longName(
+      ...splitUnitName(factor.unit), plural ? category : "one", locale
+    ) || factor.unit;
+    if (power == 1) {
+      return name;
+    } else if (translation.powers[power]) {
+      return translation.powers[power] + " " + name;
+    }
+    return markups.text.power(name, power);
+  };
+  let numerator = factors.filter((factor) => factor.power > 0);
+  let denominator = factors.filter((factor) => factor.power < 0);
+  let result = numerator.map((factor, ii) => factorString(
+    factor, factor.power, ii == numerator.length - 1
+  )).join(" ");
+  if (denominator.length == 0) {
+    return result;
+  }
+  // Units with only a denominator are written as "per second" when there is
+  // a word for per, or "1 / s" when there is not
+  let per = translation.per || "/";
+  if (!result && !translation.per) {
+    result = "1";
+  }
+  return (result ? result + " " : "") + per + " " + denominator.map(
+    (factor) => factorString(factor, ratNeg(factor.power), false)
+  ).join(" ");
+}
+
+/**
+ * Mark up a quantity as LaTeX, MathML or HTML
+ *
+ * @param {Object} parts Parts of the quantity to display, with the
+ *                       properties magnitude, lower and upper (bounds of an
+ *                       interval) and uncertainty, each a number or a nested
+ *                       array (undefined if the quantity does not have it),
+ *                       and factors (factors of the unit, see formatUnit)
+ * @param {string} type Type of markup, "latex", "mathml" or "html"
+ * @param {Object} options Formatting options, see formatNumber and
+ *                         formatUnit
+ * @param {function} options.format Function to format each number,
+ *                                  overrides the number formatting options
+ *
+ * @returns {string} Quantity marked up as a string
+ */
+export function markupQuantity(parts, type, options) {
+  let markup = markups[type];
+  let values = (value) => {
+    if (value instanceof Array) {
+      return markup.list(value.map(values));
+    } else if (options.format) {
+      return markup.number(options.format(value));
+    }
+    return markup.number(...numberParts(value, options));
+  };
+  let content = values(parts.magnitude);
+  if (typeof(parts.lower) !== "undefined") {
+    content = values(parts.lower) + markup.to + values(parts.upper);
+  }
+  if (typeof(parts.uncertainty) !== "undefined") {
+    content += markup.pm + values(parts.uncertainty);
+  }
+  if (parts.factors.length > 0) {
+    content += markup.space + markupUnit(
+      parts.factors, markup, options.negativeExponents
+    );
+  }
+  return markup.wrap(content);
+}
+
+/**
+ * Mark up a quantity for the siunitx LaTeX package, as \SI{}{} (siunitx
+ * version 2) or \qty{}{} (siunitx version 3). Arrays are written as lists
+ * (\SIlist or \qtylist) and intervals as ranges (\SIrange or \qtyrange).
+ *
+ * @param {Object} parts Parts of the quantity to display, see markupQuantity
+ * @param {string} flavor Name of the siunitx macro, "SI" or "qty"
+ * @param {Object} options Formatting options, see formatNumber
+ *
+ * @returns {string} Quantity as a siunitx macro
+ */
+export function siunitxQuantity(parts, flavor, options) {
+  // siunitx does its own grouping of digits
+  let number = (value) => formatNumber(value, {
+    digits: options.digits,
+    significant: options.significant,
+    notation: options.notation,
+  });
+  let unit = "{" + siunitxUnit(parts.factors) + "}";
+  let isArray = (parts.magnitude instanceof Array);
+  if (isArray && parts.magnitude.some((value) => value instanceof Array)) {
+    throw new InvalidArgumentError(
+      "Only scalar and one dimensional quantities can be written with " +
+      "siunitx", parts.magnitude
+    );
+  }
+  if (typeof(parts.lower) !== "undefined") {
+    if (isArray) {
+      throw new InvalidArgumentError(
+        "Arrays of intervals cannot be written with siunitx", parts.lower
+      );
+    }
+    return "\\" + flavor + "range{" + number(parts.lower) + "}{" +
+           number(parts.upper) + "}" + unit;
+  }
+  let item = (value, uncertainty) => {
+    if (typeof(uncertainty) === "undefined") {
+      return number(value);
+    }
+    return number(value) + " +- " + number(uncertainty);
+  };
+  if (isArray) {
+    let items = parts.magnitude.map((value, ii) => item(
+      value, parts.uncertainty && parts.uncertainty[ii]
+    ));
+    return "\\" + flavor + "list{" + items.join(";") + "}" + unit;
+  }
+  return "\\" + flavor + "{" + item(parts.magnitude, parts.uncertainty) +
+         "}" + unit;
+}
+
+// Mark up the factors of a unit
+function markupUnit(factors, markup, negativeExponents) {
+  let factorString = (factor, power) => {
+    let name = markup.name(...splitUnitName(factor.unit), factor.unit);
+    if (power == 1) {
+      return name;
+    }
+    return markup.power(name, power);
+  };
+  if (negativeExponents) {
+    if (factors.length == 0) {
+      return markup.one;
+    }
+    return factors.map(
+      (factor) => factorString(factor, factor.power)
+    ).join(markup.times);
+  }
+  let numerator = factors.filter((factor) => factor.power > 0).map(
+    (factor) => factorString(factor, factor.power)
+  );
+  let denominator = factors.filter((factor) => factor.power < 0).map(
+    (factor) => factorString(factor, ratNeg(factor.power))
+  );
+  let result = numerator.join(markup.times) || markup.one;
+  if (denominator.length == 0) {
+    return result;
+  }
+  return markup.divide(result, denominator);
+}
+
+// Write the factors of a unit with siunitx macros, or as a literal unit if
+// any of the units do not have a macro
+function siunitxUnit(factors) {
+  let names = factors.map((factor) => splitUnitName(factor.unit));
+  let hasMacros = names.every(([prefix, symbol]) => (
+    siunitxUnits.hasOwnProperty(symbol) &&
+    (!prefix || siunitxPrefixes.hasOwnProperty(prefix))
+  ));
+  if (!hasMacros) {
+    return markupUnit(factors, {
+      name: (prefix, symbol) => (
+        (prefix + symbol).replace(/([_%$&#])/g, "\\$1")
+      ),
+      power: (name, power) => name + "^{" + power.toString() + "}",
+      divide: (numerator, denominators) => (
+        numerator + "/" + denominators.join(".")
+      ),
+      one: "1",
+      times: ".",
+    });
+  }
+  return factors.map((factor, ii) => {
+    let [prefix, symbol] = names[ii];
+    let power = (factor.power < 0) ? ratNeg(factor.power) : factor.power;
+    let macro = (factor.power < 0) ? "\\per" : "";
+    if (prefix) {
+      macro += "\\" + siunitxPrefixes[prefix];
+    }
+    macro += "\\" + siunitxUnits[symbol];
+    if (power == 2) {
+      macro += "\\squared";
+    } else if (power == 3) {
+      macro += "\\cubed";
+    } else if (power != 1) {
+      macro += "\\tothe{" + power.toString() + "}";
+    }
+    return macro;
+  }).join("");
+}
+
+// Split a number into a formatted mantissa and an exponent (undefined if the
+// number is written without an exponent)
+function numberParts(value, options) {
+  let notation = options.notation || "auto";
+  if (!isFinite(value)) {
+    return [String(value), undefined];
+  }
+  let mantissa;
+  let exponent;
+  if (notation == "scientific" || notation == "engineering") {
+    let decimals = options.digits;
+    if (typeof(decimals) === "undefined" && options.significant) {
+      decimals = options.significant - 1;
+    }
+    let parts = value.toExponential(decimals).split("e");
+    mantissa = parts[0];
+    exponent = Number(parts[1]);
+    if (notation == "engineering") {
+      // Move up to two digits in front of the decimal point
+      let shift = ((exponent % 3) + 3) % 3;
+      let scaled = Number(mantissa) * Math.pow(10, shift);
+      exponent -= shift;
+      if (typeof(options.digits) !== "undefined") {
+        mantissa = scaled.toFixed(options.digits);
+      } else if (options.significant) {
+        let decimals = Math.max(0, options.significant - 1 - shift);
+        mantissa = scaled.toFixed(decimals);
+      } else {
+        mantissa = String(Number(scaled.toPrecision(15)));
+      }
+    }
+  } else {
+    if (typeof(options.digits) !== "undefined") {
+      mantissa = value.toFixed(options.digits);
+    } else if (options.significant) {
+      mantissa = value.toPrecision(options.significant);
+    } else {
+      mantissa = String(value);
+    }
+    if (mantissa.includes("e")) {
+      let parts = mantissa.split("e");
+      mantissa = parts[0];
+      exponent = Number(parts[1]);
+      // Number.toString only uses an exponent for very large or small
+      // numbers, toPrecision also uses one for fewer digits than the integer
+      let isAuto = notation == "auto" && exponent >= -6 && exponent < 21;
+      if (notation == "fixed" || isAuto) {
+        mantissa = shiftDecimal(mantissa, exponent);
+        exponent = undefined;
+      }
+    }
+  }
+  return [groupDigits(mantissa, options), exponent];
+}
+
+// Display name of a unit, with symbols such as μ, Ω and °
+function displayName(prefix, symbol) {
+  return (displayPrefixes[prefix] || prefix) +
+         (displaySymbols[symbol] || symbol);
+}
+
+// Write a string of digits and signs in superscript
+function superscript(str) {
+  return Array.from(str, (char) => superscripts[char] || char).join("");
+}
+
+// Write a number as MathML, the sign of a negative number is a minus sign
+// operator since <mn> may only hold the digits
+function mathmlNumber(text) {
+  if (text[0] == "-") {
+    return "<mrow><mo>&#x2212;</mo><mn>" + escapeXml(text.slice(1)) +
+           "</mn></mrow>";
+  }
+  return "<mn>" + escapeXml(text) + "</mn>";
+}
+
+// Escape the characters of a string that are special in XML and HTML
+function escapeXml(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Move the decimal point of a number string by a power of 10
+function shiftDecimal(mantissa, exponent) {
+  let sign = mantissa[0] == "-" ? "-" : "";
+  let digits = mantissa.replace("-", "");
+  let point = digits.indexOf(".");
+  if (point == -1) {
+    point = digits.length;
+  }
+  digits = digits.replace(".", "");
+  point += exponent;
+  if (point <= 0) {
+    digits = "0." + "0".repeat(-point) + digits;
+  } else if (point >= digits.length) {
+    digits = digits + "0".repeat(point - digits.length);
+  } else {
+    digits = digits.slice(0, point) + "." + digits.slice(point);
+  }
+  return sign + digits;
+}
+
+// Group the integer part of a number string and replace the decimal point,
+// with the groups, separators and digits of the locale if there is one and in
+// thousands if there is not
+function groupDigits(mantissa, options) {
+  let [integer, fraction] = mantissa.split(".");
+  let thousands = options.thousands;
+  let decimal = options.decimal || ".";
+  if (options.locale) {
+    let symbols = localeSymbols(options.locale);
+    if (typeof(thousands) === "undefined") {
+      thousands = symbols.group;
+    }
+    decimal = options.decimal || symbols.decimal;
+  }
+  if (thousands && options.locale && /^-?\d+$/.test(integer)) {
+    let sign = integer.startsWith("-") ? "-" : "";
+    let groups = groupInteger(integer.slice(sign.length), options.locale);
+    integer = sign + groups.join(thousands);
+  } else if (thousands) {
+    integer = integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+  }
+  let result = integer;
+  if (typeof(fraction) !== "undefined") {
+    result += decimal + fraction;
+  }
+  return options.locale ? localizeDigits(result, options.locale) : result;
+}
@@ -0,0 +1,73 @@
+/*******************************************************************************
+* Functional units, which are defined by a formula rather than a scale and an
+* offset (such as wire gauges or pH). Each functional unit converts between
+* its values and magnitudes in a linear unit with a pair of functions.
+*******************************************************************************/
+
+// Density of water at 60 degF in kg/m^3, the reference for specific gravity
+// scales such as API gravity and degrees Baume
+const waterDensity = 999.016;
+
+// Functional units
+//   u: Linear unit string that the functions convert to and from
+//   to: Function to convert a value in the unit to a magnitude in the linear
+//       unit
+//   from: Inverse of to
+export const functionalUnits = {
+  // American wire gauge, diameter of the wire
+  "AWG": {
+    u: "[m]m",
+    to: (gauge) => 0.127 * Math.pow(92, (36 - gauge) / 39),
+    from: (diameter) => 36 - 39 * Math.log(diameter / 0.127) / Math.log(92),
+  },
+  // API gravity of petroleum liquids
+  "degAPI": {
+    u: "[k]g / m^3",
+    to: (api) => 141.5 / (api + 131.5) * waterDensity,
+    from: (density) => 141.5 * waterDensity / density - 131.5,
+  },
+  // Degrees Baume for liquids heavier than water
+  "degBe": {
+    u: "[k]g / m^3",
+    to: (baume) => 145 / (145 - baume) * waterDensity,
+    from: (density) => 145 - 145 * waterDensity / density,
+  },
+  // Degrees Baume for liquids lighter than water
+  "degBeL": {
+    u: "[k]g / m^3",
+    to: (baume) => 140 / (130 + baume) * waterDensity,
+    from: (density) => 140 * waterDensity / density - 130,
+  },
+  // Acidity, from the concentration of hydrogen ions
+  "pH": {
+    u: "mol / L",
+    to: (pH) => Math.pow(10, -pH),
+    from: (concentration) => -Math.log10(concentration),
+  },
+  // UK adult shoe size, length of the shoe last
+  "shoeUK": {
+    u: "in",
+    to: (size) => (size + 25) / 3,
+    from: (length) => 3 * length - 25,
+  },
+  // US men's shoe size, length of the shoe last
+  "shoeUS": {
+    u: "in",
+    to: (size) => (size + 24) / 3,
+    from: (length) => 3 * length - 24,
+  },
+};
+
+/**
+ * Check if a unit string is a functional unit
+ *
+ * @param {string} unitString Unit string to check
+ *
+ * @returns {boolean} True if the unit string is a functional unit
+ */
+export function isFunctionalUnit(unitString) {
+  return (
+    typeof(unitString) === "string" &&
+    functionalUnits.hasOwnProperty(unitString.trim())
+  );
+}
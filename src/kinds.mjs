@@ -0,0 +1,145 @@
+/*******************************************************************************
+* Registry of kinds of quantities (e.g. energy, torque, pressure). Kinds are a
+* layer over dimensions that can tell apart quantities that have the same
+* dimensions but are not the same thing, such as energy and torque.
+*******************************************************************************/
+
+import {dimensionTypes} from "./unitdefs.mjs";
+import {ratEq} from "./rational.mjs";
+
+// Registered kinds of quantities. Several kinds may have the same dimensions,
+// in which case the first kind listed is the default name for those 
+// dimensions. Dimensions are in the order of dimensionTypes.
+const kinds = [
+  ["dimensionless",          [ 0, 0, 0, 0, 0, 0, 0, 0]],
+  ["angle",                  [ 0, 0, 0, 0, 0, 0, 0, 0]],
+  ["solid angle",            [ 0, 0, 0, 0, 0, 0, 0, 0]],
+  ["mass",                   [ 1, 0, 0, 0, 0, 0, 0, 0]],
+  ["length",                 [ 0, 1, 0, 0, 0, 0, 0, 0]],
+  ["time",                   [ 0, 0, 1, 0, 0, 0, 0, 0]],
+  ["temperature",            [ 0, 0, 0, 1, 0, 0, 0, 0]],
+  ["current",                [ 0, 0, 0, 0, 1, 0, 0, 0]],
+  ["amount of substance",    [ 0, 0, 0, 0, 0, 1, 0, 0]],
+  ["luminous intensity",     [ 0, 0, 0, 0, 0, 0, 1, 0]],
+  ["information",            [ 0, 0, 0, 0, 0, 0, 0, 1]],
+  ["area",                   [ 0, 2, 0, 0, 0, 0, 0, 0]],
+  ["volume",                 [ 0, 3, 0, 0, 0, 0, 0, 0]],
+  ["wavenumber",             [ 0,-1, 0, 0, 0, 0, 0, 0]],
+  ["frequency",              [ 0, 0,-1, 0, 0, 0, 0, 0]],
+  ["angular velocity",       [ 0, 0,-1, 0, 0, 0, 0, 0]],
+  ["activity",               [ 0, 0,-1, 0, 0, 0, 0, 0]],
+  ["velocity",               [ 0, 1,-1, 0, 0, 0, 0, 0]],
+  ["acceleration",           [ 0, 1,-2, 0, 0, 0, 0, 0]],
+  ["volumetric flow rate",   [ 0, 3,-1, 0, 0, 0, 0, 0]],
+  ["kinematic viscosity",    [ 0, 2,-1, 0, 0, 0, 0, 0]],
+  ["absorbed dose",          [ 0, 2,-2, 0, 0, 0, 0, 0]],
+  ["dose equivalent",        [ 0, 2,-2, 0, 0, 0, 0, 0]],
+  ["density",                [ 1,-3, 0, 0, 0, 0, 0, 0]],
+  ["linear density",         [ 1,-1, 0, 0, 0, 0, 0, 0]],
+  ["mass flow rate",         [ 1, 0,-1, 0, 0, 0, 0, 0]],
+  ["momentum",               [ 1, 1,-1, 0, 0, 0, 0, 0]],
+  ["force",                  [ 1, 1,-2, 0, 0, 0, 0, 0]],
+  ["pressure",               [ 1,-1,-2, 0, 0, 0, 0, 0]],
+  ["dynamic viscosity",      [ 1,-1,-1, 0, 0, 0, 0, 0]],
+  ["energy",                 [ 1, 2,-2, 0, 0, 0, 0, 0]],
+  ["torque",                 [ 1, 2,-2, 0, 0, 0, 0, 0]],
+  ["power",                  [ 1, 2,-3, 0, 0, 0, 0, 0]],
+  ["thermal insulance",      [-1, 0, 3, 1, 0, 0, 0, 0]],
+  ["electric charge",        [ 0, 0, 1, 0, 1, 0, 0, 0]],
+  ["voltage",                [ 1, 2,-3, 0,-1, 0, 0, 0]],
+  ["resistance",             [ 1, 2,-3, 0,-2, 0, 0, 0]],
+  ["conductance",            [-1,-2, 3, 0, 2, 0, 0, 0]],
+  ["capacitance",            [-1,-2, 4, 0, 2, 0, 0, 0]],
+  ["inductance",             [ 1, 2,-2, 0,-2, 0, 0, 0]],
+  ["magnetic flux",          [ 1, 2,-2, 0,-1, 0, 0, 0]],
+  ["magnetic flux density",  [ 1, 0,-2, 0,-1, 0, 0, 0]],
+  ["magnetic field strength",[ 0,-1, 0, 0, 1, 0, 0, 0]],
+  ["exposure",               [-1, 0, 1, 0, 1, 0, 0, 0]],
+  ["concentration",          [ 0,-3, 0, 0, 0, 1, 0, 0]],
+  ["catalytic activity",     [ 0, 0,-1, 0, 0, 1, 0, 0]],
+  ["illuminance",            [ 0,-2, 0, 0, 0, 0, 1, 0]],
+  ["data rate",              [ 0, 0,-1, 0, 0, 0, 0, 1]],
+];
+
+// Kinds of units that are not the default kind for their dimensions, or 
+// that are used to tell apart kinds with the same dimensions. Units that are
+// not listed do not have a kind.
+export const unitKinds = {
+  "J": "energy",
+  "eV": "energy",
+  "erg": "energy",
+  "cal": "energy",
+  "Cal": "energy",
+  "BTU": "energy",
+  "thm": "energy",
+  "Wh": "energy",
+  "HPh": "energy",
+  "Gy": "absorbed dose",
+  "RAD": "absorbed dose",
+  "Sv": "dose equivalent",
+  "rem": "dose equivalent",
+  "Hz": "frequency",
+  "rpm": "frequency",
+  "Bq": "activity",
+  "Ci": "activity",
+  "rad": "angle",
+  "deg": "angle",
+  "arcmin": "angle",
+  "arcsec": "angle",
+  "rev": "angle",
+  "sr": "solid angle",
+};
+
+/**
+ * Get the names of all of the kinds of quantities with the provided 
+ * dimensions
+ *
+ * @param {number[]} dimensions Dimensions in the order of dimensionTypes
+ *
+ * @returns {string[]} Names of the kinds with the dimensions, the default 
+ *                     kind for the dimensions is first
+ */
+export function kindsWithDimensions(dimensions) {
+  let names = [];
+  for (let ii=0; ii<kinds.length; ii++) {
+    let match = true;
+    for (let dimIdx=0; dimIdx<dimensionTypes.length; dimIdx++) {
+      if (!ratEq(kinds[ii][1][dimIdx], dimensions[dimIdx])) {
+        match = false;
+        break;
+      }
+    }
+    if (match) {
+      names.push(kinds[ii][0]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Get the dimensions of a registered kind of quantity
+ *
+ * @param {string} name Name of the kind
+ *
+ * @returns {number[]|undefined} Dimensions of the kind, or undefined if there
+ *                               is no kind with the name
+ */
+export function kindDimensions(name) {
+  for (let ii=0; ii<kinds.length; ii++) {
+    if (kinds[ii][0] == name) {
+      return kinds[ii][1];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Add a new kind of quantity to the registry
+ *
+ * @param {string} name Name of the kind
+ * @param {number[]} dimensions Dimensions of the kind in the order of 
+ *                              dimensionTypes
+ */
+export function registerKind(name, dimensions) {
+  kinds.push([name, dimensions.slice()]);
+}
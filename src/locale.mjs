@@ -0,0 +1,312 @@
+/*******************************************************************************
+* Locales for displaying and parsing quantities. The separators and digits of
+* numbers come from Intl.NumberFormat, and long names of units come from
+* translation tables that are registered for each locale and keyed by the unit
+* and prefix symbols (e.g. "Kilogramm" from the prefix "k" and the unit "g").
+*******************************************************************************/
+
+import {InvalidArgumentError} from "./errors.mjs";
+import {englishTranslation} from "./names.mjs";
+
+// Translation tables of unit names by locale, see defineTranslation
+const translations = {};
+
+// Separators and digits of each locale that has been used, see localeSymbols
+const symbolCache = {};
+
+// Number formats that group the integer part of numbers, see groupInteger
+const groupFormats = {};
+
+/**
+ * Check that a locale is a valid BCP 47 language tag and throw an error if it
+ * is not
+ *
+ * @param {string} locale Locale to check (e.g. "de-DE")
+ */
+export function checkLocale(locale) {
+  let valid = (typeof(locale) === "string");
+  if (valid) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch (err) {
+      valid = false;
+    }
+  }
+  if (!valid) {
+    throw new InvalidArgumentError(
+      "locale must be a BCP 47 language tag such as \"de-DE\"", locale
+    );
+  }
+}
+
+/**
+ * Get the symbols that a locale uses to write numbers
+ *
+ * @param {string} locale Locale of the numbers
+ *
+ * @returns {Object} Symbols of the locale, with the properties decimal
+ *                   (decimal separator), group (separator for groups of
+ *                   thousands), minus (minus sign) and digits (the digits 0
+ *                   to 9 as an array of strings)
+ */
+export function localeSymbols(locale) {
+  if (symbolCache.hasOwnProperty(locale)) {
+    return symbolCache[locale];
+  }
+  let numberFormat = new Intl.NumberFormat(locale);
+  let symbols = {decimal: ".", group: ",", minus: "-"};
+  for (const part of numberFormat.formatToParts(-1234567.5)) {
+    if (part.type == "decimal") {
+      symbols.decimal = part.value;
+    } else if (part.type == "group") {
+      symbols.group = part.value;
+    } else if (part.type == "minusSign") {
+      symbols.minus = part.value;
+    }
+  }
+  let digitFormat = new Intl.NumberFormat(locale, {useGrouping: false});
+  symbols.digits = Array.from({length: 10}, (_, ii) => digitFormat.format(ii));
+  symbolCache[locale] = symbols;
+  return symbols;
+}
+
+/**
+ * Split the digits of an integer into the groups a locale writes it in, such
+ * as groups of three or the groups of two after the first group of three in
+ * "hi-IN" ("12,34,567"). The groups are found with the integer parts of
+ * Intl.NumberFormat#formatToParts, with the default grouping of the locale
+ * so that locales such as "es-ES" and "pl-PL" leave 4 digit integers in a
+ * single group ("1234").
+ *
+ * @param {string} digits ASCII digits of the integer, without a sign
+ * @param {string} locale Locale to group the digits for
+ *
+ * @returns {string[]} Groups of ASCII digits, from the first to the last
+ */
+export function groupInteger(digits, locale) {
+  if (!groupFormats.hasOwnProperty(locale)) {
+    groupFormats[locale] = new Intl.NumberFormat(locale);
+  }
+  let groups = [];
+  let start = 0;
+  for (const part of groupFormats[locale].formatToParts(BigInt(digits))) {
+    if (part.type == "integer") {
+      let length = Array.from(part.value).length;
+      groups.push(digits.slice(start, start + length));
+      start += length;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Write the ASCII digits and minus signs of a number string with the digits
+ * and minus sign of a locale
+ *
+ * @param {string} numberString Number string with ASCII digits
+ * @param {string} locale Locale to write the number in
+ *
+ * @returns {string} Number string in the digits of the locale
+ */
+export function localizeDigits(numberString, locale) {
+  let symbols = localeSymbols(locale);
+  return numberString.replace(/[0-9-]/g, (char) => (
+    (char == "-") ? symbols.minus : symbols.digits[Number(char)]
+  ));
+}
+
+/**
+ * Replace the digits and minus signs of a locale in a string with ASCII
+ * digits and "-"
+ *
+ * @param {string} str String that contains numbers written in a locale
+ * @param {string} locale Locale of the numbers
+ *
+ * @returns {string} String with ASCII digits
+ */
+export function delocalizeDigits(str, locale) {
+  let symbols = localeSymbols(locale);
+  let chars = {[symbols.minus]: "-", "−": "-"};
+  symbols.digits.forEach((digit, ii) => {
+    chars[digit] = String(ii);
+  });
+  return Array.from(str, (char) => chars[char] || char).join("");
+}
+
+/**
+ * Register the long names of units in a locale, replacing any names already
+ * registered for it. Names are looked up by the full locale first and then by
+ * its language (e.g. "de-CH" falls back to "de").
+ *
+ * @param {string} locale Locale of the names (e.g. "de" or "fr-FR")
+ * @param {Object|null} table Translation table, or null to remove the names
+ *                            registered for the locale. A table has the 
+ *                            properties:
+ * @param {Object} table.units Names of units keyed by unit symbol, each a
+ *                             string or an object of names keyed by the
+ *                             plural category of Intl.PluralRules (e.g.
+ *                             {one: "mètre", other: "mètres"})
+ * @param {Object} table.prefixes Names of prefixes keyed by prefix symbol
+ *                                (e.g. {k: "kilo"})
+ * @param {string} table.per Word that divides the units in the numerator from
+ *                           the units in the denominator (e.g. "pro")
+ * @param {Object} table.powers Words in front of units raised to a power,
+ *                              keyed by the power (e.g. {2: "Quadrat"}),
+ *                              other powers are written as "^3"
+ */
+export function defineTranslation(locale, table) {
+  checkLocale(locale);
+  if (table === null) {
+    delete translations[Intl.getCanonicalLocales(locale)[0]];
+    return;
+  }
+  if (typeof(table) !== "object") {
+    throw new InvalidArgumentError(
+      "A translation table must be an object", table
+    );
+  }
+  let unitNames = table.units || {};
+  let prefixNames = table.prefixes || {};
+  let isNames = (names) => (
+    typeof(names) === "string" || (
+      typeof(names) === "object" && names !== null &&
+      Object.values(names).every((name) => typeof(name) === "string")
+    )
+  );
+  for (const symbol in unitNames) {
+    if (!isNames(unitNames[symbol])) {
+      throw new InvalidArgumentError(
+        "The name of the unit " + symbol + " must be a string or an " +
+        "object of strings", unitNames[symbol]
+      );
+    }
+  }
+  for (const symbol in prefixNames) {
+    if (typeof(prefixNames[symbol]) !== "string") {
+      throw new InvalidArgumentError(
+        "The name of the prefix " + symbol + " must be a string",
+        prefixNames[symbol]
+      );
+    }
+  }
+  if (typeof(table.per) !== "undefined" && typeof(table.per) !== "string") {
+    throw new InvalidArgumentError("per must be a string", table.per);
+  }
+  let powerNames = table.powers || {};
+  for (const power in powerNames) {
+    if (typeof(powerNames[power]) !== "string") {
+      throw new InvalidArgumentError(
+        "The word for the power " + power + " must be a string",
+        powerNames[power]
+      );
+    }
+  }
+  translations[Intl.getCanonicalLocales(locale)[0]] = {
+    units: unitNames,
+    prefixes: prefixNames,
+    per: table.per,
+    powers: powerNames,
+  };
+}
+
+/**
+ * Get the translation table of a locale
+ *
+ * @param {string} locale Locale to get the translation table of
+ *
+ * @returns {Object|undefined} Translation table (see defineTranslation), or
+ *                             undefined if there is none for the locale
+ *                             (the English names are used for display)
+ */
+export function getTranslation(locale) {
+  if (!locale) {
+    return undefined;
+  }
+  let subtags = Intl.getCanonicalLocales(locale)[0].split("-");
+  for (let numTags=subtags.length; numTags>0; numTags--) {
+    let tag = subtags.slice(0, numTags).join("-");
+    if (translations.hasOwnProperty(tag)) {
+      return translations[tag];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the long name of a unit in a locale, or in English if there is no
+ * translation table for the locale
+ *
+ * @param {string} prefix Prefix of the unit, an empty string for none
+ * @param {string} symbol Symbol of the unit
+ * @param {string} category Plural category of Intl.PluralRules (e.g. "one")
+ * @param {string} locale Locale of the name
+ *
+ * @returns {string|undefined} Long name, or undefined if the unit or prefix
+ *                             has no name in the locale
+ */
+export function longName(prefix, symbol, category, locale) {
+  let translation = getTranslation(locale) || englishTranslation();
+  if (!translation.units.hasOwnProperty(symbol)) {
+    return undefined;
+  }
+  let names = translation.units[symbol];
+  let name = names;
+  if (typeof(names) !== "string") {
+    name = names[category] || names.other || Object.values(names)[0];
+  }
+  if (!prefix) {
+    return name;
+  }
+  if (!translation.prefixes.hasOwnProperty(prefix)) {
+    return undefined;
+  }
+  return prefixedName(translation.prefixes[prefix], name, locale);
+}
+
+/**
+ * Replace the long names of units in a unit string with unit symbols, using
+ * the translation table of a locale (e.g. "Kilometer pro Stunde" becomes
+ * "[k]m / hr"). Words that are not names of units are left as they are.
+ *
+ * @param {string} unitString Unit string with long names
+ * @param {string} locale Locale of the names
+ *
+ * @returns {string} Unit string with unit symbols
+ */
+export function translateUnit(unitString, locale) {
+  let translation = getTranslation(locale);
+  if (!translation) {
+    return unitString;
+  }
+  let lower = (str) => str.toLocaleLowerCase(locale);
+  // All forms of every name, with and without prefixes
+  let symbols = {};
+  for (const symbol in translation.units) {
+    let names = translation.units[symbol];
+    let forms = (typeof(names) === "string") ? [names] : Object.values(names);
+    for (const form of forms) {
+      symbols[lower(form)] = symbol;
+      for (const prefix in translation.prefixes) {
+        let name = prefixedName(translation.prefixes[prefix], form, locale);
+        symbols[lower(name)] = "[" + prefix + "]" + symbol;
+      }
+    }
+  }
+  return unitString.trim().split(/\s+/).map((word) => {
+    if (translation.per && lower(word) == lower(translation.per)) {
+      return "/";
+    }
+    let [name, power] = word.split("^");
+    let key = lower(name);
+    if (!symbols.hasOwnProperty(key)) {
+      return word;
+    }
+    return symbols[key] + (typeof(power) === "undefined" ? "" : "^" + power);
+  }).join(" ");
+}
+
+// Join the name of a prefix and a unit, the unit is written in lower case
+// after the prefix (e.g. "Kilo" and "Gramm" make "Kilogramm")
+function prefixedName(prefixName, name, locale) {
+  return prefixName + name[0].toLocaleLowerCase(locale) + name.slice(1);
+}
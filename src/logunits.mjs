@@ -0,0 +1,73 @@
+/*******************************************************************************
+* Logarithmic units such as decibels. A logarithmic unit is a multiple of the
+* logarithm of a power ratio, which is either the ratio of a power quantity to
+* a reference (such as 1 mW for dBm), or the square of the ratio of a
+* root-power quantity to a reference (such as 1 V for dBV). Units without a
+* reference are gains or losses, and are stored as dimensionless power ratios.
+*******************************************************************************/
+
+// Logarithmic units, the value in each unit is f * log_b(power ratio)
+//   f: Multiplier of the logarithm
+//   b: Base of the logarithm
+//   r: Reference quantity as a unit string, units without a reference are
+//      dimensionless gains
+//   root: True if the reference is a root-power quantity, such as a voltage
+export const logUnits = {
+  "bel": {f: 1, b: 10},
+  "dB": {f: 10, b: 10},
+  "Np": {f: 0.5, b: Math.E},
+  "dBW": {f: 10, b: 10, r: "W"},
+  "dBm": {f: 10, b: 10, r: "[m]W"},
+  "dBV": {f: 10, b: 10, r: "V", root: true},
+};
+
+/**
+ * Check if a unit string is a logarithmic unit
+ *
+ * @param {string} unitString Unit string to check
+ *
+ * @returns {boolean} True if the unit string is a logarithmic unit
+ */
+export function isLogUnit(unitString) {
+  return (
+    typeof(unitString) === "string" &&
+    logUnits.hasOwnProperty(unitString.trim())
+  );
+}
+
+/**
+ * Convert a value in a logarithmic unit to the ratio of the quantity to the
+ * unit's reference
+ *
+ * @param {number} level Value in the logarithmic unit
+ * @param {string} symbol Symbol of the logarithmic unit
+ *
+ * @returns {number} Ratio to the reference, a power ratio for gains and
+ *                   power quantities or an amplitude ratio for root-power
+ *                   quantities
+ */
+export function fromLevel(level, symbol) {
+  let unit = logUnits[symbol];
+  let power = unit.root ? 2 * unit.f : unit.f;
+  return Math.pow(unit.b, level / power);
+}
+
+/**
+ * Convert the ratio of a quantity to the reference of a logarithmic unit, to
+ * a value in the logarithmic unit
+ *
+ * @param {number} ratio Ratio to the reference, a power ratio for gains and
+ *                       power quantities or an amplitude ratio for
+ *                       root-power quantities
+ * @param {string} symbol Symbol of the logarithmic unit
+ *
+ * @returns {number} Value in the logarithmic unit
+ */
+export function toLevel(ratio, symbol) {
+  let unit = logUnits[symbol];
+  let power = unit.root ? 2 * unit.f : unit.f;
+  if (unit.b == 10) {
+    return power * Math.log10(ratio);
+  }
+  return power * Math.log(ratio) / Math.log(unit.b);
+}
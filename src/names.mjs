@@ -0,0 +1,162 @@
+/*******************************************************************************
+* Long names of units in English, from the singular and plural names in the
+* unit definitions (e.g. "foot" and "feet"), and of prefixes. Names are used
+* when no translation is registered for a locale, and can be written in unit
+* strings in place of unit symbols (e.g. "kilometers per hour").
+*******************************************************************************/
+
+import {units} from "./unitdefs.mjs";
+
+// Names of prefixes
+export const prefixNames = {
+  "y": "yocto",
+  "z": "zepto",
+  "a": "atto",
+  "f": "femto",
+  "p": "pico",
+  "n": "nano",
+  "u": "micro",
+  "m": "milli",
+  "c": "centi",
+  "d": "deci",
+  "da": "deca",
+  "h": "hecto",
+  "k": "kilo",
+  "M": "mega",
+  "G": "giga",
+  "T": "tera",
+  "P": "peta",
+  "E": "exa",
+  "Z": "zetta",
+  "Y": "yotta",
+  "Ki": "kibi",
+  "Mi": "mebi",
+  "Gi": "gibi",
+  "Ti": "tebi",
+  "Pi": "pebi",
+  "Ei": "exbi",
+  "Zi": "zebi",
+  "Yi": "yobi",
+};
+
+// Other spellings of prefixes that are accepted in unit strings
+const prefixSpellings = {
+  "deka": "da",
+};
+
+// Words for powers of units, in front of the unit (e.g. "square meters") or
+// after it (e.g. "seconds squared")
+export const powerWords = {
+  "square": 2,
+  "cubic": 3,
+  "squared": 2,
+  "cubed": 3,
+};
+
+// Tables of the names of units, built when they are first used (see
+// nameTables)
+let tables;
+
+/**
+ * Get the translation table of English names, in the form of the tables of
+ * defineTranslation
+ *
+ * @returns {Object} Translation table of the units with names in the unit
+ *                   definitions
+ */
+export function englishTranslation() {
+  return nameTables().translation;
+}
+
+/**
+ * Get the unit string of a long name of a unit, in the singular or plural
+ * and with an optional prefix (e.g. "kilometers" is "[k]m"). Names are not
+ * case sensitive, and a hyphen may be written as a space (e.g. "pounds
+ * force").
+ *
+ * @param {string} name Long name of the unit
+ *
+ * @returns {string|undefined} Unit string, or undefined if there is no unit
+ *                             with the name
+ */
+export function symbolOfName(name) {
+  let symbols = nameTables().symbols;
+  let key = name.toLowerCase();
+  if (symbols.hasOwnProperty(key)) {
+    return symbols[key];
+  }
+  for (const spelling in nameTables().prefixes) {
+    let rest = key.slice(spelling.length);
+    if (key.startsWith(spelling) && symbols.hasOwnProperty(rest)) {
+      return "[" + nameTables().prefixes[spelling] + "]" + symbols[rest];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check if a word is the first word of a long name of a unit that has more
+ * than one word (e.g. "nautical" or "pica")
+ *
+ * @param {string} word Word to check
+ *
+ * @returns {boolean} True if a name starts with the word
+ */
+export function startsName(word) {
+  return nameTables().firstWords.has(word.toLowerCase());
+}
+
+/**
+ * Get the largest number of words in a long name of a unit
+ *
+ * @returns {number} Number of words in the longest name, a hyphen also
+ *                   separates words
+ */
+export function maxNameWords() {
+  return nameTables().maxWords;
+}
+
+// Build the tables of names from the unit definitions, which are the English
+// translation table, the unit symbols of all forms of the names in lower case,
+// the prefix symbols of the names of prefixes, the first words of names with
+// more than one word and the largest number of words in a name
+function nameTables() {
+  if (tables) {
+    return tables;
+  }
+  tables = {
+    translation: {
+      units: {},
+      prefixes: prefixNames,
+      per: "per",
+      powers: {2: "square", 3: "cubic"},
+    },
+    symbols: {},
+    prefixes: Object.assign({}, prefixSpellings),
+    firstWords: new Set(),
+    maxWords: 1,
+  };
+  for (const symbol in units) {
+    let names = units[symbol].n;
+    if (!names || tables.translation.units.hasOwnProperty(symbol)) {
+      continue;
+    }
+    tables.translation.units[symbol] = {one: names[0], other: names[1]};
+    for (const form of names) {
+      for (const key of [form, form.replace(/-/g, " ")]) {
+        if (!tables.symbols.hasOwnProperty(key.toLowerCase())) {
+          tables.symbols[key.toLowerCase()] = symbol;
+        }
+      }
+      let words = form.toLowerCase().split(/[\s-]/);
+      if (words.length > 1) {
+        tables.firstWords.add(words[0]);
+      }
+      tables.maxWords = Math.max(tables.maxWords, words.length);
+    }
+  }
+  for (const prefix in prefixNames) {
+    tables.prefixes[prefixNames[prefix]] = prefix;
+  }
+  return tables;
+}
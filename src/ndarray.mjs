@@ -0,0 +1,481 @@
+/*******************************************************************************
+* Functions for N-dimensional magnitudes. Magnitudes are stored as flat arrays
+* (or typed arrays) in row-major order along with a shape, e.g. the nested
+* array [[1, 2, 3], [4, 5, 6]] is stored as [1, 2, 3, 4, 5, 6] with the shape
+* [2, 3]. Scalars have the shape [].
+*******************************************************************************/
+
+import {VectorLengthError, InvalidArgumentError} from "./errors.mjs";
+
+/**
+ * Flatten a nested array into a flat array and its shape
+ *
+ * @param {Array} nested Nested array, every sub-array at the same depth must
+ *                       have the same length
+ *
+ * @returns {[Array, number[]]} Flat array and shape
+ */
+export function flatten(nested) {
+  let shape = [];
+  let level = nested;
+  while (level instanceof Array) {
+    shape.push(level.length);
+    level = level[0];
+  }
+  let flat = [];
+  (function visit(value, depth) {
+    if (depth == shape.length) {
+      if (value instanceof Array) {
+        throw new InvalidArgumentError(
+          "Nested arrays must all have the same shape", nested
+        );
+      }
+      flat.push(value);
+      return;
+    }
+    if (!(value instanceof Array) || value.length != shape[depth]) {
+      throw new InvalidArgumentError(
+        "Nested arrays must all have the same shape", nested
+      );
+    }
+    for (let ii=0; ii<value.length; ii++) {
+      visit(value[ii], depth + 1);
+    }
+  })(nested, 0);
+  return [flat, shape];
+}
+
+/**
+ * Create a nested array from a flat array and a shape, the inverse of
+ * flatten
+ *
+ * @param {Array} flat Flat array of values
+ * @param {number[]} shape Shape of the nested array
+ *
+ * @returns {Array} Nested array, or the flat array if it is one dimensional
+ */
+export function nest(flat, shape) {
+  if (shape.length <= 1) {
+    return flat;
+  }
+  let offset = 0;
+  return (function build(depth) {
+    let output = new Array(shape[depth]);
+    for (let ii=0; ii<shape[depth]; ii++) {
+      if (depth == shape.length - 1) {
+        output[ii] = flat[offset++];
+      } else {
+        output[ii] = build(depth + 1);
+      }
+    }
+    return output;
+  })(0);
+}
+
+/**
+ * Format a nested array as a string (e.g. "[[1,2],[3,4]]")
+ *
+ * @param {Array} nested Nested array of values
+ * @param {function} format Function to format each value as a string
+ *                          (default=String). If any formatted value contains
+ *                          a comma, the values are separated by ", "
+ *
+ * @returns {string} Nested array as a string
+ */
+export function nestedString(nested, format) {
+  format = format || String;
+  let separator = ",";
+  let formatted = (function formatLevel(level) {
+    return level.map((value) => {
+      if (value instanceof Array) {
+        return formatLevel(value);
+      }
+      let item = format(value);
+      if (item.includes(",")) {
+        separator = ", ";
+      }
+      return item;
+    });
+  })(nested);
+  return (function join(level) {
+    let items = level.map(
+      (item) => (item instanceof Array) ? join(item) : item
+    );
+    return "[" + items.join(separator) + "]";
+  })(formatted);
+}
+
+/**
+ * Get the number of elements in an array with the provided shape
+ */
+export function shapeSize(shape) {
+  let size = 1;
+  for (let ii=0; ii<shape.length; ii++) {
+    size *= shape[ii];
+  }
+  return size;
+}
+
+/**
+ * Get the shape of the result of an operation on two arrays, following the
+ * NumPy broadcasting rules: shapes are compared from the last axis, and axes
+ * must either be the same length or one of them must be 1
+ *
+ * @param {number[]} shape1 Shape of the first array
+ * @param {number[]} shape2 Shape of the second array
+ *
+ * @returns {number[]} Shape of the result
+ */
+export function broadcastShapes(shape1, shape2) {
+  let numAxes = Math.max(shape1.length, shape2.length);
+  let shape = new Array(numAxes);
+  for (let ii=1; ii<=numAxes; ii++) {
+    let len1 = (ii <= shape1.length) ? shape1[shape1.length - ii] : 1;
+    let len2 = (ii <= shape2.length) ? shape2[shape2.length - ii] : 1;
+    if (len1 != len2 && len1 != 1 && len2 != 1) {
+      throw new VectorLengthError(
+        "Cannot broadcast arrays with shapes " + shapeString(shape1) +
+        " and " + shapeString(shape2) + ", the lengths of each axis must " +
+        "be the same or one of them must be 1",
+        [shapeSize(shape1), shapeSize(shape2)], [shape1, shape2]
+      );
+    }
+    shape[numAxes - ii] = Math.max(len1, len2);
+  }
+  return shape;
+}
+
+/**
+ * Expand a flat array to a larger shape it can be broadcast to. Arrays that
+ * already have the shape, or have a single element, are returned as they are.
+ *
+ * @param {Array} values Flat array of values, may be undefined
+ * @param {number[]} shape Shape of the values
+ * @param {number[]} newShape Shape to broadcast the values to
+ *
+ * @returns {Array} Flat array with the new shape
+ */
+export function expand(values, shape, newShape) {
+  if (!values || values.length == 1 || sameShape(shape, newShape)) {
+    return values;
+  }
+  let size = shapeSize(newShape);
+  let output = new values.constructor(size);
+  let strides = broadcastStrides(shape, newShape);
+  let index = new Array(newShape.length).fill(0);
+  let source = 0;
+  for (let ii=0; ii<size; ii++) {
+    output[ii] = values[source];
+    // Step to the next index, from the last axis
+    for (let axis=newShape.length-1; axis>=0; axis--) {
+      index[axis]++;
+      source += strides[axis];
+      if (index[axis] < newShape[axis]) {
+        break;
+      }
+      source -= strides[axis] * index[axis];
+      index[axis] = 0;
+    }
+  }
+  return output;
+}
+
+/**
+ * Get the flat indexes of the elements selected by a list of indexes and
+ * ranges, one for each axis
+ *
+ * @param {number[]} shape Shape of the array
+ * @param {Array} ranges Selection for each axis, an integer index (which
+ *                       removes the axis), an array of [start, end, step]
+ *                       (end and step are optional, negative values count
+ *                       from the end) or null for the whole axis. Axes
+ *                       without a range are selected whole.
+ *
+ * @returns {[number[], number[]]} Flat indexes and the shape of the selection
+ */
+export function selection(shape, ranges) {
+  if (ranges.length > shape.length) {
+    throw new InvalidArgumentError(
+      "Too many indexes for an array with shape " + shapeString(shape), ranges
+    );
+  }
+  let axisIndexes = [];
+  let newShape = [];
+  for (let axis=0; axis<shape.length; axis++) {
+    let length = shape[axis];
+    let range = ranges[axis];
+    let indexes = [];
+    if (range === null || typeof(range) === "undefined") {
+      for (let ii=0; ii<length; ii++) {
+        indexes.push(ii);
+      }
+      newShape.push(length);
+    } else if (typeof(range) === "number") {
+      let index = (range < 0) ? range + length : range;
+      if (!Number.isInteger(index) || index < 0 || index >= length) {
+        throw new InvalidArgumentError(
+          "Index " + range + " is out of range for an axis of length " +
+          length, range
+        );
+      }
+      indexes.push(index);
+    } else if (range instanceof Array) {
+      let step = (typeof(range[2]) === "undefined") ? 1 : range[2];
+      if (!Number.isInteger(step) || step < 1) {
+        throw new InvalidArgumentError(
+          "Slice step must be a positive integer", range
+        );
+      }
+      let start = clampIndex(range[0], 0, length);
+      let end = clampIndex(range[1], length, length);
+      for (let ii=start; ii<end; ii+=step) {
+        indexes.push(ii);
+      }
+      newShape.push(indexes.length);
+    } else {
+      throw new InvalidArgumentError(
+        "Indexes must be integers, arrays of [start, end, step] or null",
+        range
+      );
+    }
+    axisIndexes.push(indexes);
+  }
+  // Combine the indexes of each axis into flat indexes
+  let flatIndexes = [0];
+  for (let axis=0; axis<shape.length; axis++) {
+    let combined = [];
+    for (let ii=0; ii<flatIndexes.length; ii++) {
+      for (let jj=0; jj<axisIndexes[axis].length; jj++) {
+        combined.push(flatIndexes[ii] * shape[axis] + axisIndexes[axis][jj]);
+      }
+    }
+    flatIndexes = combined;
+  }
+  return [flatIndexes, newShape];
+}
+
+/**
+ * Reduce the values along an axis of an array, such as for a sum
+ *
+ * @param {Array} values Flat array of values
+ * @param {number[]} shape Shape of the values
+ * @param {number} axis Axis to reduce, negative values count from the last 
+ *                      axis. All of the values are reduced if undefined.
+ * @param {function} reduce Function reduce(Array) -> value, called with the
+ *                          values along the axis
+ *
+ * @returns {[Array, number[]]} Reduced values and their shape
+ */
+export function reduceAxis(values, shape, axis, reduce) {
+  if (typeof(axis) === "undefined") {
+    let output = new values.constructor(1);
+    output[0] = reduce(Array.from(values));
+    return [output, []];
+  }
+  axis = checkAxis(shape, axis);
+  let newShape = shape.slice(0, axis).concat(shape.slice(axis + 1));
+  let lines = axisLines(shape, axis);
+  let output = new values.constructor(lines.length);
+  for (let ii=0; ii<lines.length; ii++) {
+    output[ii] = reduce(lines[ii].map((index) => values[index]));
+  }
+  return [output, newShape];
+}
+
+/**
+ * Transform the values along an axis of an array, such as for a cumulative
+ * sum
+ *
+ * @param {Array} values Flat array of values
+ * @param {number[]} shape Shape of the values
+ * @param {number} axis Axis to transform, negative values count from the last
+ *                      axis
+ * @param {function} transform Function transform(Array) -> Array, called with
+ *                             the values along the axis. The results must all
+ *                             have the same length.
+ *
+ * @returns {[Array, number[]]} Transformed values and their shape
+ */
+export function scanAxis(values, shape, axis, transform) {
+  axis = checkAxis(shape, axis);
+  let lines = axisLines(shape, axis);
+  let results = lines.map(
+    (line) => transform(line.map((index) => values[index]))
+  );
+  let newShape = shape.slice();
+  newShape[axis] = (results.length > 0) ? results[0].length : 0;
+  let newLines = axisLines(newShape, axis);
+  let output = new values.constructor(shapeSize(newShape));
+  for (let ii=0; ii<newLines.length; ii++) {
+    for (let jj=0; jj<newLines[ii].length; jj++) {
+      output[newLines[ii][jj]] = results[ii][jj];
+    }
+  }
+  return [output, newShape];
+}
+
+/**
+ * Join arrays along their last axis, the other axes must be the same
+ *
+ * @param {Array[]} valuesList Flat arrays of values to join
+ * @param {number[][]} shapes Shape of each array of values
+ *
+ * @returns {[Array, number[]]} Joined values and their shape
+ */
+export function concatLast(valuesList, shapes) {
+  let outerShape = shapes[0].slice(0, -1);
+  let newShape = outerShape.concat([0]);
+  for (let ii=0; ii<shapes.length; ii++) {
+    if (!sameShape(shapes[ii].slice(0, -1), outerShape)) {
+      throw new VectorLengthError(
+        "Cannot join arrays with shapes " + 
+        shapes.map(shapeString).join(" and "),
+        shapes.map(shapeSize), shapes
+      );
+    }
+    newShape[newShape.length - 1] += shapes[ii][shapes[ii].length - 1];
+  }
+  let output = new valuesList[0].constructor(shapeSize(newShape));
+  let position = 0;
+  for (let ii=0; ii<shapeSize(outerShape); ii++) {
+    for (let jj=0; jj<valuesList.length; jj++) {
+      let length = shapes[jj][shapes[jj].length - 1];
+      for (let kk=0; kk<length; kk++) {
+        output[position++] = valuesList[jj][ii*length + kk];
+      }
+    }
+  }
+  return [output, newShape];
+}
+
+/**
+ * Dot product of two arrays with one or two axes. Vectors give a scalar, and
+ * matrices are multiplied with the matrix product.
+ *
+ * @param {Array} a Flat array of values of the first array
+ * @param {number[]} shapeA Shape of the first array
+ * @param {Array} b Flat array of values of the second array
+ * @param {number[]} shapeB Shape of the second array
+ * @param {function} add Function to add two values
+ * @param {function} mul Function to multiply two values
+ * @param {function} outputType Constructor of the output array (default=Array)
+ *
+ * @returns {[Array, number[]]} Values of the product and their shape
+ */
+export function dotProduct(a, shapeA, b, shapeB, add, mul, outputType) {
+  if (    shapeA.length < 1 || shapeA.length > 2 
+       || shapeB.length < 1 || shapeB.length > 2) {
+    throw new InvalidArgumentError(
+      "Dot products are only supported for vectors and matrices", 
+      [shapeA, shapeB]
+    );
+  }
+  // Treat vectors as a single row (first input) or column (second input)
+  let rows = (shapeA.length == 2) ? shapeA[0] : 1;
+  let inner = shapeA[shapeA.length - 1];
+  let columns = (shapeB.length == 2) ? shapeB[1] : 1;
+  if (inner != shapeB[0]) {
+    throw new VectorLengthError(
+      "Cannot take the dot product of arrays with shapes " + 
+      shapeString(shapeA) + " and " + shapeString(shapeB), 
+      [shapeSize(shapeA), shapeSize(shapeB)], [shapeA, shapeB]
+    );
+  }
+  let output = new (outputType || Array)(rows * columns);
+  for (let ii=0; ii<rows; ii++) {
+    for (let jj=0; jj<columns; jj++) {
+      let total = mul(a[ii*inner], b[jj]);
+      for (let kk=1; kk<inner; kk++) {
+        total = add(total, mul(a[ii*inner + kk], b[kk*columns + jj]));
+      }
+      output[ii*columns + jj] = total;
+    }
+  }
+  let shape = [];
+  if (shapeA.length == 2) {
+    shape.push(rows);
+  }
+  if (shapeB.length == 2) {
+    shape.push(columns);
+  }
+  return [output, shape];
+}
+
+/**
+ * Check if two shapes are the same
+ */
+export function sameShape(shape1, shape2) {
+  if (shape1.length != shape2.length) {
+    return false;
+  }
+  for (let ii=0; ii<shape1.length; ii++) {
+    if (shape1[ii] != shape2[ii]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Format a shape for error messages (e.g. "[2, 3]")
+ */
+export function shapeString(shape) {
+  return "[" + shape.join(", ") + "]";
+}
+
+// Steps in the flat source array for each axis of the broadcast shape, axes
+// that are broadcast have a step of zero
+function broadcastStrides(shape, newShape) {
+  let strides = new Array(newShape.length).fill(0);
+  let stride = 1;
+  for (let ii=1; ii<=shape.length; ii++) {
+    let length = shape[shape.length - ii];
+    if (length != 1) {
+      strides[newShape.length - ii] = stride;
+    }
+    stride *= length;
+  }
+  return strides;
+}
+
+// Check that an axis is in the shape, and resolve negative axes
+function checkAxis(shape, axis) {
+  let resolved = (axis < 0) ? axis + shape.length : axis;
+  if (!Number.isInteger(resolved) || resolved < 0 || resolved >= shape.length) {
+    throw new InvalidArgumentError(
+      "Axis " + axis + " is out of range for an array with shape " +
+      shapeString(shape), axis
+    );
+  }
+  return resolved;
+}
+
+// Flat indexes of the values along an axis, for every index of the other 
+// axes in row-major order
+function axisLines(shape, axis) {
+  let stride = shapeSize(shape.slice(axis + 1));
+  let outer = shapeSize(shape.slice(0, axis));
+  let length = shape[axis];
+  let lines = [];
+  for (let ii=0; ii<outer; ii++) {
+    for (let jj=0; jj<stride; jj++) {
+      let line = new Array(length);
+      for (let kk=0; kk<length; kk++) {
+        line[kk] = (ii*length + kk)*stride + jj;
+      }
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+// Resolve a slice start or end index, negative values count from the end
+function clampIndex(index, defaultIndex, length) {
+  if (index === null || typeof(index) === "undefined") {
+    return defaultIndex;
+  }
+  if (index < 0) {
+    index += length;
+  }
+  return Math.min(Math.max(index, 0), length);
+}
@@ -6,34 +6,229 @@
 
 // Import unit definitions
 import {units, prefixes, dimensionTypes} from "./unitdefs.mjs";
+import {
+  PqmError,
+  DimensionMismatchError,
+  KindMismatchError,
+  UnitParseError,
+  UnknownUnitError,
+  UnknownPrefixError,
+  OffsetUnitError,
+  LogUnitError,
+  FunctionalUnitError,
+  VectorLengthError,
+  InvalidArgumentError,
+} from "./errors.mjs";
+import {suggest, suggestPrefix} from "./suggest.mjs";
+import {describeDimensions} from "./dimensions.mjs";
+import {checkWeights, findUnits} from "./unitsearch.mjs";
+import {
+  Rational,
+  toRational,
+  parseRational,
+  ratAdd,
+  ratMul,
+  ratDiv,
+  ratNeg,
+  ratAbs,
+  ratEq,
+  ratDenominator,
+  gcd,
+} from "./rational.mjs";
+import {
+  BigRational,
+  bigRational,
+  bigFromNumber,
+  bigAdd,
+  bigSub,
+  bigMul,
+  bigDiv,
+  bigPow,
+} from "./bigrational.mjs";
+import {BigDecimal} from "./bigdecimal.mjs";
+import {logUnits, isLogUnit, fromLevel, toLevel} from "./logunits.mjs";
+import {functionalUnits, isFunctionalUnit} from "./functional.mjs";
+import {
+  symbolOfName,
+  startsName,
+  maxNameWords,
+  powerWords,
+} from "./names.mjs";
+import {
+  splitUnitName,
+  checkFormat,
+  formatNumber,
+  formatUnit,
+  formatLongUnit,
+  markupQuantity,
+  siunitxQuantity,
+} from "./format.mjs";
+import {
+  checkLocale,
+  localeSymbols,
+  groupInteger,
+  delocalizeDigits,
+  defineTranslation,
+  translateUnit,
+} from "./locale.mjs";
+import {
+  flatten,
+  nest,
+  shapeSize,
+  broadcastShapes,
+  expand,
+  selection,
+  nestedString,
+  reduceAxis,
+  scanAxis,
+  dotProduct,
+  concatLast,
+  sameShape,
+} from "./ndarray.mjs";
+import {
+  numberBackend,
+  bigDecimalBackend,
+  decimalAdapter,
+  checkBackend,
+} from "./backends.mjs";
+import {
+  unitKinds, 
+  kindsWithDimensions, 
+  kindDimensions, 
+  registerKind,
+} from "./kinds.mjs";
 
 // Constants
 const numDimensionTypes = dimensionTypes.length;
 
+// Module settings, changed with the configure function
+const settings = {
+  // Refuse to add, subtract or convert quantities of different kinds
+  strictKinds: false,
+  // Keep magnitudes as exact BigInt rational numbers through calculations 
+  // and conversions, only rounding to numbers for the result
+  exact: false,
+  // Numeric backend used for the magnitudes of quantities
+  backend: numberBackend,
+  // Prefixes to choose from when picking the best prefix for a unit, the name
+  // of a list in prefixLists or an array of prefix symbols
+  prefixes: "engineering",
+  // Locale to display and parse numbers and long unit names in, undefined 
+  // for the default format of JavaScript numbers and unit symbols
+  locale: undefined,
+};
+
+// Lists of prefixes to choose from when picking the best prefix for a unit, 
+// an empty string is the unit without a prefix
+const prefixLists = {
+  engineering: [
+    "y", "z", "a", "f", "p", "n", "u", "m", "", 
+    "k", "M", "G", "T", "P", "E", "Z", "Y",
+  ],
+  all: [
+    "y", "z", "a", "f", "p", "n", "u", "m", "c", "d", "", 
+    "da", "h", "k", "M", "G", "T", "P", "E", "Z", "Y",
+  ],
+  binary: ["", "Ki", "Mi", "Gi", "Ti", "Pi", "Ei", "Zi", "Yi"],
+};
+
+// Exact scales of units that are repeating decimals in the unit definitions,
+// or that are rounded products of exact factors (e.g. ft-lb is 0.3048 m times
+// 0.45359237 kg times 9.80665 m/s^2), as [numerator, denominator]. Numbers 
+// larger than the largest safe integer are strings. Used in exact mode, all 
+// other units use the decimal value of their scale.
+const exactScales = {
+  "degF": [5, 9],
+  "Ra": [5, 9],
+  "Rank": [5, 9],
+  "deltaF": [5, 9],
+  "kph": [5, 18],
+  "assay_ton": [7, 240],
+  "survey_ft": [1200, 3937],
+  "survey_mi": [6336000, 3937],
+  "chain": [79200, 3937],
+  "link": [792, 3937],
+  "rod": [19800, 3937],
+  "furlong": [792000, 3937],
+  "us_fathom": [7200, 3937],
+  "denier": [1, 9000000],
+  "U": [1, 60000000],
+  "pica": [127, 30000],
+  "picapt": [127, 360000],
+  "knot": [463, 900],
+  "admkn": [4826, 9375],
+  "Torr": [20265, 152],
+  "acre": [62726400000, 15499969],
+  "us_acre": [62726400000, 15499969],
+  "sg": [8896443230521, 609600000000],
+  "slug": [8896443230521, 609600000000],
+  "ozf": [8896443230521, 32000000000000],
+  "psi": [8896443230521, 1290320000],
+  "psi-g": [8896443230521, 1290320000],
+  "ft-lb": [3389544870828501, 2500000000000000],
+  "ft-lbf": [3389544870828501, 2500000000000000],
+  "HP": ["37284993579113511", 50000000000000],
+  "HPh": ["335564942212021599", 125000000000],
+  "footcandle": [1562500, 145161],
+};
+
+// Exact offsets of units that are repeating decimals in the unit definitions
+const exactOffsets = {
+  "degF": [45967, 180],
+};
+
 /**
  * Class representing a physical quantity, that can be used in various 
  * forms of arithmetic such as addition and multiplication.
  * 
- * @param {number|number[]} magnitude Relative magnitude from reference unit
- * @param {number[]} dimensions Base dimensions of the unit
+ * @param {number|Array|Float64Array|Float32Array} magnitude Relative 
+ *        magnitude from reference unit, converted to a value of the current 
+ *        numeric backend. Nested arrays are N-dimensional magnitudes. 
+ *        Float64Array and Float32Array magnitudes are used as they are, 
+ *        without a copy, when using the number backend, other typed arrays
+ *        are converted to a Float64Array
+ * @param {Array<number|Rational>} dimensions Base dimensions of the unit, 
+ *                                           may be rational powers
  * @param {number} offsets Base offsets from nominal of the unit (temperature 
  *                 scales only valid for units that do not have compound 
  *                 dimensions
+ * @param {string} kind Kind of quantity (e.g. "energy" or "torque"), if 
+ *                      known
+ * @param {number[]} shape Shape of the magnitude if it is a flat array of an
+ *                         N-dimensional magnitude (default=shape of the 
+ *                         magnitude)
  */
-function Quantity(magnitude, dimensions, offset) {
+function Quantity(magnitude, dimensions, offset, kind, shape) {
+  // Integer typed arrays would truncate the results of math, so they are 
+  // converted to a Float64Array
+  if (isTypedArray(magnitude) && !isFloatArray(magnitude)) {
+    magnitude = Float64Array.from(magnitude, Number);
+  }
   // Fill in member values
   let magInputLength;
-  if (magnitude instanceof Array) {
+  if (magnitude instanceof Array || isTypedArray(magnitude)) {
+    if (shape) {
+      this.shape = shape.slice();
+    } else if (magnitude instanceof Array && magnitude[0] instanceof Array) {
+      [magnitude, this.shape] = flatten(magnitude);
+    } else {
+      this.shape = [magnitude.length];
+    }
     magInputLength = magnitude.length;
     this.isScalar = false;
   } else {
     magInputLength = 1;
     magnitude = [magnitude];
+    this.shape = [];
     this.isScalar = true;
   }
-  this.magnitude = new Array(magInputLength);
-  for (let ii=0; ii<magInputLength; ii++) {
-    this.magnitude[ii] = magnitude[ii];
+  if (isTypedArray(magnitude) && settings.backend === numberBackend) {
+    this.magnitude = magnitude;
+  } else {
+    this.magnitude = new Array(magInputLength);
+    for (let ii=0; ii<magInputLength; ii++) {
+      this.magnitude[ii] = settings.backend.value(magnitude[ii]);
+    }
   }
   //this.dimensions = new Array(numDimensionTypes);
   if (dimensions) {
@@ -50,6 +245,7 @@ function Quantity(magnitude, dimensions, offset) {
   } else {
     this.offset = 0;
   }
+  this.kind = kind;
 }
 
 /**
@@ -76,10 +272,10 @@ Quantity.prototype.dimensionality = function() {
   let total = 0;
   for (let ii=0; ii<numDimensionTypes; ii++) {
     if (this.dimensions[ii] != 0) {
-      total += Math.abs(this.dimensions[ii]);
+      total = ratAdd(total, ratAbs(this.dimensions[ii]));
     }
   }
-  return total;
+  return Number(total);
 };
 
 /**
@@ -101,8 +297,11 @@ Quantity.prototype.copyDimensions = function() {
  * @returns {Array} Copy of this quantity's magnitude array
  */
 Quantity.prototype.copyMagnitude = function() {
-  let magCopy = new Array(numDimensionTypes);
-  for (let ii=0; ii<numDimensionTypes; ii++) {
+  if (isTypedArray(this.magnitude)) {
+    return this.magnitude.slice();
+  }
+  let magCopy = new Array(this.magnitude.length);
+  for (let ii=0; ii<this.magnitude.length; ii++) {
     magCopy[ii] = this.magnitude[ii];
   }
   return magCopy;
@@ -114,7 +313,155 @@ Quantity.prototype.copyMagnitude = function() {
 * @returns {Quantity} Copy of the Quantity
 */
 Quantity.prototype.copy = function() {
-  return new Quantity(this.copyMagnitude(), this.copyDimensions(), this.offset);
+  let magnitude = this.isScalar ? this.magnitude[0] : this.copyMagnitude();
+  let newQuantity = new Quantity(
+    magnitude, this.copyDimensions(), this.offset, this.kind, this.shape
+  );
+  newQuantity.log = this.log;
+  newQuantity.functional = this.functional;
+  if (this.uncertainty) {
+    newQuantity.uncertainty = this.uncertainty.slice();
+  }
+  if (this.interval) {
+    newQuantity.interval = this.interval.map((bound) => bound.slice());
+  }
+  if (this.exact) {
+    newQuantity.exact = this.exact.slice();
+  } else {
+    newQuantity.exact = this.exact;
+  }
+  return newQuantity;
+};
+
+/**
+ * Describe the dimensions of this quantity in a human readable form, with the
+ * name of the kind of quantity if it is known (e.g. "energy 
+ * (mass·length²/time²)")
+ * 
+ * @param {boolean} useSymbols Show the dimensions using SI base unit symbols
+ *                             (e.g. "kg·m²/s²") instead of the names of the
+ *                             dimensions (default=false)
+ * 
+ * @returns {string} Description of the dimensions of the quantity
+ */
+Quantity.prototype.describeDimensions = function(useSymbols) {
+  return describeDimensions(this.dimensions, useSymbols, this.kind);
+};
+
+/**
+ * Get a copy of this quantity as a specific kind of quantity, for example to
+ * mark a quantity in "N m" as a torque rather than an energy
+ * 
+ * @param {string} kind Name of a registered kind with the same dimensions as
+ *                      this quantity
+ * 
+ * @returns {Quantity} Copy of this quantity with the kind
+ */
+Quantity.prototype.asKind = function(kind) {
+  let dimensions = kindDimensions(kind);
+  if (!dimensions) {
+    throw new InvalidArgumentError(kind + " is not a registered kind", kind);
+  }
+  let kindQuantity = new Quantity(1, dimensions.slice(), 0, kind);
+  if (!this.sameDimensions(kindQuantity)) {
+    throw new DimensionMismatchError(
+      "Cannot use " + this.describeDimensions(true) + " as " + 
+      kindQuantity.describeDimensions(true),
+      this.dimensions, kindQuantity.dimensions
+    );
+  }
+  let newQuantity = this.copy();
+  newQuantity.kind = kind;
+  return newQuantity;
+};
+
+/**
+ * Select part of an array quantity with an index or range for each axis, the
+ * selection keeps the units of the quantity
+ * 
+ * @param {...(number|number[]|null)} ranges Selection for each axis, starting
+ *        from the first. Either an integer index, which removes the axis, an
+ *        array of [start, end, step] (end and step are optional, negative 
+ *        values count from the end) or null for the whole axis. Axes that are
+ *        not provided are selected whole.
+ * 
+ * @returns {Quantity} Selected part of the quantity, a scalar quantity if 
+ *                     every axis is indexed
+ */
+Quantity.prototype.slice = function(...ranges) {
+  if (this.isScalar) {
+    throw new InvalidArgumentError("Cannot index a scalar quantity", ranges);
+  }
+  let [indexes, shape] = selection(this.shape, ranges);
+  let magnitude = new this.magnitude.constructor(indexes.length);
+  for (let ii=0; ii<indexes.length; ii++) {
+    magnitude[ii] = this.magnitude[indexes[ii]];
+  }
+  let exact = exactOf(this);
+  if (shape.length == 0) {
+    magnitude = magnitude[0];
+  }
+  let newQuantity = new Quantity(
+    magnitude, this.copyDimensions(), this.offset, this.kind, shape
+  );
+  newQuantity.log = this.log;
+  newQuantity.functional = this.functional;
+  if (this.uncertainty) {
+    newQuantity.uncertainty = indexes.map((index) => this.uncertainty[index]);
+  }
+  if (this.interval) {
+    newQuantity.interval = this.interval.map(
+      (bound) => indexes.map((index) => bound[index])
+    );
+  }
+  if (exact) {
+    newQuantity.exact = indexes.map((index) => exact[index]);
+  } else {
+    newQuantity.exact = this.exact;
+  }
+  return newQuantity;
+};
+
+/**
+ * Get an element or sub-array of an array quantity, keeping its units
+ * 
+ * @param {...number} indexes Integer index for each axis, starting from the
+ *                            first. Negative indexes count from the end.
+ * 
+ * @returns {Quantity} Element (a scalar quantity) or sub-array
+ */
+Quantity.prototype.get = function(...indexes) {
+  for (let ii=0; ii<indexes.length; ii++) {
+    if (!Number.isInteger(indexes[ii])) {
+      throw new InvalidArgumentError("Indexes must be integers", indexes[ii]);
+    }
+  }
+  return this.slice(...indexes);
+};
+
+/**
+ * Get a copy of an array quantity with a different shape and the same number
+ * of elements, such as to give a typed array two dimensions
+ * 
+ * @param {number[]} shape New shape of the quantity
+ * 
+ * @returns {Quantity} Quantity with the new shape
+ */
+Quantity.prototype.reshape = function(shape) {
+  if (    !(shape instanceof Array) 
+       || !shape.every((length) => Number.isInteger(length) && length >= 0)
+       || shapeSize(shape) != this.magnitude.length
+       || (this.isScalar && shape.length > 0)) {
+    throw new InvalidArgumentError(
+      "Cannot reshape a quantity with " + this.magnitude.length + 
+      " elements to shape [" + shape + "]", shape
+    );
+  }
+  let newQuantity = this.copy();
+  if (!this.isScalar) {
+    newQuantity.shape = shape.slice();
+  }
+  return newQuantity;
 };
 
 /**
@@ -128,7 +475,7 @@ Quantity.prototype.sameDimensions = function(other) {
   // Convert to a quantity if a number is supplied as input
   other = Quantity.toQuantity(other);
   for (let ii=0; ii<numDimensionTypes; ii++) {
-    if (this.dimensions[ii] != other.dimensions[ii]) {
+    if (!ratEq(this.dimensions[ii], other.dimensions[ii])) {
       return false;
     }
   }
@@ -140,43 +487,84 @@ Quantity.prototype.sameDimensions = function(other) {
 *
 * @param {Quantity|number} other Value to add as a physical quantity, must
 *                                not have an offset.
+* @param {Object} options Options for quantities in logarithmic units
+* @param {boolean} options.linear Add the linear values of quantities in 
+*                                 logarithmic units (such as the powers of 
+*                                 two dBm values) rather than applying gains
 * 
 * @return {Quantity} Added value
 */
-Quantity.prototype.add = function(other) {
+Quantity.prototype.add = function(other, options) {
   // Check user input
   other = Quantity.toQuantity(other);
+  options = options || {};
+  checkFunctional("add", this, other);
+  if ((this.log || other.log) && !options.linear) {
+    return logAdd(this, other);
+  }
   if (!this.sameDimensions(other)) {
-    throw "Cannot add units that are not alike";
+    throw new DimensionMismatchError(
+      mismatchMessage("Cannot add units that are not alike", this, other),
+      this.dimensions, other.dimensions
+    );
   }
   if (other.offset != 0) {
-    throw ("A unit with a zero offset (such as degC or degF) cannot be " +
-            "added to another unit");
+    throw new OffsetUnitError(
+      "A unit with a zero offset (such as degC or degF) cannot be added to " +
+      "another unit", other.offset
+    );
   }
+  checkKinds("add", this, other);
   // Adding a value treats the second input value as a delta, in the case of 
   // units with offsets
+  let shape = broadcastShapes(this.shape, other.shape);
   let newMagnitude = arrayAdd(
-    this.magnitude, other.magnitude, 
+    expandTo(this, shape), expandTo(other, shape), 
     (this.isScalar && other.isScalar)
   );
-  return new Quantity(newMagnitude, this.copyDimensions(), this.offset);
+  let newExact = exactOp(
+    expandExactTo(this, shape), expandExactTo(other, shape), bigAdd
+  );
+  let newQuantity = new Quantity(
+    newMagnitude, this.copyDimensions(), this.offset, 
+    combineKinds(this.kind, other.kind), shape
+  );
+  newQuantity.log = this.log || other.log;
+  newQuantity.uncertainty = sumUncertainty(this, other, shape);
+  newQuantity.interval = intervalOp(this, other, shape, (a, b) => a + b);
+  return withExact(newQuantity, newExact);
 };
 
 /**
 * Subtract physical quantities
 *
 * @param {Quantity} other Value to subtract
+* @param {Object} options Options for quantities in logarithmic units
+* @param {boolean} options.linear Subtract the linear values of quantities in
+*                                 logarithmic units rather than applying 
+*                                 gains or finding the ratio of levels
+* 
 * @return {Quantity} Result of the subtraction
 */
-Quantity.prototype.sub = function(other) {
+Quantity.prototype.sub = function(other, options) {
   // Check user input
   other = Quantity.toQuantity(other);
+  options = options || {};
+  checkFunctional("subtract", this, other);
+  if ((this.log || other.log) && !options.linear) {
+    return logSub(this, other);
+  }
   if (!this.sameDimensions(other)) {
-    throw "Cannot subtract units that are not alike";
+    throw new DimensionMismatchError(
+      mismatchMessage("Cannot subtract units that are not alike", this, other),
+      this.dimensions, other.dimensions
+    );
   }
+  checkKinds("subtract", this, other);
+  let shape = broadcastShapes(this.shape, other.shape);
   let newMagnitude = arraySub(
-    arrayAdd(this.magnitude, [this.offset], false),
-    arrayAdd(other.magnitude, [other.offset], false),
+    arrayAdd(expandTo(this, shape), [backendOffset(this.offset)], false),
+    arrayAdd(expandTo(other, shape), [backendOffset(other.offset)], false),
     false
   );
   let newOffset = 0;
@@ -191,10 +579,29 @@ Quantity.prototype.sub = function(other) {
   }
   // Same as addition, treat the second unit as a delta if has an offset
   newMagnitude = arraySub(
-    newMagnitude, [newOffset], 
+    newMagnitude, [backendOffset(newOffset)], 
     (this.isScalar && other.isScalar)
   );
-  return new Quantity(newMagnitude, this.copyDimensions(), newOffset);
+  let newExact = exactOp(
+    exactOp(
+      exactOp(expandExactTo(this, shape), [exactOffset(this.offset)], bigAdd),
+      exactOp(expandExactTo(other, shape), [exactOffset(other.offset)], bigAdd),
+      bigSub
+    ),
+    [exactOffset(newOffset)], bigSub
+  );
+  let newQuantity = new Quantity(
+    newMagnitude, this.copyDimensions(), newOffset, 
+    combineKinds(this.kind, other.kind), shape
+  );
+  newQuantity.log = this.log || other.log;
+  newQuantity.uncertainty = sumUncertainty(this, other, shape);
+  let offsets = [this.offset, other.offset, newOffset].map(Number);
+  newQuantity.interval = intervalOp(
+    this, other, shape, 
+    (a, b) => (a + offsets[0]) - (b + offsets[1]) - offsets[2]
+  );
+  return withExact(newQuantity, newExact);
 };
 
 /**
@@ -206,25 +613,39 @@ Quantity.prototype.sub = function(other) {
 Quantity.prototype.mul = function(other) {
   // Check user input
   other = Quantity.toQuantity(other);
+  checkFunctional("multiply", this, other);
   // Check if the offsets are compatible
   if (this.offset != 0 && other.offset != 0) {
-    throw ("Cannot multiply two dimensions with a zero offset, if using " +
-            "temperatures consider using 'deltaC' or 'deltaF' instead");
+    throw new OffsetUnitError(
+      "Cannot multiply two dimensions with a zero offset, if using " +
+      "temperatures consider using 'deltaC' or 'deltaF' instead", this.offset
+    );
   }
   if (this.offset !=0 && other.dimensionality() != 0) {
-    throw ("Can only multiply quantities with an offset by a dimensionless " +
-           "quantity");
+    throw new OffsetUnitError(
+      "Can only multiply quantities with an offset by a dimensionless " +
+      "quantity", this.offset
+    );
   }
   // Multiply the magnitude
+  let shape = broadcastShapes(this.shape, other.shape);
   let newMagnitude = arrayMul(
-    this.magnitude, other.magnitude, 
+    expandTo(this, shape), expandTo(other, shape), 
     (this.isScalar && other.isScalar)
   );
   let newDimensions = new Array(numDimensionTypes);
   for (let ii=0; ii<numDimensionTypes; ii++) {
-    newDimensions[ii] = this.dimensions[ii] + other.dimensions[ii];
+    newDimensions[ii] = ratAdd(this.dimensions[ii], other.dimensions[ii]);
   }
-  return new Quantity(newMagnitude, newDimensions, this.offset);
+  let newExact = exactOp(
+    expandExactTo(this, shape), expandExactTo(other, shape), bigMul
+  );
+  let newQuantity = new Quantity(
+    newMagnitude, newDimensions, this.offset, productKind(this, other), shape
+  );
+  newQuantity.uncertainty = productUncertainty(this, other, shape);
+  newQuantity.interval = intervalOp(this, other, shape, (a, b) => a * b);
+  return withExact(newQuantity, newExact);
 };
 
 /**
@@ -235,9 +656,12 @@ Quantity.prototype.mul = function(other) {
 * @return {Quantity} Inverted physical quantity
 */
 Quantity.prototype.inv = function() {
+  checkFunctional("invert", this);
   if (this.offset != 0) {
-    throw ("Cannot invert dimensions with an offset, if using " +
-            "temperatures consider using 'deltaC' or 'deltaF' instead");
+    throw new OffsetUnitError(
+      "Cannot invert dimensions with an offset, if using temperatures " +
+      "consider using 'deltaC' or 'deltaF' instead", this.offset
+    );
   }
   let newMagnitude = arrayDiv(
     [1.0], this.magnitude,
@@ -245,9 +669,15 @@ Quantity.prototype.inv = function() {
   );
   let newDimensions = this.copyDimensions();
   for (let ii=0; ii<numDimensionTypes; ii++) {
-    newDimensions[ii] = -newDimensions[ii];
+    newDimensions[ii] = ratNeg(newDimensions[ii]);
   }
-  return (new Quantity(newMagnitude, newDimensions));
+  let newExact = exactOp([bigFromNumber(1)], exactOf(this), bigDiv);
+  let newQuantity = new Quantity(
+    newMagnitude, newDimensions, 0, undefined, this.shape
+  );
+  newQuantity.uncertainty = powerUncertainty(this, -1);
+  newQuantity.interval = powerInterval(this, -1);
+  return withExact(newQuantity, newExact);
 };
 
 /**
@@ -261,8 +691,10 @@ Quantity.prototype.div = function(other) {
   // Check user input
   other = Quantity.toQuantity(other);
   if (this.offset != 0 && other.offset != 0) {
-    throw ("Cannot divide dimensions with an offset, if using " +
-            "temperatures consider using 'deltaC' or 'deltaF' instead");
+    throw new OffsetUnitError(
+      "Cannot divide dimensions with an offset, if using temperatures " +
+      "consider using 'deltaC' or 'deltaF' instead", this.offset
+    );
   }
   let inverseValue = other.inv();
   return this.mul(inverseValue);
@@ -271,32 +703,63 @@ Quantity.prototype.div = function(other) {
 /**
 * Raise the unit to the provided power
 * 
-* @param {number} n Integer power to raise the physical quantity to
+* @param {number|Rational} n Power to raise the physical quantity to. Unless
+*                            the quantity is dimensionless, this must be a
+*                            rational number with a small denominator (e.g.
+*                            2, -1 or 0.5)
 * @returns {Quantity} Physical quantity raised to provided power
 */
 Quantity.prototype.pow = function(n) {
   // Check user input
-  if (!(typeof(n) == "number")) {
-    throw "Input to pow must be a number";
+  if (!(typeof(n) == "number" || n instanceof Rational)) {
+    throw new InvalidArgumentError("Input to pow must be a number", n);
   }
-  if (!Number.isInteger(n)) {
-    throw "Quantities don't support dimensions with fractional powers";
+  checkFunctional("raise to a power", this);
+  let power = toRational(n);
+  if (typeof(power) === "undefined" && this.dimensionality() != 0) {
+    throw new InvalidArgumentError(
+      "Quantities only support dimensions with rational powers", n
+    );
   }
-  if (this.offset != 0 && n > 1) {
-    throw "Cannot raise units with zero offsets to powers > 1";
+  if (this.offset != 0 && (n > 1 || !Number.isInteger(Number(n)))) {
+    throw new OffsetUnitError(
+      "Cannot raise units with zero offsets to powers > 1 or fractional " +
+      "powers", this.offset
+    );
   }
   if (n == 0) {
     return new Quantity(1);
   }
+  if (n == 1) {
+    return this.copy();
+  }
+  if (!Number.isInteger(Number(n)) && this.magnitude.some(isNegative)) {
+    throw new InvalidArgumentError(
+      "Fractional powers not supported for quantities with negative " +
+      "magnitudes", this.magnitude
+    );
+  }
   let newMagnitude = arrayPow(
-    this.magnitude, [n], 
+    this.magnitude, [Number(n)], 
     this.isScalar
   );
   let newDimensions = this.copyDimensions();
-  for (let ii=0; ii<numDimensionTypes; ii++) {
-    newDimensions[ii] *= n;
+  if (typeof(power) !== "undefined") {
+    for (let ii=0; ii<numDimensionTypes; ii++) {
+      newDimensions[ii] = ratMul(newDimensions[ii], power);
+    }
   }
-  return new Quantity(newMagnitude, newDimensions, this.offset); 
+  // Only integer powers can be kept exact
+  let newExact;
+  if (Number.isInteger(Number(n))) {
+    newExact = exactOp(exactOf(this), [Number(n)], bigPow);
+  }
+  let newQuantity = new Quantity(
+    newMagnitude, newDimensions, this.offset, undefined, this.shape
+  );
+  newQuantity.uncertainty = powerUncertainty(this, Number(n));
+  newQuantity.interval = powerInterval(this, Number(n));
+  return withExact(newQuantity, newExact);
 };
 
 /**
@@ -308,31 +771,425 @@ Quantity.prototype.pow = function(n) {
 Quantity.prototype.root = function(n) {
   // Check user input
   if (!(typeof(n) == "number")) {
-    throw "Input to root must be a number";
+    throw new InvalidArgumentError("Input to root must be a number", n);
   }
+  checkFunctional("take the root of", this);
   if (!Number.isInteger(n) || (n < 1)) {
-    throw "Root may only be a positive integer greater than or equal to 1";
+    throw new InvalidArgumentError(
+      "Root may only be a positive integer greater than or equal to 1", n
+    );
+  }
+  if (this.offset != 0 && n > 1) {
+    throw new OffsetUnitError(
+      "Cannot take roots of units with zero offsets", this.offset
+    );
   }
   // Check that quantity does not have a negative magnitude
-  if (this.magnitude < 0) {
-    throw ("Root function not supported for magnitudes with negative " +
-            "magnitudes");
+  if (this.magnitude.some(isNegative)) {
+    throw new InvalidArgumentError(
+      "Root function not supported for magnitudes with negative magnitudes",
+      this.magnitude
+    );
   }
   let newDimensions = this.copyDimensions();
   for (let ii=0; ii<numDimensionTypes; ii++) {
-    let update = newDimensions[ii] / n;
-    if (!Number.isInteger(update)) {
-      throw ("Root operation would result in a fractional dimensional " +
-              "power. This is not supported"); 
-    }
-    newDimensions[ii] = update;
+    newDimensions[ii] = ratDiv(newDimensions[ii], n);
   }
   let newMagnitude = arrayPow(
     this.magnitude, [1/n],
     this.isScalar
   );
-  // Return the new quantity
-  return new Quantity(newMagnitude, newDimensions, this.offset);
+  let newQuantity = new Quantity(
+    newMagnitude, newDimensions, this.offset, undefined, this.shape
+  );
+  newQuantity.uncertainty = powerUncertainty(this, 1/n);
+  newQuantity.interval = powerInterval(this, 1/n);
+  // Return the new quantity, roots are not kept exact
+  return withExact(newQuantity, undefined);
+};
+
+/**
+ * Sum of the elements of an array quantity
+ * 
+ * @param {number} axis Axis to sum along, negative values count from the last
+ *                      axis. All of the elements are summed if not provided.
+ * 
+ * @returns {Quantity} Sum, a scalar quantity if all elements are summed
+ */
+Quantity.prototype.sum = function(axis) {
+  // Same as addition, absolute values with an offset cannot be added
+  if (this.offset != 0) {
+    throw new OffsetUnitError(
+      "Cannot sum units with a zero offset, if using temperatures consider " +
+      "using 'deltaC' or 'deltaF' instead", this.offset
+    );
+  }
+  let newQuantity = alongAxis(
+    this, axis, reduceAxis, total, this.offset, true
+  );
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, (values, u) => quadrature(u)
+  );
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, reduceAxis, (lower, upper) => [sumOf(lower), sumOf(upper)]
+  );
+  return newQuantity;
+};
+
+/**
+ * Mean of the elements of an array quantity
+ * 
+ * @param {number} axis Axis to average along, negative values count from the
+ *                      last axis. All of the elements are averaged if not 
+ *                      provided.
+ * 
+ * @returns {Quantity} Mean, a scalar quantity if all elements are averaged
+ */
+Quantity.prototype.mean = function(axis) {
+  let mean = (values, ops) => (
+    ops.div(total(values, ops), ops.fromNumber(values.length))
+  );
+  let newQuantity = alongAxis(
+    this, axis, reduceAxis, mean, this.offset, true
+  );
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, (values, u) => quadrature(u) / u.length
+  );
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, reduceAxis, (lower, upper) => [
+      sumOf(lower) / lower.length, sumOf(upper) / upper.length
+    ]
+  );
+  return newQuantity;
+};
+
+/**
+ * Smallest element of an array quantity
+ * 
+ * @param {number} axis Axis to find the minimum along, negative values count 
+ *                      from the last axis. The minimum of all elements is 
+ *                      found if not provided.
+ * 
+ * @returns {Quantity} Minimum, a scalar quantity if all elements are used
+ */
+Quantity.prototype.min = function(axis) {
+  let min = (values, ops) => values.reduce(
+    (a, b) => (ops.compare(b, a) < 0) ? b : a
+  );
+  let newQuantity = alongAxis(
+    this, axis, reduceAxis, min, this.offset, true
+  );
+  // The uncertainty is the uncertainty of the smallest element
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, 
+    (values, u) => u[values.reduce(
+      (best, value, ii) => (value < values[best]) ? ii : best, 0
+    )]
+  );
+  let minBound = (a, b) => Math.min(a, b);
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, reduceAxis, 
+    (lower, upper) => [lower.reduce(minBound), upper.reduce(minBound)]
+  );
+  return newQuantity;
+};
+
+/**
+ * Largest element of an array quantity
+ * 
+ * @param {number} axis Axis to find the maximum along, negative values count 
+ *                      from the last axis. The maximum of all elements is 
+ *                      found if not provided.
+ * 
+ * @returns {Quantity} Maximum, a scalar quantity if all elements are used
+ */
+Quantity.prototype.max = function(axis) {
+  let max = (values, ops) => values.reduce(
+    (a, b) => (ops.compare(b, a) > 0) ? b : a
+  );
+  let newQuantity = alongAxis(
+    this, axis, reduceAxis, max, this.offset, true
+  );
+  // The uncertainty is the uncertainty of the largest element
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, 
+    (values, u) => u[values.reduce(
+      (best, value, ii) => (value > values[best]) ? ii : best, 0
+    )]
+  );
+  let maxBound = (a, b) => Math.max(a, b);
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, reduceAxis, 
+    (lower, upper) => [lower.reduce(maxBound), upper.reduce(maxBound)]
+  );
+  return newQuantity;
+};
+
+/**
+ * Population standard deviation of the elements of an array quantity. The 
+ * result has the same units, and is a difference (without an offset) for 
+ * units with an offset, the same as the result of sub.
+ * 
+ * @param {number} axis Axis to find the standard deviation along, negative 
+ *                      values count from the last axis. All of the elements 
+ *                      are used if not provided.
+ * 
+ * @returns {Quantity} Standard deviation, a scalar quantity if all elements 
+ *                     are used
+ */
+Quantity.prototype.std = function(axis) {
+  // The worst case bounds of a standard deviation are not found by interval
+  // arithmetic
+  if (this.interval) {
+    throw new InvalidArgumentError(
+      "Cannot take the standard deviation of an interval", this.interval
+    );
+  }
+  let std = function(values, ops) {
+    let count = ops.fromNumber(values.length);
+    let mean = ops.div(total(values, ops), count);
+    let squares = values.map(
+      (value) => ops.pow(ops.sub(value, mean), 2)
+    );
+    return ops.pow(ops.div(total(squares, ops), count), 0.5);
+  };
+  let newQuantity = alongAxis(this, axis, reduceAxis, std, 0, false);
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, function(values, u) {
+      let mean = values.reduce((a, b) => a + b) / values.length;
+      let deviations = values.map((value) => value - mean);
+      let std = quadrature(deviations) / Math.sqrt(values.length);
+      // The standard deviation cannot be differentiated when the elements are
+      // all the same, the spread of the uncertainties is used instead
+      if (std == 0) {
+        return quadrature(u) / Math.sqrt(values.length);
+      }
+      return quadrature(
+        u.map((value, ii) => value * deviations[ii])
+      ) / (values.length * std);
+    }
+  );
+  return newQuantity;
+};
+
+/**
+ * Euclidean norm of the elements of an array quantity
+ * 
+ * @param {number} axis Axis to find the norm along, negative values count 
+ *                      from the last axis. The norm of all elements is found
+ *                      if not provided.
+ * 
+ * @returns {Quantity} Norm, a scalar quantity if all elements are used
+ */
+Quantity.prototype.norm = function(axis) {
+  // Same as powers, squares of absolute values with an offset are not 
+  // meaningful
+  if (this.offset != 0) {
+    throw new OffsetUnitError(
+      "Cannot take the norm of units with a zero offset", this.offset
+    );
+  }
+  let norm = (values, ops) => ops.pow(
+    total(values.map((value) => ops.mul(value, value)), ops), 0.5
+  );
+  let newQuantity = alongAxis(this, axis, reduceAxis, norm, 0, false);
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, reduceAxis, function(values, u) {
+      let norm = quadrature(values);
+      // The norm cannot be differentiated at zero, where it is the norm of 
+      // the uncertainties instead
+      if (norm == 0) {
+        return quadrature(u);
+      }
+      return quadrature(u.map((value, ii) => value * values[ii])) / norm;
+    }
+  );
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, reduceAxis, function(lower, upper) {
+      let bounds = lower.map((value, ii) => absBounds(value, upper[ii]));
+      return [
+        quadrature(bounds.map((bound) => bound[0])), 
+        quadrature(bounds.map((bound) => bound[1])),
+      ];
+    }
+  );
+  return newQuantity;
+};
+
+/**
+ * Cumulative sum of the elements of an array quantity
+ * 
+ * @param {number} axis Axis to sum along, negative values count from the last
+ *                      axis (default=-1)
+ * 
+ * @returns {Quantity} Cumulative sum with the same shape
+ */
+Quantity.prototype.cumsum = function(axis) {
+  if (this.offset != 0) {
+    throw new OffsetUnitError(
+      "Cannot sum units with a zero offset, if using temperatures consider " +
+      "using 'deltaC' or 'deltaF' instead", this.offset
+    );
+  }
+  let cumsum = function(values, ops) {
+    let output = values.slice();
+    for (let ii=1; ii<output.length; ii++) {
+      output[ii] = ops.add(output[ii-1], output[ii]);
+    }
+    return output;
+  };
+  let newQuantity = alongAxis(
+    this, axis, scanAxis, cumsum, this.offset, true
+  );
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, scanAxis, function(values, u) {
+      let output = u.slice();
+      for (let ii=1; ii<output.length; ii++) {
+        output[ii] = Math.hypot(output[ii-1], output[ii]);
+      }
+      return output;
+    }
+  );
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, scanAxis, function(lower, upper) {
+      let output = [[lower[0], upper[0]]];
+      for (let ii=1; ii<lower.length; ii++) {
+        output.push([
+          output[ii-1][0] + lower[ii], output[ii-1][1] + upper[ii]
+        ]);
+      }
+      return output;
+    }
+  );
+  return newQuantity;
+};
+
+/**
+ * Differences between consecutive elements of an array quantity. Same as 
+ * sub, the differences of units with an offset (such as degC) do not have an
+ * offset (such as deltaC).
+ * 
+ * @param {number} axis Axis to take differences along, negative values count
+ *                      from the last axis (default=-1)
+ * 
+ * @returns {Quantity} Differences, with one less element along the axis
+ */
+Quantity.prototype.diff = function(axis) {
+  let diff = function(values, ops) {
+    let output = new Array(Math.max(values.length - 1, 0));
+    for (let ii=0; ii<output.length; ii++) {
+      output[ii] = ops.sub(values[ii+1], values[ii]);
+    }
+    return output;
+  };
+  let newQuantity = alongAxis(this, axis, scanAxis, diff, 0, true);
+  newQuantity.uncertainty = uncertaintyAlongAxis(
+    this, axis, scanAxis, 
+    (values, u) => u.slice(1).map((value, ii) => Math.hypot(value, u[ii]))
+  );
+  newQuantity.interval = intervalAlongAxis(
+    this, axis, scanAxis, (lower, upper) => lower.slice(1).map(
+      (value, ii) => [value - upper[ii], upper[ii+1] - lower[ii]]
+    )
+  );
+  return newQuantity;
+};
+
+/**
+ * Dot product of two vector quantities, or the matrix product if either of 
+ * them is a matrix. The dimensions are multiplied the same as mul.
+ * 
+ * @param {Quantity} other Quantity to take the dot product with
+ * 
+ * @returns {Quantity} Dot product, a scalar quantity for two vectors
+ */
+Quantity.prototype.dot = function(other) {
+  // Check user input
+  other = Quantity.toQuantity(other);
+  checkFunctional("multiply", this, other);
+  if (this.offset != 0 || other.offset != 0) {
+    throw new OffsetUnitError(
+      "Cannot take the dot product of units with a zero offset, if using " +
+      "temperatures consider using 'deltaC' or 'deltaF' instead", 
+      (this.offset != 0) ? this.offset : other.offset
+    );
+  }
+  if (this.isScalar || other.isScalar) {
+    return this.mul(other);
+  }
+  let backend = settings.backend;
+  let [newMagnitude, shape] = dotProduct(
+    this.magnitude, this.shape, other.magnitude, other.shape, 
+    backend.add, backend.mul, outputType(this.magnitude, other.magnitude)
+  );
+  let newExact;
+  let exact1 = exactOf(this);
+  let exact2 = exactOf(other);
+  if (exact1 && exact2) {
+    [newExact] = dotProduct(
+      exact1, this.shape, exact2, other.shape, bigAdd, bigMul
+    );
+  }
+  let newDimensions = new Array(numDimensionTypes);
+  for (let ii=0; ii<numDimensionTypes; ii++) {
+    newDimensions[ii] = ratAdd(this.dimensions[ii], other.dimensions[ii]);
+  }
+  let newQuantity = new Quantity(
+    (shape.length == 0) ? newMagnitude[0] : newMagnitude, newDimensions, 0, 
+    productKind(this, other), shape
+  );
+  newQuantity.uncertainty = dotUncertainty(this, other);
+  newQuantity.interval = dotInterval(this, other);
+  return withExact(newQuantity, newExact);
+};
+
+/**
+ * Absolute value of each element of a quantity. Same as sub, units with an 
+ * offset are taken relative to their absolute zero, so the offset is kept and
+ * absolute temperatures are not changed.
+ * 
+ * @returns {Quantity} Quantity with the absolute value of each element
+ */
+Quantity.prototype.abs = function() {
+  checkFunctional("take the absolute value of", this);
+  let abs = function(values, ops, offset) {
+    let output = new values.constructor(values.length);
+    for (let ii=0; ii<values.length; ii++) {
+      let absolute = ops.add(values[ii], offset);
+      if (ops.compare(absolute, ops.fromNumber(0)) < 0) {
+        output[ii] = ops.sub(ops.sub(ops.fromNumber(0), absolute), offset);
+      } else {
+        output[ii] = values[ii];
+      }
+    }
+    return output;
+  };
+  let newMagnitude = abs(
+    this.magnitude, backendOps(), backendOffset(this.offset)
+  );
+  let exact = exactOf(this);
+  let newExact;
+  if (exact) {
+    newExact = abs(exact, exactOps, exactOffset(this.offset));
+  }
+  let newQuantity = new Quantity(
+    this.isScalar ? newMagnitude[0] : newMagnitude, this.copyDimensions(), 
+    this.offset, this.kind, this.shape
+  );
+  newQuantity.uncertainty = this.uncertainty;
+  if (this.interval) {
+    // Same as the magnitude, the bounds are made absolute relative to the
+    // absolute zero of the unit
+    let offset = Number(this.offset);
+    let [lower, upper] = this.interval;
+    let bounds = lower.map((value, ii) => absBounds(
+      value + offset, upper[ii] + offset
+    ).map((bound) => bound - offset));
+    newQuantity.interval = [
+      bounds.map((bound) => bound[0]), bounds.map((bound) => bound[1])
+    ];
+  }
+  return withExact(newQuantity, newExact);
 };
 
 /**
@@ -353,13 +1210,21 @@ Quantity.prototype.root = function(n) {
  *                     0: other is equal to this quantity within 
  *                        the provided tolerance
  *                     1: other is less than this quantity
+ *                  If either quantity is an interval, -1 and 1 mean that 
+ *                  every value of the other interval is greater or less 
+ *                  than every value of this one, and 0 that they overlap
  */
 Quantity.prototype.compare = function(other, tolerance, preventCollapse) {
   // Convert to a quantity if a number is supplied as input
   other = Quantity.toQuantity(other);
   // Only quantities with the same units can be compared
   if (!this.sameDimensions(other)) {
-    throw "Cannot compare quantities with different dimensions";
+    throw new DimensionMismatchError(
+      mismatchMessage(
+        "Cannot compare quantities with different dimensions", this, other
+      ),
+      this.dimensions, other.dimensions
+    );
   }
   // default value for tolerance
   if (typeof(tolerance) === "undefined") {
@@ -371,18 +1236,28 @@ Quantity.prototype.compare = function(other, tolerance, preventCollapse) {
   // tolerance
   if (typeof(tolerance) === "object") {
     if(!this.sameDimensions(tolerance)) {
-      throw "tolerance dimensions are not compatible with this quantity";
+      throw new DimensionMismatchError(
+        mismatchMessage(
+          "tolerance dimensions are not compatible with this quantity", 
+          this, tolerance
+        ),
+        this.dimensions, tolerance.dimensions
+      );
     }
     if (tolerance.offset != 0) {
-      throw "Absolute tolerance in units with a zero offset is not allowed";
+      throw new OffsetUnitError(
+        "Absolute tolerance in units with a zero offset is not allowed",
+        tolerance.offset
+      );
     }
-    absoluteTolerance = tolerance.magnitude;
+    absoluteTolerance = tolerance.magnitude[0];
   } else {
     if (this.offset != 0 && tolerance != 0) {
-      throw "Fractional tolerances not allowed for quantities with a " +
-              "zero offset. Use an absolute tolerance instead";
+      throw new OffsetUnitError(
+        "Fractional tolerances not allowed for quantities with a zero " +
+        "offset. Use an absolute tolerance instead", this.offset
+      );
     }
-    absoluteTolerance = this.magnitude * tolerance;
   }
   let doCollapse;
   if (preventCollapse) {
@@ -391,21 +1266,39 @@ Quantity.prototype.compare = function(other, tolerance, preventCollapse) {
     doCollapse = (this.isScalar && other.isScalar);
   }
   // Do the comparison and return the result
-  let thisMag = arrayAdd(this.magnitude, [this.offset]);
-  let otherMag = arrayAdd(other.magnitude, [other.offset]);
-  return arrayOp(
+  const backend = settings.backend;
+  let shape = broadcastShapes(this.shape, other.shape);
+  if (this.interval || other.interval) {
+    let result = compareIntervals(
+      this, other, shape, absoluteTolerance, tolerance
+    );
+    if (doCollapse) {
+      return result[0];
+    }
+    return preventCollapse ? result : nestLike(result, shape);
+  }
+  let thisMag = arrayAdd(expandTo(this, shape), [backendOffset(this.offset)]);
+  let otherMag = arrayAdd(expandTo(other, shape), [backendOffset(other.offset)]);
+  let result = arrayOp(
     thisMag, otherMag, 
     doCollapse, 
     function(a, b) {
-      if (b - a < -absoluteTolerance) {
+      // Fractional tolerances are relative to this quantity's magnitude
+      let tol = absoluteTolerance;
+      if (typeof(tolerance) !== "object") {
+        tol = backend.mul(a, tolerance);
+      }
+      let diff = backend.sub(b, a);
+      if (backend.compare(diff, backend.sub(0, tol)) < 0) {
         return 1;
-      } else if (b - a > absoluteTolerance) {
+      } else if (backend.compare(diff, tol) > 0) {
         return -1;
       } else {
         return 0;
       }
     }
   );
+  return preventCollapse ? result : nestLike(result, shape);
 };
 
 /**
@@ -421,13 +1314,9 @@ Quantity.prototype.compare = function(other, tolerance, preventCollapse) {
  * @return {boolean} Returns true if quantities are equal, false if not
  */
 Quantity.prototype.eq = function(other, tolerance) {
-  return arrayOp(
-    this.compare(other, tolerance, true), [0], 
-    (this.isScalar && other.isScalar), 
-    function(a, b) {
-      return a == b;
-    }
-  );
+  return compareTest(this, other, tolerance, function(a, b) {
+    return a == b;
+  });
 };
 
 /**
@@ -444,13 +1333,9 @@ Quantity.prototype.eq = function(other, tolerance) {
  *                   quantity.
  */
 Quantity.prototype.lt = function(other, tolerance) {
-  return arrayOp(
-    this.compare(other, tolerance, true), [0], 
-    (this.isScalar, other.isScalar), 
-    function(a, b) {
-      return a < b;
-    }
-  );
+  return compareTest(this, other, tolerance, function(a, b) {
+    return a < b;
+  });
 };
 
 /**
@@ -467,13 +1352,9 @@ Quantity.prototype.lt = function(other, tolerance) {
  *                   to this quantity.
  */
 Quantity.prototype.lte = function(other, tolerance) {
-  return arrayOp(
-    this.compare(other, tolerance, true), [0], 
-    (this.isScalar && other.isScalar), 
-    function(a, b) {
-      return a <= b;
-    }
-  );
+  return compareTest(this, other, tolerance, function(a, b) {
+    return a <= b;
+  });
 };
 
 /**
@@ -490,13 +1371,9 @@ Quantity.prototype.lte = function(other, tolerance) {
  *                    this quantity.
  */
 Quantity.prototype.gt = function(other, tolerance) {
-  return arrayOp(
-    this.compare(other, tolerance, true), [0], 
-    (this.isScalar && other.isScalar), 
-    function(a, b) {
-      return a > b;
-    }
-  );
+  return compareTest(this, other, tolerance, function(a, b) {
+    return a > b;
+  });
 };
 
 /**
@@ -513,207 +1390,1679 @@ Quantity.prototype.gt = function(other, tolerance) {
  *                    equal to this quantity.
  */
 Quantity.prototype.gte = function(other, tolerance) {
-  return arrayOp(
-    this.compare(other, tolerance, true), [0], 
-    (this.isScalar && other.isScalar), 
-    function(a, b) {
-      return a >= b;
-    }
-  );
+  return compareTest(this, other, tolerance, function(a, b) {
+    return a >= b;
+  });
 };
 
 /**
 * Get the magnitude of the physical quantity with the supplied unit
 *
 * @param {string} unitString Unit to get the magnitude of the Quantity in 
+* @param {Object} options Optional conversion options
+* @param {boolean} options.exact Return the magnitude as an exact BigRational
+*                                instead of a number. Only available in exact
+*                                mode (default=false)
+* @param {number[]|Float64Array|Float32Array} options.out Array to write the
+*        converted magnitudes of a vector quantity into, instead of creating a
+*        new array. Must be the same length as the quantity
+* @param {boolean} options.inPlace Convert a vector quantity in place, by 
+*                                  writing into its own magnitude array, 
+*                                  which is the typed array it was created
+*                                  from if that was not copied. The quantity
+*                                  must not be used afterwards (default=false)
+* @param {boolean} options.uncertainty Return both the magnitude and the 
+*                                      standard uncertainty in the new unit 
+*                                      as [magnitude, uncertainty] 
+*                                      (default=false)
+* @param {boolean} options.interval Return the lower and upper bounds of an
+*                                   interval quantity in the new unit as 
+*                                   [lower, upper] (default=false)
 * 
-* @return {number} Magnitude of the quantity in the new unit
+* @return {number|BigRational} Magnitude of the quantity in the new unit
 */
-Quantity.prototype.in = function(unitString) {
+Quantity.prototype.in = function(unitString, options) {
+  options = options || {};
+  if (options.uncertainty) {
+    let value = this.in(
+      unitString, Object.assign({}, options, {uncertainty: false})
+    );
+    return [value, uncertaintyIn(this, unitString)];
+  }
+  if (options.interval) {
+    return intervalIn(this, unitString);
+  }
+  if (isFunctionalUnit(unitString)) {
+    return functionalIn(this, unitString.trim(), options);
+  }
 
-  let convertQuantity = quantity(1, unitString);
+  let logUnit = isLogUnit(unitString) ? unitString.trim() : undefined;
+  let convertQuantity;
+  if (logUnit) {
+    // Logarithmic units are converted from the ratio to their reference
+    convertQuantity = logReference(logUnit);
+  } else {
+    convertQuantity = quantity(1, unitString);
+  }
   // Check for consistent units
   if (!this.sameDimensions(convertQuantity)) {
-    throw "Cannot convert units that are not alike";
+    throw new DimensionMismatchError(
+      "Cannot convert " + this.describeDimensions(true) + " to " + 
+      convertQuantity.describeDimensions(true),
+      this.dimensions, convertQuantity.dimensions
+    );
+  }
+  checkKinds("convert", this, convertQuantity);
+  let out = options.inPlace ? this.magnitude : options.out;
+  if (out) {
+    if (this.isScalar) {
+      throw new InvalidArgumentError(
+        "Only vector quantities can be converted into an array", options
+      );
+    }
+    if (!(out instanceof Array) && !isFloatArray(out)) {
+      throw new InvalidArgumentError(
+        "Output array must be an Array, Float64Array or Float32Array", out
+      );
+    }
+    if (out.length != this.magnitude.length) {
+      throw new VectorLengthError(
+        "Output array must be the same length as the quantity", 
+        [this.magnitude.length, out.length]
+      );
+    }
+  }
+  if (logUnit) {
+    if (this.offset != 0 || options.exact) {
+      throw new LogUnitError(
+        "Cannot convert units with a zero offset or exact magnitudes to " +
+        "logarithmic units", logUnit
+      );
+    }
+    let reference = settings.backend.toNumber(convertQuantity.magnitude[0]);
+    let newMagnitude = convertMagnitude(
+      Array.from(this.magnitude, settings.backend.toNumber), 0, 0, reference
+    );
+    for (let ii=0; ii<newMagnitude.length; ii++) {
+      if (!(newMagnitude[ii] > 0)) {
+        throw new InvalidArgumentError(
+          "Only positive values can be converted to logarithmic units", 
+          newMagnitude[ii]
+        );
+      }
+      newMagnitude[ii] = toLevel(newMagnitude[ii], logUnit);
+    }
+    newMagnitude = copyInto(newMagnitude, out, this.magnitude);
+    return this.isScalar ? newMagnitude[0] : nestLike(newMagnitude, this.shape);
+  }
+  let newExact = exactOp(
+    exactOp(
+      exactOp(exactOf(this), [exactOffset(this.offset)], bigAdd),
+      [exactOffset(convertQuantity.offset)], bigSub
+    ),
+    exactOf(convertQuantity), bigDiv
+  );
+  if (options.exact) {
+    if (!newExact) {
+      throw new InvalidArgumentError(
+        "An exact magnitude is only available in exact mode and for " + 
+        "quantities that have not been through inexact operations", options
+      );
+    }
+    return this.isScalar ? newExact[0] : nestLike(newExact, this.shape);
+  }
+  let newMagnitude;
+  if (newExact) {
+    newMagnitude = copyInto(newExact.map(Number), out);
+  } else if (settings.backend === numberBackend) {
+    newMagnitude = convertMagnitude(
+      this.magnitude, this.offset, convertQuantity.offset, 
+      convertQuantity.magnitude[0], out
+    );
+  } else {
+    // Get the current magnitude without the offset
+    newMagnitude = arrayAdd(
+      this.magnitude, [backendOffset(this.offset)], false
+    );
+    // Subtract off the offset of the new unit
+    newMagnitude = arraySub(
+      newMagnitude, [backendOffset(convertQuantity.offset)], false
+    );
+    // Finally, divide by the magnitude of the new unit
+    newMagnitude = copyInto(
+      arrayDiv(newMagnitude, convertQuantity.magnitude, false), out
+    );
   }
-  // Get the current magnitude without the offset
-  let currentMagnitude = arrayAdd(this.magnitude, [this.offset], false);
-  // Subtract off the offset of the new unit
-  let newMagnitude = arraySub(currentMagnitude, [convertQuantity.offset], false);
-  // Finally, divide by the magnitude of the new unit
-  newMagnitude = arrayDiv(newMagnitude, convertQuantity.magnitude, this.isScalar);
-  return newMagnitude;
+  return this.isScalar ? newMagnitude[0] : nestLike(newMagnitude, this.shape);
 };
 
 /**
- * Get the value of the quantity in terms of a compact combination of the
- * supplied unit list
+ * Get the value of the quantity in terms of the simplest combination of the
+ * supplied unit list. Combinations of up to four units (or more, if no
+ * smaller combination has the dimensions) are searched and scored by their
+ * complexity, see the options for the weights of the score. The most recent
+ * results are remembered for each unit list, set of weights and dimensions.
  * 
  * @param {string[]} unitList List of units to return the quantity in terms of
+ * @param {Object} options Optional weights of the score of a combination of 
+ *                         units, the lowest score is used
+ * @param {number} options.symbols Score of each unit symbol (default=4)
+ * @param {number} options.powers Score of each power of a unit above one, 
+ *                                such as two for m^3 (default=0.5)
+ * @param {number} options.rational Score of each unit with a power that is
+ *                                  not a whole number (default=2)
+ * @param {number} options.cancelled Score of each power of a dimension that
+ *                                   cancels out between the units, such as
+ *                                   two for W / m^2, counted twice between
+ *                                   derived units, such as eight for W / N,
+ *                                   which is m / s (default=1.75)
+ * @param {number} options.derived Score taken off for each power of a
+ *                                 dimension after the first two of a named
+ *                                 derived unit in the numerator with a whole
+ *                                 power, such as four for W, which is
+ *                                 [k]g m^2 / s^3 (default=1)
+ * @param {number} options.numerator Score of a unit string with no units in
+ *                                   the numerator, such as "1 / s"
+ *                                   (default=1)
+ * @param {number} options.scaled Score of each unit with a scale that is not
+ *                                one in SI units, such as Hz, which is 2π / s
+ *                                (default=8)
  * 
  * @returns {[number, string]} Array with magnitude and the units the 
  *                             magnitude is in terms of as a string.
  */
-Quantity.prototype.with = function(unitList) {
-  
-  // Convert unitList to a dimension Array
-  let unitArray = new Array(unitList.length);
-  for (let ii = 0; ii<unitList.length; ii++) {
-    let unitQuantity = getUnitQuantity(unitList[ii]);
-    unitArray[ii] = unitQuantity.dimensions;
-  }
-  // Loop through each dimension and create a list of unit list indexes that
-  // are the best match for the dimension
-  let useUnits = new Array();
-  let useUnitsPower = new Array();
-  let remainder = this.dimensionality();
-  let remainderArray = this.dimensions.slice();
-  while (remainder > 0) {
-    let bestIdx = -1;
-    let bestInv = 0;
-    let bestRemainder = remainder;
-    let bestRemainderArray = new Array(dimensionTypes.length);
-    for (let unitIdx=0; unitIdx<unitList.length; unitIdx++) {
-      for (let isInv=-1; isInv<=1; isInv += 2) {
-        let newRemainder = 0;
-        let newRemainderArray = new Array(dimensionTypes.length);
-        for (let dimIdx=0; dimIdx<dimensionTypes.length; dimIdx++) {
-          newRemainderArray[dimIdx] = (
-            remainderArray[dimIdx] - (isInv * unitArray[unitIdx][dimIdx])
-          );
-          newRemainder += Math.abs(newRemainderArray[dimIdx]);
-        }
-        if (newRemainder < bestRemainder) {
-          bestIdx = unitIdx;
-          bestInv = isInv;
-          bestRemainder = newRemainder;
-          bestRemainderArray = newRemainderArray;
-        }
-      }
-    }
-    // Check to make sure that progress is being made towards remainder = 0
-    // if no more progress is being made then the provided units don't span
-    // this unit, throw an error.
-    if (bestRemainder >= remainder) {
-      throw "Cannot represent this quantity with the supplied units";
-    }
-    // Check if the new best unit already in the set of numerator or
-    // denominator units. If it is, increase the power of that unit, if it
-    // is not, then add it.
-    let existingIdx = useUnits.indexOf(bestIdx);
-    if (existingIdx == -1) {
-      useUnits.push(bestIdx);
-      useUnitsPower.push(bestInv);
-    } else {
-      useUnitsPower[existingIdx] += bestInv;
+Quantity.prototype.with = function(unitList, options) {
+  let weights = checkWeights(options);
+  let key = JSON.stringify([unitList, weights]) + ";" +
+    this.dimensions.join(",");
+  let fullUnits = withCache.get(key);
+  if (typeof(fullUnits) === "undefined") {
+    fullUnits = unitsWith(this.dimensions, unitList, weights);
+    // Forget the oldest result once the cache is full
+    if (withCache.size >= withCacheSize) {
+      withCache.delete(withCache.keys().next().value);
     }
-    remainder = bestRemainder;
-    remainderArray = bestRemainderArray;
+    withCache.set(key, fullUnits);
   }
+  return [this.in(fullUnits), fullUnits];
+};
 
-  // At this point the units to be used are in useUnits, clean
-  // them up and create a unit system to return to the caller.
+// Unit strings found by the with function, keyed by the unit list, weights and
+// dimensions, and the largest number of them that are remembered
+const withCache = new Map();
+const withCacheSize = 1000;
+
+// Find the simplest unit string of a list of units for a set of dimensions,
+// see the with function
+function unitsWith(dimensions, unitList, weights) {
+  let unitQuantities = unitList.map((unitString) => quantity(1, unitString));
+  let unitDimensions = unitQuantities.map((unit) => unit.dimensions);
+  let unitScales = unitQuantities.map(
+    (unit) => settings.backend.toNumber(unit.magnitude[0])
+  );
+  // Rational powers are multiples of 1/stepDivisor, where stepDivisor is the
+  // common denominator of the dimensions
+  let stepDivisor = 1;
+  for (let dimIdx=0; dimIdx<dimensionTypes.length; dimIdx++) {
+    let denominator = ratDenominator(dimensions[dimIdx]);
+    if (stepDivisor % denominator != 0) {
+      stepDivisor *= denominator / gcd(stepDivisor, denominator);
+    }
+  }
+  let found = findUnits(
+    dimensions, unitDimensions, unitScales, stepDivisor, weights
+  );
+  if (!found) {
+    throw new InvalidArgumentError(
+      "Cannot represent this quantity with the supplied units", unitList
+    );
+  }
+  // Named derived units go first (e.g. "Pa m^(1/2)"), then the units are in 
+  // the order of the list
+  let numDims = (idx) => unitDimensions[idx].filter((dim) => dim != 0).length;
+  found.sort((a, b) => (
+    (numDims(b.index) > 1) - (numDims(a.index) > 1) || a.index - b.index
+  ));
   let numerator = "";
   let denominator = "";
-  for (let ii=0; ii<useUnits.length; ii++) {
-    if (useUnitsPower[ii] > 0) {
-      numerator += unitList[useUnits[ii]];
-      if (useUnitsPower[ii] > 1) {
-        numerator += ("^" + useUnitsPower[ii] + " ");
+  for (const {index, power} of found) {
+    if (power > 0) {
+      numerator += unitList[index];
+      if (power != 1) {
+        numerator += ("^" + powerString(power) + " ");
       } else {
         numerator += " ";
       }
     } else {
-      denominator += unitList[useUnits[ii]];
-      if (useUnitsPower[ii] < -1) {
-        denominator += ("^" + -useUnitsPower[ii] + " ");
+      denominator += unitList[index];
+      if (power != -1) {
+        denominator += ("^" + powerString(ratNeg(power)) + " ");
       } else {
         denominator += " ";
       }
     }
   }
-  let fullUnits = "";
   if (numerator.length == 0 && denominator.length == 0) {
-    fullUnits = "1";
+    return "1";
   } else if (denominator.length == 0) {
-    fullUnits = numerator.trim();
-  } else {
-    if (numerator.length == 0) {
-      numerator = "1 ";
-    }
-    fullUnits = (numerator + "/ " + denominator).trim();
+    return numerator.trim();
   }
-  return [this.in(fullUnits), fullUnits];
-};
+  if (numerator.length == 0) {
+    numerator = "1 ";
+  }
+  return (numerator + "/ " + denominator).trim();
+}
 
 /**
  * Look for the most compact SI representation for the quantity and return
  * it. This function is capable of representing any unit.
  * 
+ * @param {Object} options Optional weights of the score of the units, see
+ *                         the with function
+ * 
  * @returns {[number, string]} Index 0: Magnitude of the quantity
  *                             Index 1: String representation of the units
  */
-Quantity.prototype.inSI = function() {
+Quantity.prototype.inSI = function(options) {
   return this.with([
     "[k]g", "m", "s", "K", "A", "mol", "cd", "bit", //Base Units
-    "Hz", "N", "Pa", "J", "W", "C", "V", "F", "ohm", "S", "Wb", "T", "H",
-    "lm", "lx", "Bq", "Gy" // Derived Units
-  ]);
+    "N", "Pa", "J", "W", "C", "V", "F", "ohm", "S", "Wb", "T", "H",
+    // Hz, Bq and Gy are left out, they are names of 1 / s and J / kg for
+    // particular kinds of quantity
+    "lm", "lx" // Derived Units
+  ], options);
 };
 
 /**
  * Look for the most compact CGS representation for the quantity and return
  * it. This function is not able to represent all quantities.
  * 
+ * @param {Object} options Optional weights of the score of the units, see
+ *                         the with function
+ * 
  * @returns {[number, string]} Index 0: Magnitude of the quantity
  *                             Index 1: String representation of the units
  */
-Quantity.prototype.inCGS = function() {
+Quantity.prototype.inCGS = function(options) {
   return this.with([
     "g", "[c]m", "s", "deltaC", "dyn", "erg", "Ba", "P", "St", "cd", "bit"
-  ]);
+  ], options);
 };
 
 /**
  * Look for the most compact US Customary representation for the quantity 
  * and return it. This function is not able to represent all quantities.
  * 
+ * @param {Object} options Optional weights of the score of the units, see
+ *                         the with function
+ * 
  * @returns {[number, string]} Index 0: Magnitude of the quantity
  *                             Index 1: String representation of the units
  */
-Quantity.prototype.inUS = function() {
+Quantity.prototype.inUS = function(options) {
   return this.with([
     "lbm", "ft", "s", "Ra", "gal", "lbf", "BTU", "HP", "cd", "bit"
-  ]);
+  ], options);
+};
+
+/**
+ * Get the value of the quantity in a unit with the prefix that keeps the 
+ * magnitude closest to, but not less than, one. With the engineering prefixes
+ * the magnitude is in the range [1, 1000) (e.g. 4.7e-5 F is 47 [u]F). The 
+ * prefix is applied to the first unit of the unit string, replacing any 
+ * prefix it already has. For array quantities, the largest element is used 
+ * to pick the prefix.
+ * 
+ * @param {string} unitString Unit to add the prefix to
+ * @param {Object} options Optional settings
+ * @param {string|string[]} options.prefixes Prefixes to choose from, one of
+ *                                           "engineering", "all" or "binary"
+ *                                           or an array of prefix symbols
+ *                                           (default set with configure, 
+ *                                           "engineering")
+ * 
+ * @returns {[number, string]} Index 0: Magnitude of the quantity
+ *                             Index 1: Unit string with the prefix
+ */
+Quantity.prototype.inBestPrefix = function(unitString, options) {
+  options = options || {};
+  let prefixList = getPrefixList(options.prefixes || settings.prefixes);
+  let unitQuantity = quantity(1, unitString);
+  let token = tokenizeUnit(unitString).find(
+    (token) => token.type == "unit" && token.text != "1"
+  );
+  if (!token || unitQuantity.offset != 0 || this.log || this.functional) {
+    // No unit to add a prefix to
+    return [this.in(unitString), unitString];
+  }
+  let symbol = splitUnitName(token.text)[1];
+  let withPrefix = (prefix) => (
+    unitString.slice(0, token.pos) + (prefix ? "[" + prefix + "]" : "") + 
+    symbol + unitString.slice(token.pos + token.text.length)
+  );
+  let baseString = withPrefix("");
+  let baseScale = settings.backend.toNumber(
+    quantity(1, baseString).magnitude[0]
+  );
+  let largest = largestMagnitude(this.in(baseString));
+  // Use the prefix with the largest scale that keeps the magnitude >= 1, or
+  // the smallest scale if all magnitudes are less than one
+  let best;
+  let bestScale;
+  for (const prefix of prefixList) {
+    let prefixString = withPrefix(prefix);
+    let scale = settings.backend.toNumber(
+      quantity(1, prefixString).magnitude[0]
+    ) / baseScale;
+    let fits = (largest == 0) ? (scale == 1) : (largest / scale >= 1);
+    if (    typeof(best) === "undefined"
+         || (fits && (scale > bestScale || bestScale > largest))
+         || (!fits && bestScale > largest && scale < bestScale)) {
+      best = prefixString;
+      bestScale = scale;
+    }
+  }
+  return [this.in(best), best];
+};
+
+// Largest absolute value of a magnitude returned by the in function, which 
+// may be a number, a nested array or a typed array
+function largestMagnitude(magnitude) {
+  let values = isTypedArray(magnitude) 
+    ? Array.from(magnitude) : [].concat(magnitude).flat(Infinity);
+  return values.reduce(
+    (largest, value) => Math.max(
+      largest, Math.abs(settings.backend.toNumber(value))
+    ), 0
+  );
+}
+
+/**
+ * Split the quantity across a list of alike units, from the largest unit to
+ * the smallest (e.g. 1.6 m is 5 ft 3 in). Every component is a whole number
+ * except the last, which holds the remainder. The components of negative 
+ * values are all negative.
+ * 
+ * @param {string[]} unitStrings Units to split the quantity across, from the
+ *                               largest to the smallest (e.g. ["ft", "in"])
+ * @param {Object} options Optional settings
+ * @param {number} options.digits Round the last component to this number of
+ *                                digits after the decimal point, carrying 
+ *                                into the larger units when it rounds up to
+ *                                a whole one of them (e.g. 5 ft 11.97 in is 
+ *                                6 ft 0 in with 0 digits)
+ * 
+ * @returns {Array} Components of the quantity in each unit, each a number or
+ *                  a nested array for array quantities
+ */
+Quantity.prototype.split = function(unitStrings, options) {
+  options = options || {};
+  checkFunctional("split", this);
+  if (!(unitStrings instanceof Array) || unitStrings.length == 0) {
+    throw new InvalidArgumentError(
+      "A quantity must be split across an array of unit strings", unitStrings
+    );
+  }
+  checkFormat({digits: options.digits});
+  let unitQuantities = unitStrings.map((unitString) => {
+    let unitQuantity = quantity(1, unitString);
+    if (unitQuantity.offset != 0 || unitQuantity.log || this.log) {
+      throw new InvalidArgumentError(
+        "A quantity can only be split across linear units without an offset",
+        unitString
+      );
+    }
+    if (!this.sameDimensions(unitQuantity)) {
+      throw new DimensionMismatchError(
+        mismatchMessage(
+          "Cannot split a quantity across units that are not alike", 
+          this, unitQuantity
+        ), this.dimensions, unitQuantity.dimensions
+      );
+    }
+    return unitQuantity;
+  });
+  // Size of each unit in the smallest unit
+  let smallest = unitStrings[unitStrings.length-1];
+  let sizes = unitQuantities.map((unitQuantity) => (
+    settings.backend.toNumber(unitQuantity.in(smallest))
+  ));
+  for (let ii=1; ii<sizes.length; ii++) {
+    if (sizes[ii] >= sizes[ii-1]) {
+      throw new InvalidArgumentError(
+        "Units to split a quantity across must be in order from the largest " +
+        "to the smallest", unitStrings
+      );
+    }
+  }
+  let values = this.in(smallest);
+  if (this.isScalar) {
+    return splitValue(settings.backend.toNumber(values), sizes, options.digits);
+  }
+  values = isTypedArray(values) ? Array.from(values) : flatten(values)[0];
+  let splits = values.map((value) => splitValue(
+    settings.backend.toNumber(value), sizes, options.digits
+  ));
+  return sizes.map((_, ii) => nest(
+    splits.map((components) => components[ii]), this.shape
+  ));
 };
 
 /**
  * Display the Quantity as a string
  * 
- * @param {string} unitStr Optional unit string to use to represent the unit
- *                         in
+ * @param {string|Object} options Optional unit string to use to represent the
+ *                                unit in, or an object of display options
+ * @param {string|string[]} options.unit Unit string to use to represent the 
+ *                                       unit in, or a list of units to split
+ *                                       a scalar quantity across (e.g. 
+ *                                       ["ft", "in"] for "5 ft 3 in", see 
+ *                                       split), where the number options 
+ *                                       only apply to the last unit
+ * @param {boolean} options.autoPrefix Add the best prefix to the unit (see
+ *                                     inBestPrefix) for the magnitude after
+ *                                     it is rounded (default=false)
+ * @param {string|string[]} options.prefixes Prefixes to choose from with 
+ *                                           autoPrefix
+ * @param {number} options.digits Number of digits after the decimal point
+ * @param {number} options.significant Number of significant digits, ignored
+ *                                     if digits is provided
+ * @param {string} options.notation One of "auto" (the same as 
+ *                                  Number.toString, default), "fixed" (never
+ *                                  use an exponent), "scientific" or 
+ *                                  "engineering" (exponents that are 
+ *                                  multiples of 3)
+ * @param {string} options.thousands Separator for groups of thousands 
+ *                                   (default="" no grouping)
+ * @param {string} options.decimal Decimal separator (default=".")
+ * @param {string} options.locale Locale to write numbers in with the 
+ *                                separators and digits of Intl.NumberFormat
+ *                                (e.g. "de-DE" for "1.234,5"), the thousands
+ *                                and decimal options take precedence 
+ *                                (default=the locale setting)
+ * @param {string} options.style Write units as symbols ("short", default) or
+ *                               with long names in the plural form that goes
+ *                               with the number ("long", e.g. "3 
+ *                               kilograms"), in the locale if it has a 
+ *                               translation table (see defineTranslation)
+ * @param {boolean} options.unicode Use Unicode superscripts, "·" between 
+ *                                  units and "×10" for exponents (e.g. 
+ *                                  "1.2×10³ kg·m²/s²") (default=false)
+ * @param {boolean} options.negativeExponents Write units in the denominator 
+ *                                            with negative powers rather 
+ *                                            than after a "/" (e.g. 
+ *                                            "kg m^2 s^-2") (default=false)
+ * @param {boolean} options.space Put a space between the magnitude and the 
+ *                                unit (default=true)
+ * @param {function} options.format Function to format each element of the 
+ *                                  magnitude as a string, overrides the 
+ *                                  number formatting options
  * 
  * @returns {string} Quantity displayed as a string
  */
-Quantity.prototype.toString = function(unitStr) {
-  let outUnitStr;
-  let outMag;
-  if (unitStr) {
-    outUnitStr = unitStr;
-    outMag = this.in(unitStr);
+Quantity.prototype.toString = function(options) {
+  options = displayOptions(options);
+  if (options.unit instanceof Array) {
+    return splitString(this, options);
+  }
+  let parts = displayParts(this, options);
+  let format = options.format || numberFormat(options);
+  let outMagStr = magnitudeString(parts.magnitude, this.shape, format);
+  if (parts.lower) {
+    outMagStr = magnitudeString(parts.lower, this.shape, format) + " to " + 
+                magnitudeString(parts.upper, this.shape, format);
+  }
+  if (parts.uncertainty) {
+    outMagStr += " ± " + magnitudeString(parts.uncertainty, this.shape, format);
+  }
+  let outUnitStr = parts.unit;
+  if (options.style == "long") {
+    let count = (this.isScalar && !parts.lower) 
+      ? settings.backend.toNumber(parts.magnitude) : undefined;
+    outUnitStr = formatLongUnit(parts.factors, count, options.locale);
+  } else if (options.unicode || options.negativeExponents) {
+    outUnitStr = formatUnit(parts.factors, options);
+  }
+  return outMagStr + (options.space === false ? "" : " ") + outUnitStr;
+};
+
+/**
+ * Display the quantity as LaTeX, either in math mode (e.g. 
+ * "9.81\,\mathrm{m}/\mathrm{s}^{2}") or with the macros of the siunitx 
+ * package (e.g. "\qty{9.81}{\metre\per\second\squared}"). Arrays are 
+ * written as lists (\qtylist) and intervals as ranges (\qtyrange) with 
+ * siunitx.
+ * 
+ * @param {string|Object} options Optional unit string to use to represent the
+ *                                unit in, or an object of display options 
+ *                                (see toString)
+ * @param {string} options.flavor One of "plain" (math mode), "SI" (siunitx 
+ *                                version 2 \SI) or "qty" (siunitx version 3
+ *                                \qty) (default="plain")
+ * 
+ * @returns {string} Quantity as LaTeX
+ */
+Quantity.prototype.toLatex = function(options) {
+  options = displayOptions(options);
+  let flavor = options.flavor || "plain";
+  if (!["plain", "SI", "qty"].includes(flavor)) {
+    throw new InvalidArgumentError(
+      "LaTeX flavor must be one of plain, SI or qty", flavor
+    );
+  }
+  let parts = numberParts(displayParts(this, options), this.shape);
+  if (flavor != "plain") {
+    return siunitxQuantity(parts, flavor, options);
+  }
+  return markupQuantity(parts, "latex", options);
+};
+
+/**
+ * Display the quantity as MathML (e.g. "<math><mrow><mn>9.81</mn>...")
+ * 
+ * @param {string|Object} options Optional unit string to use to represent the
+ *                                unit in, or an object of display options 
+ *                                (see toString)
+ * 
+ * @returns {string} Quantity as a MathML math element
+ */
+Quantity.prototype.toMathML = function(options) {
+  options = displayOptions(options);
+  return markupQuantity(
+    numberParts(displayParts(this, options), this.shape), "mathml", options
+  );
+};
+
+/**
+ * Display the quantity as HTML, with powers in <sup> elements (e.g. 
+ * "9.81&nbsp;m/s<sup>2</sup>")
+ * 
+ * @param {string|Object} options Optional unit string to use to represent the
+ *                                unit in, or an object of display options 
+ *                                (see toString)
+ * 
+ * @returns {string} Quantity as HTML
+ */
+Quantity.prototype.toHTML = function(options) {
+  options = displayOptions(options);
+  return markupQuantity(
+    numberParts(displayParts(this, options), this.shape), "html", options
+  );
+};
+
+/**
+ * Compare a quantity with another quantity and test the result of the 
+ * comparison (-1, 0 or 1) for each element against 0
+ * 
+ * @param {Quantity} q Quantity to compare
+ * @param {Quantity|number} other Other quantity to compare against
+ * @param {Quantity|number} tolerance Tolerance of the comparison
+ * @param {function} test Function with the signature test(result, 0) -> 
+ *                        boolean
+ * 
+ * @returns {boolean|Array} Result of the test for each element
+ */
+function compareTest(q, other, tolerance, test) {
+  other = Quantity.toQuantity(other);
+  let result = arrayOp(
+    q.compare(other, tolerance, true), [0], 
+    (q.isScalar && other.isScalar), 
+    test
+  );
+  return nestLike(result, broadcastShapes(q.shape, other.shape));
+}
+
+/**
+ * Create a quantity by reducing or transforming the magnitude of another
+ * quantity along an axis, the same function is used for the magnitude and the
+ * exact magnitude
+ * 
+ * @param {Quantity} q Quantity to reduce or transform
+ * @param {number} axis Axis to use, undefined for all elements when reducing
+ *                      or the last axis when transforming
+ * @param {function} apply Either reduceAxis or scanAxis
+ * @param {function} fn Function fn(Array, ops) -> value (when reducing) or 
+ *                      Array (when transforming), where ops are the 
+ *                      arithmetic functions for the values
+ * @param {number} offset Offset of the new quantity
+ * @param {boolean} isExact If the function can be applied to exact magnitudes
+ * 
+ * @returns {Quantity} New quantity with the same dimensions and kind
+ */
+function alongAxis(q, axis, apply, fn, offset, isExact) {
+  checkFunctional("reduce or transform", q);
+  // Levels cannot be added to each other (see the add function), so values
+  // in logarithmic units are not reduced either
+  if (q.log) {
+    throw new LogUnitError(
+      "Cannot reduce or transform quantities in logarithmic units, convert " +
+      "them to a linear unit first", q.log
+    );
+  }
+  if (q.magnitude.length == 0) {
+    throw new InvalidArgumentError("Cannot use an empty array", q.magnitude);
+  }
+  if (apply === scanAxis) {
+    if (q.isScalar) {
+      throw new InvalidArgumentError(
+        "Only array quantities can be transformed along an axis", q.magnitude
+      );
+    }
+    if (typeof(axis) === "undefined") {
+      axis = -1;
+    }
+  } else if (q.isScalar && typeof(axis) !== "undefined") {
+    throw new InvalidArgumentError("Scalar quantities do not have axes", axis);
+  }
+  let ops = backendOps();
+  let [newMagnitude, shape] = apply(
+    q.magnitude, q.shape, axis, (values) => fn(values, ops)
+  );
+  let exact = exactOf(q);
+  let newExact;
+  if (exact && isExact) {
+    [newExact] = apply(
+      exact, q.shape, axis, (values) => fn(values, exactOps)
+    );
+  }
+  return withExact(new Quantity(
+    (shape.length == 0) ? newMagnitude[0] : newMagnitude, q.copyDimensions(), 
+    offset, q.kind, shape
+  ), newExact);
+}
+
+// Sum of an array of values, using the provided arithmetic functions
+function total(values, ops) {
+  let result = values[0];
+  for (let ii=1; ii<values.length; ii++) {
+    result = ops.add(result, values[ii]);
+  }
+  return result;
+}
+
+// Arithmetic functions of the current numeric backend
+function backendOps() {
+  return {
+    add: settings.backend.add,
+    sub: settings.backend.sub,
+    mul: settings.backend.mul,
+    div: settings.backend.div,
+    pow: settings.backend.pow,
+    compare: settings.backend.compare,
+    fromNumber: (value) => value,
+  };
+}
+
+// Arithmetic functions of exact magnitudes
+const exactOps = {
+  add: bigAdd,
+  sub: bigSub,
+  mul: bigMul,
+  div: bigDiv,
+  pow: bigPow,
+  compare: function(a, b) {
+    let difference = bigSub(a, b).n;
+    return (difference < 0n) ? -1 : ((difference > 0n) ? 1 : 0);
+  },
+  fromNumber: bigFromNumber,
+};
+
+/**
+ * Get the kind of the result of multiplying two quantities, the kind is only
+ * known if one side is a plain scaling factor
+ * 
+ * @param {Quantity} q1 First quantity in the product
+ * @param {Quantity} q2 Second quantity in the product
+ * 
+ * @returns {string|undefined} Kind of the result, undefined if unknown
+ */
+function productKind(q1, q2) {
+  if (!q2.kind && q2.dimensionality() == 0) {
+    return q1.kind;
+  } else if (!q1.kind && q1.dimensionality() == 0) {
+    return q2.kind;
+  }
+  return undefined;
+}
+
+/**
+ * Create a quantity from values in a functional unit, the quantity keeps the
+ * magnitude in the linear unit that the functional unit converts to
+ * 
+ * @param {number|Array|Float64Array|Float32Array} magnitude Values in the 
+ *        functional unit
+ * @param {string} symbol Symbol of the functional unit
+ * 
+ * @returns {Quantity} Quantity in the functional unit
+ */
+function functionalQuantity(magnitude, symbol) {
+  let unit = functionalUnits[symbol];
+  let values = new Quantity(magnitude);
+  let linear = new values.magnitude.constructor(values.magnitude.length);
+  for (let ii=0; ii<linear.length; ii++) {
+    linear[ii] = unit.to(settings.backend.toNumber(values.magnitude[ii]));
+  }
+  let newQuantity = quantity(1, unit.u).mul(new Quantity(
+    values.isScalar ? linear[0] : linear, undefined, 0, undefined, 
+    values.shape
+  ));
+  newQuantity.functional = symbol;
+  return withExact(newQuantity, undefined);
+}
+
+/**
+ * Convert a quantity to a functional unit
+ * 
+ * @param {Quantity} q Quantity to convert
+ * @param {string} symbol Symbol of the functional unit
+ * @param {Object} options Options of the in function
+ * 
+ * @returns {number|Array|Float64Array|Float32Array} Values in the functional
+ *                                                   unit
+ */
+function functionalIn(q, symbol, options) {
+  if (options.exact) {
+    throw new FunctionalUnitError(
+      "Exact magnitudes are not available in functional units", symbol
+    );
+  }
+  let unit = functionalUnits[symbol];
+  let linear = q.in(unit.u, options);
+  if (q.isScalar) {
+    return unit.from(settings.backend.toNumber(linear));
+  }
+  return (function convert(values) {
+    for (let ii=0; ii<values.length; ii++) {
+      if (values[ii] instanceof Array) {
+        convert(values[ii]);
+      } else {
+        values[ii] = unit.from(settings.backend.toNumber(values[ii]));
+      }
+    }
+    return values;
+  })(linear);
+}
+
+/**
+ * Throw an error if any of the quantities are in a functional unit
+ * 
+ * @param {string} action Name of the operation for the error message
+ * @param {...Quantity} quantities Quantities used in the operation
+ */
+function checkFunctional(action, ...quantities) {
+  for (let ii=0; ii<quantities.length; ii++) {
+    if (quantities[ii].functional) {
+      throw new FunctionalUnitError(
+        "Cannot " + action + " quantities in functional units such as " + 
+        quantities[ii].functional + ", convert them to a linear unit " + 
+        "first", quantities[ii].functional
+      );
+    }
+  }
+}
+
+/**
+ * Create a quantity from values in a logarithmic unit. The quantity keeps the
+ * linear value (such as a power in W for dBm), gains without a reference are
+ * kept as power ratios.
+ * 
+ * @param {number|Array|Float64Array|Float32Array} magnitude Values in the 
+ *        logarithmic unit
+ * @param {string} symbol Symbol of the logarithmic unit
+ * 
+ * @returns {Quantity} Quantity in the logarithmic unit
+ */
+function logQuantity(magnitude, symbol) {
+  let levels = new Quantity(magnitude);
+  let ratios = new levels.magnitude.constructor(levels.magnitude.length);
+  for (let ii=0; ii<ratios.length; ii++) {
+    ratios[ii] = fromLevel(
+      settings.backend.toNumber(levels.magnitude[ii]), symbol
+    );
+  }
+  let newQuantity = new Quantity(
+    levels.isScalar ? ratios[0] : ratios, undefined, 0, undefined, 
+    levels.shape
+  ).mul(logReference(symbol));
+  newQuantity.log = symbol;
+  return withExact(newQuantity, undefined);
+}
+
+// Reference quantity of a logarithmic unit, dimensionless for gains
+function logReference(symbol) {
+  if (logUnits[symbol].r) {
+    return quantity(1, logUnits[symbol].r);
+  }
+  return new Quantity(1);
+}
+
+// Check if a quantity is a gain (in a logarithmic unit without a reference)
+function isGain(q) {
+  return Boolean(q.log) && !logUnits[q.log].r;
+}
+
+// Factor to apply a gain to a quantity in a logarithmic unit, gains are power
+// ratios so the square root is used for root-power quantities (such as dBV)
+function gainFactor(gain, q) {
+  if (logUnits[q.log].root) {
+    return gain.root(2);
+  }
+  return gain;
+}
+
+/**
+ * Add quantities in logarithmic units. Adding gains multiplies the linear 
+ * values, so gains can be added to each other or to levels (such as dBm), 
+ * but levels cannot be added to each other.
+ * 
+ * @param {Quantity} q1 First quantity
+ * @param {Quantity} q2 Second quantity
+ * 
+ * @returns {Quantity} Sum, in the logarithmic unit of the level if there is
+ *                     one, otherwise in the unit of the first quantity
+ */
+function logAdd(q1, q2) {
+  if (!q1.log || !q2.log || (!isGain(q1) && !isGain(q2))) {
+    throw new LogUnitError(
+      "Only gains (such as dB) can be added to quantities in logarithmic " +
+      "units, use the linear option to add the linear values",
+      q1.log || q2.log
+    );
+  }
+  let [level, gain] = isGain(q2) ? [q1, q2] : [q2, q1];
+  let newQuantity = level.mul(gainFactor(gain, level));
+  newQuantity.log = level.log;
+  return newQuantity;
+}
+
+/**
+ * Subtract quantities in logarithmic units. Subtracting a gain divides the 
+ * linear value, and the difference of two levels (such as dBm) is the gain 
+ * between them in dB.
+ * 
+ * @param {Quantity} q1 Quantity to subtract from
+ * @param {Quantity} q2 Quantity to subtract
+ * 
+ * @returns {Quantity} Difference
+ */
+function logSub(q1, q2) {
+  if (!q1.log || !q2.log || (isGain(q1) && !isGain(q2))) {
+    throw new LogUnitError(
+      "Only gains (such as dB) or levels with the same units can be " +
+      "subtracted from quantities in logarithmic units, use the linear " +
+      "option to subtract the linear values", q1.log || q2.log
+    );
+  }
+  let newQuantity;
+  if (isGain(q2)) {
+    newQuantity = q1.div(gainFactor(q2, q1));
+    newQuantity.log = q1.log;
   } else {
-    let arrSI = this.inSI();
-    outUnitStr = arrSI[1];
-    outMag = arrSI[0];
+    if (!q1.sameDimensions(q2)) {
+      throw new DimensionMismatchError(
+        mismatchMessage("Cannot subtract units that are not alike", q1, q2),
+        q1.dimensions, q2.dimensions
+      );
+    }
+    // Ratio of the levels as a power ratio
+    newQuantity = q1.div(q2);
+    if (logUnits[q1.log].root) {
+      newQuantity = newQuantity.pow(2);
+    }
+    newQuantity.log = "dB";
+  }
+  return newQuantity;
+}
+
+/**
+ * Apply a function of numbers to each element of a dimensionless quantity
+ * 
+ * @param {string} name Name of the function for error messages
+ * @param {Quantity|number} q Dimensionless quantity
+ * @param {function} fn Function fn(number) -> number
+ * @param {string} kind Kind of the result, if known
+ * 
+ * @returns {Quantity} Dimensionless result
+ */
+function dimensionlessMath(name, q, fn, kind) {
+  q = Quantity.toQuantity(q);
+  checkFunctional("use math." + name + " with", q);
+  if (q.dimensionality() != 0) {
+    throw new DimensionMismatchError(
+      "math." + name + " requires a dimensionless quantity (such as an " +
+      "angle or ratio), not " + q.describeDimensions(true),
+      q.dimensions, zeroDimensions()
+    );
+  }
+  let backend = settings.backend;
+  let newMagnitude = new q.magnitude.constructor(q.magnitude.length);
+  for (let ii=0; ii<q.magnitude.length; ii++) {
+    newMagnitude[ii] = fn(backend.toNumber(q.magnitude[ii]));
+  }
+  return withExact(new Quantity(
+    q.isScalar ? newMagnitude[0] : newMagnitude, zeroDimensions(), 0, kind,
+    q.shape
+  ), undefined);
+}
+
+/**
+ * Logarithm of a dimensionless quantity, or of the ratio of a quantity to a
+ * reference quantity with the same dimensions
+ * 
+ * @param {string} name Name of the function for error messages
+ * @param {Quantity|number} q Quantity to take the logarithm of
+ * @param {Quantity|number} reference Reference quantity, if provided
+ * @param {function} fn Logarithm function of numbers
+ * 
+ * @returns {Quantity} Dimensionless result
+ */
+function logMath(name, q, reference, fn) {
+  if (typeof(reference) !== "undefined") {
+    q = Quantity.toQuantity(q);
+    reference = Quantity.toQuantity(reference);
+    if (!q.sameDimensions(reference)) {
+      throw new DimensionMismatchError(
+        mismatchMessage(
+          "math." + name + " requires a reference with the same dimensions", 
+          q, reference
+        ),
+        q.dimensions, reference.dimensions
+      );
+    }
+    q = q.div(reference);
+  }
+  return dimensionlessMath(name, q, fn);
+}
+
+/**
+ * Apply a function of numbers to the elements of quantities that have the 
+ * same dimensions, broadcasting arrays with different shapes
+ * 
+ * @param {string} name Name of the function for error messages
+ * @param {Array<Quantity|number>} quantities Inputs of the function
+ * @param {function} fn Function fn(...number) -> number
+ * 
+ * @returns {[number|Array, number[]]} Result and its shape
+ */
+function sameDimensionMath(name, quantities, fn) {
+  if (quantities.length == 0) {
+    throw new InvalidArgumentError(
+      "math." + name + " requires at least one quantity", quantities
+    );
+  }
+  quantities = quantities.map(Quantity.toQuantity);
+  checkFunctional("use math." + name + " with", ...quantities);
+  let shape = [];
+  for (let ii=0; ii<quantities.length; ii++) {
+    if (!quantities[0].sameDimensions(quantities[ii])) {
+      throw new DimensionMismatchError(
+        mismatchMessage(
+          "math." + name + " requires quantities with the same dimensions", 
+          quantities[0], quantities[ii]
+        ),
+        quantities[0].dimensions, quantities[ii].dimensions
+      );
+    }
+    if (quantities[ii].offset != 0) {
+      throw new OffsetUnitError(
+        "math." + name + " cannot be used with a unit with a zero offset, " +
+        "if using temperatures consider using 'deltaC' or 'deltaF' instead",
+        quantities[ii].offset
+      );
+    }
+    shape = broadcastShapes(shape, quantities[ii].shape);
+  }
+  let backend = settings.backend;
+  let inputs = quantities.map(
+    (q) => Array.from(expandTo(q, shape), backend.toNumber)
+  );
+  let values = new Array(shapeSize(shape));
+  for (let ii=0; ii<values.length; ii++) {
+    values[ii] = fn(...inputs.map(
+      (input) => input[(input.length == 1) ? 0 : ii]
+    ));
+  }
+  if (quantities.every((q) => q.isScalar)) {
+    return [values[0], shape];
+  }
+  return [values, shape];
+}
+
+// Dimensions of a dimensionless quantity
+function zeroDimensions() {
+  return new Array(numDimensionTypes).fill(0);
+}
+
+/**
+ * Check the sample points of an array quantity for integration or 
+ * differentiation
+ * 
+ * @param {Quantity} y Values at the sample points
+ * @param {Quantity|number} x Sample points, or a scalar spacing between them
+ *                            (default=1)
+ * 
+ * @returns {Quantity} Sample points as a quantity
+ */
+function checkSamples(y, x) {
+  if (!(y instanceof Quantity) || y.isScalar || y.shape[y.shape.length-1] < 2) {
+    throw new InvalidArgumentError(
+      "Values must be an array quantity with at least two samples", y
+    );
+  }
+  if (typeof(x) === "undefined") {
+    x = 1;
+  }
+  x = Quantity.toQuantity(x);
+  if (!x.isScalar && x.shape[x.shape.length-1] != y.shape[y.shape.length-1]) {
+    throw new VectorLengthError(
+      "Sample points must be the same length as the values", 
+      [x.magnitude.length, y.magnitude.length], [x.shape, y.shape]
+    );
+  }
+  return x;
+}
+
+/**
+ * Areas of the trapezoids between each pair of samples of an array quantity
+ * 
+ * @param {Quantity} y Values at the sample points
+ * @param {Quantity|number} x Sample points, or a scalar spacing between them
+ *                            (default=1)
+ * 
+ * @returns {Quantity} Areas, with one less element than y along the last axis
+ */
+function trapezoids(y, x) {
+  x = checkSamples(y, x);
+  let dx = x.isScalar ? x : x.diff(-1);
+  let left = lastAxis(y, [0, -1]).mul(dx);
+  let right = lastAxis(y, [1]).mul(dx);
+  return left.add(right).mul(0.5);
+}
+
+// Slice the last axis of a quantity
+function lastAxis(q, range) {
+  return q.slice(...new Array(q.shape.length - 1).fill(null), range);
+}
+
+// Join quantities with the same dimensions and no offsets along their last
+// axis
+function concatQuantities(quantities) {
+  let [newMagnitude, shape] = concatLast(
+    quantities.map((q) => q.magnitude), quantities.map((q) => q.shape)
+  );
+  let exacts = quantities.map(exactOf);
+  let newExact;
+  if (!exacts.includes(undefined)) {
+    [newExact] = concatLast(exacts, quantities.map((q) => q.shape));
+  }
+  return withExact(new Quantity(
+    newMagnitude, quantities[0].copyDimensions(), 0, 
+    quantities.map((q) => q.kind).reduce(combineKinds), shape
+  ), newExact);
+}
+
+/**
+ * Set the standard uncertainty of a new quantity from user input
+ * 
+ * @param {Quantity} q Quantity to set the uncertainty of
+ * @param {number|Array|Float64Array|Float32Array} uncertainty Standard 
+ *        uncertainty in the unit of the quantity, either one value for all
+ *        of the elements or one value per element
+ * @param {number} scale Scale of the unit of the quantity
+ * 
+ * @returns {Quantity} The same quantity
+ */
+function setUncertainty(q, uncertainty, scale) {
+  if (q.log || q.functional) {
+    throw new InvalidArgumentError(
+      "Quantities in logarithmic or functional units cannot have an " + 
+      "uncertainty", uncertainty
+    );
+  }
+  let values = uncertainty;
+  if (!isTypedArray(uncertainty)) {
+    [values] = flatten(uncertainty);
+  }
+  if (values.length != 1 && values.length != q.magnitude.length) {
+    throw new VectorLengthError(
+      "Uncertainty must be a single value or one value per element", 
+      [values.length, q.magnitude.length]
+    );
+  }
+  values = Array.from(values, (value) => {
+    value = Number(value);
+    if (!(value >= 0)) {
+      throw new InvalidArgumentError(
+        "Uncertainty must be a non-negative number", uncertainty
+      );
+    }
+    return value * scale;
+  });
+  q.uncertainty = fillTo(values, [q.magnitude.length]);
+  return q;
+}
+
+/**
+ * Get the standard uncertainty of a quantity in a unit
+ * 
+ * @param {Quantity} q Quantity to get the uncertainty of
+ * @param {string} unitString Unit to get the uncertainty in
+ * 
+ * @returns {number|Array} Uncertainty, nested like the magnitude of an 
+ *                         N-dimensional quantity
+ */
+function uncertaintyIn(q, unitString) {
+  if (isLogUnit(unitString) || isFunctionalUnit(unitString)) {
+    throw new InvalidArgumentError(
+      "Uncertainties cannot be converted to logarithmic or functional units",
+      unitString
+    );
+  }
+  let scale = settings.backend.toNumber(parseUnit(unitString).magnitude[0]);
+  let values = uncertaintyTo(q, q.shape).map((value) => value / scale);
+  if (q.isScalar) {
+    return values[0];
+  }
+  return nest(values, q.shape);
+}
+
+// Get a quantity's uncertainty broadcast to a shape, zero if it has none
+function uncertaintyTo(q, shape) {
+  if (!q.uncertainty) {
+    return fillTo([0], shape);
+  }
+  return fillTo(expand(q.uncertainty, q.shape, shape), shape);
+}
+
+// Get a quantity's magnitude broadcast to a shape as numbers
+function numbersTo(q, shape) {
+  return fillTo(
+    Array.from(expandTo(q, shape), settings.backend.toNumber), shape
+  );
+}
+
+// Repeat a single value to fill a shape, arrays that already fill the shape
+// are returned as they are
+function fillTo(values, shape) {
+  let size = shapeSize(shape);
+  if (values.length == size) {
+    return values;
+  }
+  return new Array(size).fill(values[0]);
+}
+
+// First order uncertainty of the sum or difference of two quantities
+function sumUncertainty(q1, q2, shape) {
+  if (!q1.uncertainty && !q2.uncertainty) {
+    return undefined;
   }
-  let outMagStr;
-  if (outMag instanceof Array) {
-    outMagStr = "[" + outMag.toString() + "]";
+  let u1 = uncertaintyTo(q1, shape);
+  let u2 = uncertaintyTo(q2, shape);
+  return u1.map((value, ii) => Math.hypot(value, u2[ii]));
+}
+
+// First order uncertainty of the product of two quantities
+function productUncertainty(q1, q2, shape) {
+  if (!q1.uncertainty && !q2.uncertainty) {
+    return undefined;
+  }
+  let x1 = numbersTo(q1, shape);
+  let x2 = numbersTo(q2, shape);
+  let u1 = uncertaintyTo(q1, shape);
+  let u2 = uncertaintyTo(q2, shape);
+  return x1.map((value, ii) => Math.hypot(x2[ii] * u1[ii], value * u2[ii]));
+}
+
+// First order uncertainty of the dot product of two quantities, the sum of 
+// the variances of the products of the elements
+function dotUncertainty(q1, q2) {
+  if (!q1.uncertainty && !q2.uncertainty) {
+    return undefined;
+  }
+  let pairs = (q) => {
+    let x = numbersTo(q, q.shape);
+    let u = uncertaintyTo(q, q.shape);
+    return x.map((value, ii) => [value, u[ii]]);
+  };
+  let [variances] = dotProduct(
+    pairs(q1), q1.shape, pairs(q2), q2.shape, (a, b) => a + b,
+    ([x1, u1], [x2, u2]) => Math.pow(x2 * u1, 2) + Math.pow(x1 * u2, 2)
+  );
+  return variances.map(Math.sqrt);
+}
+
+// First order uncertainty of a quantity raised to a power
+function powerUncertainty(q, n) {
+  if (!q.uncertainty) {
+    return undefined;
+  }
+  let x = numbersTo(q, q.shape);
+  return q.uncertainty.map((value, ii) => {
+    if (value == 0) {
+      return 0;
+    }
+    return Math.abs(n * Math.pow(x[ii], n - 1)) * value;
+  });
+}
+
+// First order uncertainty of a reduction or transform along an axis, the 
+// function is called with the magnitudes and uncertainties of the elements 
+// along the axis as numbers
+function uncertaintyAlongAxis(q, axis, apply, fn) {
+  if (!q.uncertainty) {
+    return undefined;
+  }
+  let x = numbersTo(q, q.shape);
+  let u = uncertaintyTo(q, q.shape);
+  return indicesAlongAxis(q, axis, apply, (indices) => fn(
+    indices.map((index) => x[index]), indices.map((index) => u[index])
+  ));
+}
+
+// Apply a function along an axis to the indices of the elements of a 
+// quantity, the same way as alongAxis applies it to the magnitudes
+function indicesAlongAxis(q, axis, apply, fn) {
+  if (apply === scanAxis && typeof(axis) === "undefined") {
+    axis = -1;
+  }
+  let indices = Array.from(q.magnitude, (value, ii) => ii);
+  let [output] = apply(indices, q.shape, axis, fn);
+  return output;
+}
+
+// Square root of the sum of the squares of numbers, without the argument 
+// limit of Math.hypot for long arrays
+function quadrature(values) {
+  return Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+}
+
+/**
+ * Set the bounds of a new interval quantity
+ * 
+ * @param {Quantity} q Quantity to set the bounds of
+ * @param {number[]} lower Lower bound of each element, scaled and offset the 
+ *                         same as the magnitude of the quantity
+ * @param {number[]} upper Upper bound of each element
+ * 
+ * @returns {Quantity} The same quantity
+ */
+function setInterval(q, lower, upper) {
+  if (q.log || q.functional) {
+    throw new InvalidArgumentError(
+      "Quantities in logarithmic or functional units cannot be intervals", 
+      [lower, upper]
+    );
+  }
+  for (let ii=0; ii<lower.length; ii++) {
+    if (!(lower[ii] <= upper[ii])) {
+      throw new InvalidArgumentError(
+        "The lower bound of an interval must not be greater than the upper " +
+        "bound", [lower[ii], upper[ii]]
+      );
+    }
+  }
+  q.interval = [lower, upper];
+  return q;
+}
+
+/**
+ * Get the bounds of an interval quantity in a unit
+ * 
+ * @param {Quantity} q Quantity to get the bounds of
+ * @param {string} unitString Unit to get the bounds in
+ * 
+ * @returns {Array} Lower and upper bounds, nested like the magnitude of an
+ *                  N-dimensional quantity
+ */
+function intervalIn(q, unitString) {
+  if (isLogUnit(unitString) || isFunctionalUnit(unitString)) {
+    throw new InvalidArgumentError(
+      "Intervals cannot be converted to logarithmic or functional units",
+      unitString
+    );
+  }
+  return intervalTo(q, q.shape).map((bound) => {
+    let boundQuantity = new Quantity(
+      q.isScalar ? bound[0] : bound, q.dimensions, q.offset, q.kind, q.shape
+    );
+    return boundQuantity.in(unitString);
+  });
+}
+
+// Get the bounds of a quantity broadcast to a shape, quantities that are not
+// intervals have the same lower and upper bound
+function intervalTo(q, shape) {
+  if (!q.interval) {
+    let values = numbersTo(q, shape);
+    return [values, values];
+  }
+  return q.interval.map(
+    (bound) => fillTo(expand(bound, q.shape, shape), shape)
+  );
+}
+
+// Bounds of the result of an operation of two quantities, the operation must
+// be monotonic in each argument so that the bounds are from the corners of 
+// the intervals
+function intervalOp(q1, q2, shape, op) {
+  if (!q1.interval && !q2.interval) {
+    return undefined;
+  }
+  let [lower1, upper1] = intervalTo(q1, shape);
+  let [lower2, upper2] = intervalTo(q2, shape);
+  let lower = new Array(lower1.length);
+  let upper = new Array(lower1.length);
+  for (let ii=0; ii<lower.length; ii++) {
+    let corners = [
+      op(lower1[ii], lower2[ii]), op(lower1[ii], upper2[ii]),
+      op(upper1[ii], lower2[ii]), op(upper1[ii], upper2[ii]),
+    ];
+    lower[ii] = Math.min(...corners);
+    upper[ii] = Math.max(...corners);
+  }
+  return [lower, upper];
+}
+
+// Bounds of the dot product of two quantities, the sum of the bounds of the
+// products of the elements
+function dotInterval(q1, q2) {
+  if (!q1.interval && !q2.interval) {
+    return undefined;
+  }
+  let pairs = (q) => {
+    let [lower, upper] = intervalTo(q, q.shape);
+    return lower.map((value, ii) => [value, upper[ii]]);
+  };
+  let [bounds] = dotProduct(
+    pairs(q1), q1.shape, pairs(q2), q2.shape, 
+    (a, b) => [a[0] + b[0], a[1] + b[1]],
+    ([lower1, upper1], [lower2, upper2]) => {
+      let corners = [
+        lower1 * lower2, lower1 * upper2, upper1 * lower2, upper1 * upper2,
+      ];
+      return [Math.min(...corners), Math.max(...corners)];
+    }
+  );
+  return [
+    Array.from(bounds, (bound) => bound[0]), 
+    Array.from(bounds, (bound) => bound[1]),
+  ];
+}
+
+// Bounds of an interval quantity raised to a power
+function powerInterval(q, n) {
+  if (!q.interval) {
+    return undefined;
+  }
+  let [lower, upper] = q.interval;
+  let newLower = new Array(lower.length);
+  let newUpper = new Array(lower.length);
+  for (let ii=0; ii<lower.length; ii++) {
+    if (n < 0 && lower[ii] <= 0 && upper[ii] >= 0) {
+      throw new InvalidArgumentError(
+        "Cannot divide by or take negative powers of an interval that " +
+        "contains zero", [lower[ii], upper[ii]]
+      );
+    }
+    if (!Number.isInteger(n) && lower[ii] < 0) {
+      throw new InvalidArgumentError(
+        "Fractional powers not supported for intervals with negative bounds",
+        [lower[ii], upper[ii]]
+      );
+    }
+    let values = [Math.pow(lower[ii], n), Math.pow(upper[ii], n)];
+    // Even powers of intervals that contain zero have a minimum of zero
+    if (lower[ii] < 0 && upper[ii] > 0) {
+      values.push(0);
+    }
+    newLower[ii] = Math.min(...values);
+    newUpper[ii] = Math.max(...values);
+  }
+  return [newLower, newUpper];
+}
+
+// Bounds of a reduction or transform of an interval quantity along an axis,
+// the function is called with the lower and upper bounds of the elements 
+// along the axis and returns the lower and upper bound of each result
+function intervalAlongAxis(q, axis, apply, fn) {
+  if (!q.interval) {
+    return undefined;
+  }
+  let [lower, upper] = intervalTo(q, q.shape);
+  let bounds = indicesAlongAxis(q, axis, apply, (indices) => fn(
+    indices.map((index) => lower[index]), indices.map((index) => upper[index])
+  ));
+  return [
+    Array.from(bounds, (bound) => bound[0]), 
+    Array.from(bounds, (bound) => bound[1]),
+  ];
+}
+
+// Sum of numbers
+function sumOf(values) {
+  return values.reduce((sum, value) => sum + value, 0);
+}
+
+// Bounds of the absolute value of an interval
+function absBounds(lower, upper) {
+  if (lower >= 0) {
+    return [lower, upper];
+  }
+  if (upper <= 0) {
+    return [-upper, -lower];
+  }
+  return [0, Math.max(-lower, upper)];
+}
+
+/**
+ * Compare the bounds of quantities where at least one is an interval
+ * 
+ * @param {Quantity} q Quantity to compare
+ * @param {Quantity} other Other quantity to compare against
+ * @param {number[]} shape Shape of the result
+ * @param {number} absoluteTolerance Absolute tolerance of the comparison
+ * @param {Quantity|number} tolerance Tolerance provided by the user, a 
+ *                                    number is a fraction of q
+ * 
+ * @returns {number[]} Result of the comparison of each element, -1 if other
+ *                     is greater, 1 if other is less or 0 if they overlap
+ */
+function compareIntervals(q, other, shape, absoluteTolerance, tolerance) {
+  let absoluteBounds = (x) => intervalTo(x, shape).map(
+    (bound) => bound.map((value) => value + Number(x.offset))
+  );
+  let [lower1, upper1] = absoluteBounds(q);
+  let [lower2, upper2] = absoluteBounds(other);
+  let nominal = numbersTo(q, shape);
+  let tol = settings.backend.toNumber(absoluteTolerance);
+  return lower1.map((value, ii) => {
+    if (typeof(tolerance) !== "object") {
+      tol = Math.abs(nominal[ii] + Number(q.offset)) * tolerance;
+    }
+    if (lower2[ii] - upper1[ii] > tol) {
+      return -1;
+    } else if (value - upper2[ii] > tol) {
+      return 1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Format a power for a unit string, rational powers are put in parenthesis
+ * so they can be parsed (e.g. "(1/2)")
+ * 
+ * @param {number|Rational} power Power to format
+ * 
+ * @returns {string} Power as a string
+ */
+function powerString(power) {
+  if (power instanceof Rational) {
+    return "(" + power.toString() + ")";
+  }
+  return power.toString();
+}
+
+/**
+ * Get the exact magnitude of a quantity in exact mode. Quantities that do not
+ * already have an exact magnitude use the decimal value of their magnitude.
+ * 
+ * @param {Quantity} q Quantity to get the exact magnitude of
+ * 
+ * @returns {BigRational[]|undefined} Exact magnitude, or undefined if not in
+ *                                    exact mode or the magnitude cannot be 
+ *                                    represented exactly
+ */
+function exactOf(q) {
+  if (!settings.exact) {
+    return undefined;
+  }
+  // Quantities that have been through an inexact operation have an exact
+  // magnitude of null
+  if (typeof(q.exact) !== "undefined") {
+    return q.exact || undefined;
+  }
+  return exactOp(
+    Array.from(q.magnitude, bigFromNumber), [bigFromNumber(1)], bigMul
+  );
+}
+
+/**
+ * Get the exact ratio of an offset, by matching it to units with a known 
+ * exact offset
+ * 
+ * @param {number} offset Offset of a quantity
+ * 
+ * @returns {number[]|undefined} Offset as [numerator, denominator], or 
+ *                               undefined if there is no exact ratio
+ */
+function offsetRatio(offset) {
+  for (let unitSymbol in exactOffsets) {
+    if (units[unitSymbol].o === offset) {
+      return exactOffsets[unitSymbol];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the exact value of a quantity's offset in exact mode
+ * 
+ * @param {number} offset Offset of a quantity
+ * 
+ * @returns {BigRational} Exact offset
+ */
+function exactOffset(offset) {
+  let ratio = offsetRatio(offset);
+  if (ratio) {
+    return bigRational(BigInt(ratio[0]), BigInt(ratio[1]));
+  }
+  return bigFromNumber(offset);
+}
+
+/**
+ * Get the value of a quantity's offset with the numeric backend. Backends 
+ * with more precision than numbers use the exact ratio if it is known.
+ * 
+ * @param {number} offset Offset of a quantity
+ * 
+ * @returns {*} Offset as a value of the numeric backend
+ */
+function backendOffset(offset) {
+  let ratio = offsetRatio(offset);
+  if (ratio && settings.backend !== numberBackend) {
+    return settings.backend.div(ratio[0], ratio[1]);
+  }
+  return offset;
+}
+
+/**
+ * Combine exact magnitudes with arrayOp, the result is undefined if either of
+ * the inputs or any of the results cannot be represented exactly
+ */
+function exactOp(arr1, arr2, op) {
+  if (!arr1 || !arr2) {
+    return undefined;
+  }
+  let output = arrayOp(arr1, arr2, false, op);
+  if (output.includes(undefined)) {
+    return undefined;
+  }
+  return output;
+}
+
+/**
+ * Attach the result of an exact operation to a quantity in exact mode and 
+ * round its magnitude to match
+ * 
+ * @param {Quantity} q Quantity to attach the exact magnitude to
+ * @param {BigRational[]} exact Exact magnitude, if undefined the quantity is
+ *                              marked as inexact
+ * 
+ * @returns {Quantity} The input quantity
+ */
+function withExact(q, exact) {
+  if (!settings.exact) {
+    return q;
+  }
+  if (exact) {
+    q.exact = exact;
+    q.magnitude = copyInto(exact.map(Number), undefined, q.magnitude);
   } else {
-    outMagStr = outMag.toString();
+    q.exact = null;
   }
-  return outMagStr + " " + outUnitStr;
-};
+  return q;
+}
+
+/**
+ * If strict kinds are enabled, throw an error if two quantities that both 
+ * have a kind are not the same kind
+ * 
+ * @param {string} action Name of the operation being done for the error 
+ * @param {Quantity} q1 First quantity in the operation
+ * @param {Quantity} q2 Second quantity in the operation
+ */
+function checkKinds(action, q1, q2) {
+  if (settings.strictKinds && q1.kind && q2.kind && q1.kind != q2.kind) {
+    throw new KindMismatchError(
+      "Cannot " + action + " " + q1.kind + " and " + q2.kind + 
+      " with strict kinds enabled",
+      q1.dimensions, q2.dimensions, q1.kind, q2.kind
+    );
+  }
+}
+
+/**
+ * Get the kind of the result of adding two quantities
+ * 
+ * @param {string} kind1 Kind of the first quantity
+ * @param {string} kind2 Kind of the second quantity
+ * 
+ * @returns {string|undefined} Kind of the result, undefined if unknown
+ */
+function combineKinds(kind1, kind2) {
+  if (!kind1) {
+    return kind2;
+  }
+  if (!kind2 || kind1 == kind2) {
+    return kind1;
+  }
+  return undefined;
+}
+
+/**
+ * Add a description of the dimensions of two quantities to an error message
+ * 
+ * @param {string} message Error message
+ * @param {Quantity} q1 First quantity in the failed operation
+ * @param {Quantity} q2 Second quantity in the failed operation
+ * 
+ * @returns {string} Error message with the dimensions of the quantities
+ */
+function mismatchMessage(message, q1, q2) {
+  return (message + ": " + q1.describeDimensions(true) + " and " + 
+          q2.describeDimensions(true));
+}
 
 /**
  * Do the provided function operation as a vector operation on provided arrays
@@ -725,10 +3074,12 @@ Quantity.prototype.toString = function(unitStr) {
  *                           one array. Return the 0 element, not the array
  * @param {function} op Function to combine the two arrays. Must have the 
  *                      signature op(number, number) -> number
+ * @param {function} outputType Constructor of the output array, such as 
+ *                              Float64Array (default=Array)
  */
-function arrayOp(arr1, arr2, collapse, op) {
+function arrayOp(arr1, arr2, collapse, op, outputType) {
   let maxLength = Math.max(arr1.length, arr2.length);
-  let output = new Array(maxLength);
+  let output = new (outputType || Array)(maxLength);
   // Equal length vectors
   if (arr1.length == arr2.length) {
     for (let ii=0; ii<maxLength; ii++) {
@@ -745,8 +3096,10 @@ function arrayOp(arr1, arr2, collapse, op) {
       output[ii] = op(arr1[ii], arr2[0]);
     }
   } else {
-    throw ("Vector operations arguments must have the same length or at " +
-           "least one must be scalar (length 1)");
+    throw new VectorLengthError(
+      "Vector operations arguments must have the same length or at least " +
+      "one must be scalar (length 1)", [arr1.length, arr2.length]
+    );
   }
   if (collapse && (output.length == 1)) {
     return output[0];
@@ -755,48 +3108,310 @@ function arrayOp(arr1, arr2, collapse, op) {
 }
 // Add as an array
 function arrayAdd(a, b, collapse) {
-  return arrayOp(a, b, collapse, function(c, d) {
-    return c + d;
-  });
+  return arrayOp(a, b, collapse, settings.backend.add, outputType(a, b));
 }
 // Subtract as an array
 function arraySub(a, b, collapse) {
-  return arrayOp(a, b, collapse, function(c, d) {
-    return c - d;
-  });
+  return arrayOp(a, b, collapse, settings.backend.sub, outputType(a, b));
 }
 // Multiply as an array
 function arrayMul(a, b, collapse) {
-  return arrayOp(a, b, collapse, function(c, d) {
-    return c * d;
-  });
+  return arrayOp(a, b, collapse, settings.backend.mul, outputType(a, b));
 }
 // Divide as an array
 function arrayDiv(a, b, collapse) {
-  return arrayOp(a, b, collapse, function(c, d) {
-    return c / d;
+  return arrayOp(a, b, collapse, settings.backend.div, outputType(a, b));
+}
+// Power as an array, the powers in b must be numbers
+function arrayPow(a, b, collapse) {
+  return arrayOp(a, b, collapse, settings.backend.pow, outputType(a, b));
+}
+// Check if a value is a typed array such as Float64Array
+function isTypedArray(value) {
+  return ArrayBuffer.isView(value) && !(value instanceof DataView);
+}
+// Check if a value is a typed array of floating point numbers
+function isFloatArray(value) {
+  return value instanceof Float64Array || value instanceof Float32Array;
+}
+// Get a quantity's magnitude broadcast to a shape
+function expandTo(q, shape) {
+  return expand(q.magnitude, q.shape, shape);
+}
+// Get a quantity's exact magnitude broadcast to a shape
+function expandExactTo(q, shape) {
+  return expand(exactOf(q), q.shape, shape);
+}
+// Nest flat results of an N-dimensional quantity, typed arrays and results 
+// that are not arrays are returned as they are
+function nestLike(values, shape) {
+  if (values instanceof Array) {
+    return nest(values, shape);
+  }
+  return values;
+}
+// Get the display options of toString and the other display functions from a
+// unit string or an object of options
+function displayOptions(options) {
+  if (typeof(options) === "string" || typeof(options) === "undefined") {
+    options = {unit: options};
+  }
+  if (typeof(options.locale) === "undefined" && settings.locale) {
+    options = Object.assign({}, options, {locale: settings.locale});
+  }
+  checkFormat(options);
+  return options;
+}
+
+/**
+ * Get the parts of a quantity to display, in the unit to display it in
+ * 
+ * @param {Quantity} q Quantity to display
+ * @param {Object} options Display options, see toString
+ * 
+ * @returns {Object} Parts of the quantity, with the properties magnitude, 
+ *                   lower and upper (the bounds of an interval quantity), 
+ *                   uncertainty (each a value or a nested array, undefined if
+ *                   the quantity does not have it), unit (unit string) and 
+ *                   factors (factors of the unit, see unitFactors)
+ */
+function displayParts(q, options) {
+  let unitStr = options.unit;
+  let parts = {};
+  if (!unitStr && (q.log || q.functional)) {
+    // Quantities in logarithmic or functional units are shown in the same 
+    // unit
+    unitStr = q.log || q.functional;
+  }
+  if (unitStr) {
+    parts.unit = unitStr;
+    parts.magnitude = q.in(unitStr);
+  } else {
+    [parts.magnitude, parts.unit] = q.inSI();
+  }
+  if (options.autoPrefix) {
+    [parts.magnitude, parts.unit] = q.inBestPrefix(parts.unit, options);
+    // Rounding for display can move the magnitude out of the range of the 
+    // prefix (e.g. 999.9999 W is 1000.000 W to three digits), so the prefix
+    // is chosen again for the rounded magnitude
+    if (    !options.format 
+         && (    typeof(options.digits) !== "undefined" 
+              || options.significant)) {
+      let rounded = Number(formatNumber(largestMagnitude(parts.magnitude), {
+        digits: options.digits, 
+        significant: options.significant, 
+        notation: options.notation,
+      }));
+      let unit = quantity(rounded, parts.unit).inBestPrefix(
+        parts.unit, options
+      )[1];
+      if (unit != parts.unit) {
+        parts.unit = unit;
+        parts.magnitude = q.in(unit);
+      }
+    }
+  }
+  if (q.interval) {
+    [parts.lower, parts.upper] = intervalIn(q, parts.unit);
+  }
+  if (q.uncertainty) {
+    parts.uncertainty = uncertaintyIn(q, parts.unit);
+  }
+  parts.factors = unitFactors(parts.unit);
+  return parts;
+}
+
+// Display a scalar quantity split across a list of units (e.g. "5 ft 3 in"),
+// the components before the last are whole numbers
+function splitString(q, options) {
+  if (!q.isScalar || q.interval || q.uncertainty) {
+    throw new InvalidArgumentError(
+      "Only scalar quantities without an uncertainty or interval can be " +
+      "displayed in a list of units", options.unit
+    );
+  }
+  let components = q.split(options.unit, {digits: options.digits});
+  let format = options.format || numberFormat(options);
+  let wholeFormat = options.format || numberFormat(Object.assign(
+    {}, options, {digits: 0, significant: undefined}
+  ));
+  return components.map((value, ii) => {
+    let unitString = options.unit[ii];
+    let factors = unitFactors(unitString);
+    if (options.style == "long") {
+      unitString = formatLongUnit(factors, value, options.locale);
+    } else if (options.unicode || options.negativeExponents) {
+      unitString = formatUnit(factors, options);
+    }
+    let isLast = (ii == components.length - 1);
+    return (isLast ? format(value) : wholeFormat(value)) + 
+           (options.space === false ? "" : " ") + unitString;
+  }).join(" ");
+}
+
+// Split a number in the smallest of a list of units into whole numbers of
+// each unit and a remainder in the smallest unit, sizes are the sizes of the 
+// units in the smallest unit. The remainder is rounded to a number of digits
+// if digits is defined.
+function splitValue(value, sizes, digits) {
+  let remainder = Math.abs(value);
+  let components = sizes.slice(0, -1).map((size) => {
+    // Allow for rounding errors in the conversion, such as 12 in being 
+    // 11.999999999999998 in
+    let whole = Math.floor(remainder / size * (1 + 1e-12));
+    remainder = Math.max(0, remainder - whole * size);
+    return whole;
   });
+  if (typeof(digits) !== "undefined") {
+    let factor = Math.pow(10, digits);
+    remainder = Math.round(remainder * factor) / factor;
+    // Carry a remainder that rounded up to a whole one of the next unit, and
+    // any component that became a whole one of its next unit
+    let last = components.length - 1;
+    if (last >= 0 && remainder >= sizes[last] * (1 - 1e-12)) {
+      remainder = 0;
+      components[last] += 1;
+    }
+    for (let ii=last; ii>0; ii--) {
+      if (components[ii] * sizes[ii] >= sizes[ii-1] * (1 - 1e-12)) {
+        components[ii] = 0;
+        components[ii-1] += 1;
+      }
+    }
+  }
+  components.push(remainder);
+  return components.map((component) => (
+    (value < 0 && component != 0) ? -component : component
+  ));
+}
+
+// Convert the values of the parts of a quantity to display to numbers, typed
+// arrays are nested like the magnitude of the quantity
+function numberParts(parts, shape) {
+  let toNumbers = (value) => {
+    if (isTypedArray(value)) {
+      value = nest(Array.from(value), shape);
+    }
+    if (value instanceof Array) {
+      return value.map(toNumbers);
+    }
+    return settings.backend.toNumber(value);
+  };
+  let newParts = Object.assign({}, parts);
+  for (const key of ["magnitude", "lower", "upper", "uncertainty"]) {
+    if (typeof(parts[key]) !== "undefined") {
+      newParts[key] = toNumbers(parts[key]);
+    }
+  }
+  return newParts;
+}
+
+// Function to format a number for display with the number formatting options
+// of toString, values are left as they are if there are no options
+function numberFormat(options) {
+  const numberOptions = [
+    "digits", "significant", "notation", "thousands", "decimal", "unicode",
+    "locale",
+  ];
+  if (!numberOptions.some((key) => typeof(options[key]) !== "undefined")) {
+    return String;
+  }
+  return (value) => formatNumber(settings.backend.toNumber(value), options);
+}
+// Format a magnitude for display with a function that formats each element,
+// nesting typed arrays of N-dimensional quantities
+function magnitudeString(magnitude, shape, format) {
+  if (isTypedArray(magnitude)) {
+    magnitude = nest(Array.from(magnitude), shape);
+  }
+  if (magnitude instanceof Array) {
+    return nestedString(magnitude, format);
+  }
+  return format(magnitude);
+}
+// Type of array for the result of an operation on a and b, typed arrays are 
+// kept typed (as a Float64Array if both are typed arrays of different types)
+function outputType(a, b) {
+  if (isTypedArray(a) && isTypedArray(b)) {
+    return (a.constructor === b.constructor) ? a.constructor : Float64Array;
+  } else if (isTypedArray(a)) {
+    return a.constructor;
+  } else if (isTypedArray(b)) {
+    return b.constructor;
+  }
+  return Array;
+}
+// Copy values into an output array if one is provided, or into a new array of
+// the same type as like (default=Array) if not
+function copyInto(values, out, like) {
+  if (!out && like && isTypedArray(like)) {
+    out = new like.constructor(values.length);
+  }
+  if (!out) {
+    return values;
+  }
+  for (let ii=0; ii<values.length; ii++) {
+    out[ii] = values[ii];
+  }
+  return out;
+}
+
+/**
+ * Convert magnitudes to another unit in a single pass, as 
+ * (magnitude + offset - newOffset) / scale
+ * 
+ * @param {number[]|Float64Array|Float32Array} magnitude Magnitudes to convert
+ * @param {number} offset Offset of the magnitudes
+ * @param {number} newOffset Offset of the unit to convert to
+ * @param {number} scale Scale of the unit to convert to
+ * @param {number[]|Float64Array|Float32Array} out Array to write the result
+ *        into, if not provided a new array of the same type as magnitude is 
+ *        created
+ * 
+ * @returns {number[]|Float64Array|Float32Array} Converted magnitudes
+ */
+function convertMagnitude(magnitude, offset, newOffset, scale, out) {
+  let length = magnitude.length;
+  if (!out) {
+    out = isTypedArray(magnitude) ? new magnitude.constructor(length) 
+                                  : new Array(length);
+  }
+  if (offset == 0 && newOffset == 0) {
+    for (let ii=0; ii<length; ii++) {
+      out[ii] = magnitude[ii] / scale;
+    }
+  } else {
+    for (let ii=0; ii<length; ii++) {
+      out[ii] = (magnitude[ii] + offset - newOffset) / scale;
+    }
+  }
+  return out;
 }
-// Power as an array
-// Divide as an array
-function arrayPow(a, b, collapse) {
-  return arrayOp(a, b, collapse, function(c, d) {
-    return Math.pow(c, d);
-  });
+// Check if a magnitude is negative
+function isNegative(value) {
+  return settings.backend.compare(value, 0) < 0;
 }
 
 /**
- * Convert the provided unit string to a quantity or throw and error if
+ * Convert the provided unit symbol to a quantity or throw and error if
  * it does not exist.
  * 
  * @param {string} unitName Name of the unit as a string. May have an 
- *                          optional prefix or raised power (e.g. [c]m^2)
+ *                          optional prefix (e.g. [c]m or cm)
+ * @param {string} input Full string the unit name is part of, used for error
+ *                       reporting (default=unitName)
+ * @param {number} position Index of the unit name in the input, used for
+ *                          error reporting (default=0)
  * 
- * @returns {Quantity} Quantity represented by the unit string 
+ * @returns {Quantity} Quantity represented by the unit symbol
  */
-function getUnitQuantity(unitName) {
-  // The variable unit parts is [prefix, unit, exponent]
-  let unitParts = ["", "", ""];
+function getUnitQuantity(unitName, input, position) {
+  if (typeof(input) === "undefined") {
+    input = unitName;
+    position = 0;
+  }
+  // The variable unit parts is [prefix, unit]
+  let unitParts = ["", ""];
   let appendIdx = 1;
   for (let ii=0; ii<unitName.length; ii++) {
     if (unitName[ii] == "[") {
@@ -805,9 +3420,6 @@ function getUnitQuantity(unitName) {
     } else if (unitName[ii] == "]") {
       appendIdx = 1;
       continue;
-    } else if (unitName[ii] == "^") {
-      appendIdx = 2;
-      continue;
     }
     unitParts[appendIdx] += unitName[ii];
   }
@@ -817,7 +3429,9 @@ function getUnitQuantity(unitName) {
   if (unitParts[0]) {
     prefixValue = prefixes[unitParts[0]];
     if (!prefixValue) {
-      throw unitParts[0] + " is not a valid prefix";
+      throw new UnknownPrefixError(
+        unitParts[0], input, position, suggestPrefix(unitParts[0])
+      );
     }
   } else {
     prefixValue = 1;
@@ -825,7 +3439,27 @@ function getUnitQuantity(unitName) {
   // Unit
   let unitSymbol;
   if (!unitParts[1]) {
-    throw "Error parsing unit: \"" + unitName + "\"";
+    throw new UnitParseError("Expected a unit symbol", input, position);
+  }
+  // Logarithmic and functional units are only used for a whole unit string,
+  // so in compound units their symbols are read as a prefix and a unit if 
+  // they can be (e.g. "dB / s" is decibytes per second)
+  let isPrefixed = (length) => (
+    prefixValue == 1 &&
+    units.hasOwnProperty(unitParts[1].slice(length)) &&
+    prefixes.hasOwnProperty(unitParts[1].slice(0, length))
+  );
+  let isSpecial = (
+    logUnits.hasOwnProperty(unitParts[1]) || 
+    functionalUnits.hasOwnProperty(unitParts[1])
+  );
+  if (isSpecial && !isPrefixed(1) && !isPrefixed(2)) {
+    let category = logUnits.hasOwnProperty(unitParts[1]) 
+      ? "Logarithmic" : "Functional";
+    throw new UnitParseError(
+      category + " units such as " + unitParts[1] + " must be used on " +
+      "their own, without a prefix", input, position
+    );
   }
   // Easiest case, unit exists and is ready to use
   if (units.hasOwnProperty(unitParts[1])) {
@@ -843,9 +3477,12 @@ function getUnitQuantity(unitName) {
     prefixValue = prefixes[unitParts[1].slice(0,2)];
     unitSymbol = unitParts[1].slice(2);
   } else {
-    throw (unitParts[1] + " is not a valid unit");
+    throw new UnknownUnitError(
+      unitParts[1], input, position, suggest(unitName)
+    );
   }
   let unitStructure = units[unitSymbol];
+  // Units defined in exact mode keep their exact scale
   let scale = unitStructure.s;
   let dims = new Array(numDimensionTypes);
   for (let ii=0; ii<numDimensionTypes; ii++) {
@@ -857,22 +3494,407 @@ function getUnitQuantity(unitName) {
   } else {
     offset = 0;
   }
-  let unitQuantity = new Quantity(scale, dims, offset);
-  // Exponent
-  // Get the power of the unit and invert it if in section 1 (si==1)
-  let powerValue;
-  if (unitParts[2]) {
-    powerValue = parseInt(unitParts[2]);
-    if (!powerValue) {
-      throw power + " is not a valid unit power";
-    }
-  } else {
-    powerValue = 1;
+  let kind = unitStructure.k || unitKinds[unitSymbol];
+  // Backends with more precision than numbers use the exact ratio for units
+  // that are repeating decimals
+  if (    settings.backend !== numberBackend 
+       && exactScales.hasOwnProperty(unitSymbol)) {
+    let [n, d] = exactScales[unitSymbol];
+    scale = settings.backend.div(
+      settings.backend.value(n), settings.backend.value(d)
+    );
+  }
+  let unitQuantity = new Quantity(scale, dims, offset, kind);
+  // Use the exact scale of the unit if it is known
+  if (settings.exact && unitStructure.e) {
+    unitQuantity.exact = [unitStructure.e];
+  } else if (settings.exact && exactScales.hasOwnProperty(unitSymbol)) {
+    let [n, d] = exactScales[unitSymbol];
+    unitQuantity.exact = [bigRational(BigInt(n), BigInt(d))];
   }
   // Put together the parts and return
-  unitQuantity = unitQuantity.mul(prefixValue);
-  unitQuantity = unitQuantity.pow(powerValue);
-  return unitQuantity;
+  return unitQuantity.mul(prefixValue);
+}
+
+// Get a list of prefix symbols from the name of a list or an array of 
+// prefixes, an empty string in the list is the unit without a prefix
+function getPrefixList(prefixList) {
+  if (    typeof(prefixList) === "string" 
+       && prefixLists.hasOwnProperty(prefixList)) {
+    return prefixLists[prefixList];
+  }
+  if (    !(prefixList instanceof Array) || prefixList.length == 0
+       || !prefixList.every((p) => p === "" || prefixes.hasOwnProperty(p))) {
+    throw new InvalidArgumentError(
+      "Prefixes must be one of " + Object.keys(prefixLists).join(", ") + 
+      " or a list of prefix symbols", prefixList
+    );
+  }
+  return prefixList;
+}
+
+/**
+ * Split a unit string into the tokens used by the unit parser. Whitespace is
+ * discarded, everything that is not an operator or a parenthesis is part of a
+ * unit symbol (including an optional bracketed prefix).
+ * 
+ * @param {string} unitString String representation of the unit
+ * 
+ * @returns {Object[]} List of tokens with properties type ("unit", "mul", 
+ *                     "div", "pow", "lparen" or "rparen"), text and pos (index
+ *                     of the token in unitString)
+ */
+function tokenizeUnit(unitString) {
+  const operators = {
+    "*": "mul",
+    "·": "mul",
+    "/": "div",
+    "^": "pow",
+    "(": "lparen",
+    ")": "rparen",
+  };
+  let tokens = [];
+  let ii = 0;
+  while (ii < unitString.length) {
+    let char = unitString[ii];
+    if (/\s/.test(char)) {
+      ii++;
+    } else if (operators.hasOwnProperty(char)) {
+      tokens.push({type: operators[char], text: char, pos: ii});
+      ii++;
+    } else if (char == "]") {
+      throw new UnitParseError("Unmatched ']'", unitString, ii);
+    } else {
+      // Unit symbol, with an optional bracketed prefix
+      let start = ii;
+      if (char == "[") {
+        let close = unitString.indexOf("]", ii);
+        if (close == -1) {
+          throw new UnitParseError("Unmatched '['", unitString, ii);
+        }
+        ii = close + 1;
+      }
+      let symbolStart = ii;
+      while (    ii < unitString.length
+              && !/\s/.test(unitString[ii])
+              && !operators.hasOwnProperty(unitString[ii])
+              && unitString[ii] != "["
+              && unitString[ii] != "]") {
+        ii++;
+      }
+      if (ii == symbolStart) {
+        throw new UnitParseError("Expected a unit symbol", unitString, ii);
+      }
+      tokens.push({type: "unit", text: unitString.slice(start, ii), pos: start});
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Replace the long names of units in a list of unit tokens with the unit 
+ * symbols (e.g. "kilometers" with "[k]m"), "per" with a division, and words
+ * for powers with the power (e.g. "square meters" with "m^2" and "seconds 
+ * squared" with "s^2"). Names may be more than one word (e.g. "nautical 
+ * miles"), unit symbols take precedence over names of one word.
+ * 
+ * @param {Object[]} tokens Tokens of a unit string, see tokenizeUnit
+ * 
+ * @returns {Object[]} Tokens with the names replaced
+ */
+function nameTokens(tokens) {
+  let isSymbol = (text) => (
+    units.hasOwnProperty(splitUnitName(text)[1]) || 
+    logUnits.hasOwnProperty(text) || 
+    functionalUnits.hasOwnProperty(text)
+  );
+  let isWord = (token) => (
+    token && token.type == "unit" && !/^[+-]?\d/.test(token.text)
+  );
+  let powerTokens = (power, pos) => [
+    {type: "pow", text: "^", pos: pos},
+    {type: "unit", text: String(power), pos: pos},
+  ];
+  let newTokens = [];
+  // Power of a word in front of the next unit
+  let power;
+  let pushUnit = (token) => {
+    newTokens.push(token);
+    if (typeof(power) !== "undefined") {
+      newTokens.push(...powerTokens(power, token.pos));
+      power = undefined;
+    }
+  };
+  let ii = 0;
+  while (ii < tokens.length) {
+    let token = tokens[ii];
+    if (!isWord(token)) {
+      newTokens.push(token);
+      ii++;
+      continue;
+    }
+    let symbolWord = isSymbol(token.text);
+    if (symbolWord && !startsName(token.text)) {
+      pushUnit(token);
+      ii++;
+      continue;
+    }
+    // Longest name that starts at this word, names of one word only if the 
+    // word is not a unit symbol
+    let symbol;
+    let numWords = 0;
+    let minWords = symbolWord ? 2 : 1;
+    for (let nn=maxNameWords(); nn>=minWords && !symbol; nn--) {
+      let words = tokens.slice(ii, ii + nn);
+      if (words.length == nn && words.every(isWord)) {
+        symbol = symbolOfName(words.map((word) => word.text).join(" "));
+        numWords = nn;
+      }
+    }
+    let word = token.text.toLowerCase();
+    let previous = newTokens[newTokens.length-1];
+    if (symbol) {
+      pushUnit({type: "unit", text: symbol, pos: token.pos});
+      ii += numWords;
+      continue;
+    } else if (minWords == 2) {
+      pushUnit(token);
+    } else if (word == "per") {
+      newTokens.push({type: "div", text: token.text, pos: token.pos});
+    } else if (    (word == "square" || word == "cubic")
+                && isWord(tokens[ii+1])) {
+      power = powerWords[word];
+    } else if (    (word == "squared" || word == "cubed")
+                && previous && ["unit", "rparen"].includes(previous.type)) {
+      newTokens.push(...powerTokens(powerWords[word], token.pos));
+    } else {
+      pushUnit(token);
+    }
+    ii++;
+  }
+  return newTokens;
+}
+
+/**
+ * Parse a unit string into a quantity with a magnitude of 1 of that unit. 
+ * The grammar of the unit string is:
+ * 
+ *   expression := product ("/" product)*
+ *   product    := factor (("*" | "·" | whitespace) factor)*
+ *   factor     := (unit | "(" expression ")") ("^" exponent)?
+ *   exponent   := rational | "(" rational ")"
+ *   rational   := number ("/" integer)?
+ * 
+ * Multiplication binds tighter than division so everything following a "/" 
+ * up to the next "/" is in the denominator (e.g. "J / mol K" == "J mol^-1 
+ * K^-1"), and multiple divisions are applied left to right (e.g. 
+ * "W / m^2 / K" == "W m^-2 K^-1").
+ * 
+ * @param {string} unitString String representation of the unit
+ * 
+ * @returns {Quantity} Quantity represented by the unit string
+ */
+function parseUnit(unitString) {
+  // Units with a zero offset may only be used on their own
+  function checkOffsets(a, b, pos) {
+    if (a.offset != 0 || b.offset != 0) {
+      throw new UnitParseError(
+        "Cannot create compound units from units with zero offsets", 
+        unitString, pos
+      );
+    }
+  }
+  return walkUnit(unitString, {
+    unit: (token) => getUnitQuantity(token.text, unitString, token.pos),
+    mul: (a, b, pos) => {
+      checkOffsets(a, b, pos);
+      let product = a.mul(b);
+      if (isTorque(a, b) || isTorque(b, a)) {
+        product.kind = "torque";
+      }
+      return product;
+    },
+    div: (a, b, pos) => {
+      checkOffsets(a, b, pos);
+      return a.div(b);
+    },
+    pow: (a, power, pos) => {
+      if (power == 1) {
+        return a;
+      }
+      checkOffsets(a, new Quantity(1), pos);
+      return a.pow(power);
+    },
+  });
+}
+
+// Check if two units in a unit string are a force times a length, which is a
+// torque (e.g. "N m" or "lbf ft"). Energy is written with its own units, such
+// as J or ft-lb.
+function isTorque(force, length) {
+  return (
+    !force.kind && !length.kind &&
+    kindsWithDimensions(force.dimensions).includes("force") &&
+    kindsWithDimensions(length.dimensions).includes("length")
+  );
+}
+
+/**
+ * Split a unit string into the units it is made of and their powers, without
+ * looking up the units (e.g. "J / mol K" is J^1, mol^-1 and K^-1)
+ * 
+ * @param {string} unitString String representation of the unit
+ * 
+ * @returns {Object[]} Factors of the unit with properties unit (the unit name
+ *                     as it appears in the string) and power (number or 
+ *                     Rational), units that appear more than once are 
+ *                     combined
+ */
+function unitFactors(unitString) {
+  let combine = (a, b) => {
+    let factors = a.map((factor) => Object.assign({}, factor));
+    for (const factor of b) {
+      let existing = factors.find((other) => other.unit == factor.unit);
+      if (existing) {
+        existing.power = ratAdd(existing.power, factor.power);
+      } else {
+        factors.push(factor);
+      }
+    }
+    return factors.filter((factor) => factor.power != 0);
+  };
+  let raise = (a, power) => a.map(
+    (factor) => ({unit: factor.unit, power: ratMul(factor.power, power)})
+  );
+  return walkUnit(unitString, {
+    unit: (token) => (token.text == "1") ? [] : [{unit: token.text, power: 1}],
+    mul: (a, b) => combine(a, b),
+    div: (a, b) => combine(a, raise(b, -1)),
+    pow: raise,
+  });
+}
+
+/**
+ * Walk the grammar of a unit string (see parseUnit), combining the units it
+ * is made of with the provided operations
+ * 
+ * @param {string} unitString String representation of the unit
+ * @param {Object} ops Operations with the signatures unit(token), 
+ *                     mul(a, b, pos), div(a, b, pos) and pow(a, power, pos),
+ *                     where pos is the position of the operator in the string
+ * 
+ * @returns {*} Result of combining all of the units in the string
+ */
+function walkUnit(unitString, ops) {
+  let tokens = nameTokens(tokenizeUnit(unitString));
+  let idx = 0;
+  let result = parseExpression();
+  if (idx < tokens.length) {
+    throw new UnitParseError(
+      "Unexpected '" + tokens[idx].text + "'", unitString, tokens[idx].pos
+    );
+  }
+  return result;
+
+  // Position of the next token, or the end of the string if there isn't one
+  function position() {
+    if (idx < tokens.length) {
+      return tokens[idx].pos;
+    }
+    return unitString.length;
+  }
+
+  function parseExpression() {
+    let value = parseProduct();
+    while (idx < tokens.length && tokens[idx].type == "div") {
+      let pos = tokens[idx].pos;
+      idx++;
+      value = ops.div(value, parseProduct(), pos);
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseFactor();
+    while (idx < tokens.length) {
+      let pos = tokens[idx].pos;
+      if (tokens[idx].type == "mul") {
+        idx++;
+      } else if (!(tokens[idx].type == "unit" || tokens[idx].type == "lparen")) {
+        break;
+      }
+      value = ops.mul(value, parseFactor(), pos);
+    }
+    return value;
+  }
+
+  function parseFactor() {
+    let value;
+    if (idx >= tokens.length) {
+      throw new UnitParseError("Expected a unit", unitString, position());
+    }
+    let token = tokens[idx];
+    if (token.type == "unit") {
+      idx++;
+      value = ops.unit(token);
+    } else if (token.type == "lparen") {
+      idx++;
+      value = parseExpression();
+      if (idx >= tokens.length || tokens[idx].type != "rparen") {
+        throw new UnitParseError("Expected ')'", unitString, position());
+      }
+      idx++;
+    } else {
+      throw new UnitParseError(
+        "Expected a unit but found '" + token.text + "'", unitString, token.pos
+      );
+    }
+    if (idx < tokens.length && tokens[idx].type == "pow") {
+      let pos = tokens[idx].pos;
+      idx++;
+      value = ops.pow(value, parseExponent(), pos);
+    }
+    return value;
+  }
+
+  function parseExponent() {
+    let parenthesized = false;
+    if (idx < tokens.length && tokens[idx].type == "lparen") {
+      parenthesized = true;
+      idx++;
+    }
+    let token = tokens[idx];
+    if (!token || token.type != "unit" || !/^[+-]?\d/.test(token.text)) {
+      throw new UnitParseError("Expected an exponent", unitString, position());
+    }
+    idx++;
+    let exponentStr = token.text;
+    // A "/" between two numbers is part of the exponent if the exponent is
+    // in parenthesis or if there are no spaces (e.g. "Hz^-1/2")
+    let divToken = tokens[idx];
+    let denToken = tokens[idx+1];
+    if (    divToken && divToken.type == "div" 
+         && denToken && denToken.type == "unit" && /^\d+$/.test(denToken.text)
+         && (    parenthesized 
+              || (    divToken.pos == token.pos + token.text.length
+                   && denToken.pos == divToken.pos + 1))) {
+      exponentStr += "/" + denToken.text;
+      idx += 2;
+    }
+    let power = parseRational(exponentStr);
+    if (typeof(power) === "undefined") {
+      throw new UnitParseError(
+        "Expected a rational exponent", unitString, token.pos
+      );
+    }
+    if (parenthesized) {
+      if (idx >= tokens.length || tokens[idx].type != "rparen") {
+        throw new UnitParseError("Expected ')'", unitString, position());
+      }
+      idx++;
+    }
+    return power;
+  }
 }
 
 /**
@@ -881,41 +3903,375 @@ function getUnitQuantity(unitName) {
 * @param {Number} magnitude Magnitude of the quantity to return
 * @param {string} unitString String representation of the desired unit. This
 *                            can be compound (e.g. "ft lb / s"), can include
-*                            powers with "^" (e.g. "in^2 / s^2"), and can also
-*                            include standard prefixes using brackets "[]" 
-*                            (e.g. "[k]g / [m]m"). It cannot include 
-*                            parenthesis "()", any values the follow a "/" 
+*                            powers with "^" (e.g. "in^2 / s^2", "s^-1" or
+*                            "Hz^(-1/2)"), 
+*                            and can also include standard prefixes using 
+*                            brackets "[]" (e.g. "[k]g / [m]m"). Units may be
+*                            multiplied with whitespace, "*" or "·" and 
+*                            grouped with parenthesis (e.g. "J / (mol*K)"). 
+*                            All values that follow a "/" up to the next "/" 
 *                            will be inverted in the returned unit (e.g. 
-*                            "1 / s m" == "s^-1 m^-1")
+*                            "1 / s m" == "s^-1 m^-1"). Units may also be 
+*                            written with their long names in the singular
+*                            or plural (e.g. "kilometers per hour", "square
+*                            feet" or "pounds-force")
+* @param {Object} options Optional quantity options
+* @param {number|Array} options.uncertainty Standard uncertainty of the 
+*                                           magnitude in the same unit, either
+*                                           one value for all elements or one
+*                                           value per element
+* @param {number|Array} options.tolerance Symmetric tolerance of the 
+*                                         magnitude in the same unit, makes
+*                                         the quantity an interval from 
+*                                         magnitude - tolerance to 
+*                                         magnitude + tolerance
 * @return {Quantity} The unit of measurement as  
 */
-function quantity(magnitude, unitString) {
+function quantity(magnitude, unitString, options) {
+  options = options || {};
+  let newQuantity = createQuantity(magnitude, unitString);
+  if (typeof(options.uncertainty) !== "undefined") {
+    let scale = 1;
+    if (!newQuantity.log && !newQuantity.functional && unitString) {
+      scale = settings.backend.toNumber(parseUnit(unitString).magnitude[0]);
+    }
+    setUncertainty(newQuantity, options.uncertainty, scale);
+  }
+  if (typeof(options.tolerance) !== "undefined") {
+    let tolerance = quantity(options.tolerance, unitString);
+    if (tolerance.magnitude.some(isNegative)) {
+      throw new InvalidArgumentError(
+        "Tolerance must not be negative", options.tolerance
+      );
+    }
+    // Both magnitudes are relative to the same offset, so the tolerance 
+    // magnitude is the difference to each bound
+    let shape = newQuantity.shape;
+    let values = numbersTo(newQuantity, shape);
+    let deltas = numbersTo(tolerance, shape);
+    setInterval(
+      newQuantity, 
+      values.map((value, ii) => value - deltas[ii]), 
+      values.map((value, ii) => value + deltas[ii])
+    );
+  }
+  return newQuantity;
+}
+
+/**
+ * Create an interval quantity, which holds the range of values between a 
+ * lower and an upper bound such as the limits of a toleranced dimension. The
+ * magnitude of the quantity is the midpoint of the bounds.
+ * 
+ * @param {number|Array} lower Lower bound of the interval
+ * @param {number|Array} upper Upper bound of the interval, the same shape as
+ *                             the lower bound
+ * @param {string} unitString Unit of the bounds (see the quantity function 
+ *                            for the unit string format)
+ * 
+ * @returns {Quantity} Interval quantity
+ */
+function interval(lower, upper, unitString) {
+  let lowerQuantity = quantity(lower, unitString);
+  let upperQuantity = quantity(upper, unitString);
+  if (!sameShape(lowerQuantity.shape, upperQuantity.shape)) {
+    throw new VectorLengthError(
+      "The bounds of an interval must have the same shape", 
+      [lowerQuantity.magnitude.length, upperQuantity.magnitude.length],
+      [lowerQuantity.shape, upperQuantity.shape]
+    );
+  }
+  let newQuantity = lowerQuantity.add(
+    upperQuantity.sub(lowerQuantity).mul(0.5)
+  );
+  let shape = lowerQuantity.shape;
+  return setInterval(
+    newQuantity, numbersTo(lowerQuantity, shape), 
+    numbersTo(upperQuantity, shape)
+  );
+}
+
+// Create a quantity from a magnitude and a unit string
+function createQuantity(magnitude, unitString) {
+  if (isLogUnit(unitString)) {
+    return logQuantity(magnitude, unitString.trim());
+  }
+  if (isFunctionalUnit(unitString)) {
+    return functionalQuantity(magnitude, unitString.trim());
+  }
   let returnQuantity = new Quantity(1);
   if (unitString) {
-    let sections = unitString.split("/");
-    if (sections.length > 2) {
-      throw "Cannot parse unit with 2 or more '/' symbols";
-    }
-    for (let si=0; si<sections.length; si++) {
-      let unitSyms = sections[si].trim().split(/\s+/g);
-      for (let ui=0; ui<unitSyms.length; ui++) {
-        let unitQuantity = getUnitQuantity(unitSyms[ui]);
-        if (si > 0) {
-          unitQuantity = unitQuantity.inv();
-        }
-        // Multiply normally if the unit does not have an offset or if the unit
-        // is non-compound
-        if (unitQuantity.offset == 0) {
-          returnQuantity = returnQuantity.mul(unitQuantity);
-        } else if (sections.length == 1 && unitSyms.length == 1) {
-          returnQuantity = unitQuantity;
-        } else {
-          throw "Cannot create compound units from units with zero offsets";
-        }
+    returnQuantity = parseUnit(unitString);
+  }
+  // Typed arrays in units with a scale of one are used without a copy
+  if (    isTypedArray(magnitude) 
+       && settings.backend === numberBackend 
+       && !settings.exact
+       && returnQuantity.magnitude[0] === 1) {
+    return new Quantity(
+      magnitude, returnQuantity.dimensions, returnQuantity.offset, 
+      returnQuantity.kind
+    );
+  }
+  return returnQuantity.mul(magnitude);
+}
+
+// Short symbols of units of time that are only accepted in quantity strings 
+// with mixed units, such as "1h30m" or "2d 4h"
+const durationUnits = {
+  "w": "week",
+  "wk": "week",
+  "d": "day",
+  "h": "hr",
+  "m": "min",
+};
+
+// Add the components of a quantity string with mixed units (e.g. "5 ft 3 in")
+// into one quantity, each component is [number string, unit string]. The 
+// short symbols of units of time are used if the units are not all alike and
+// every unit is one of them.
+function mixedQuantity(sign, components) {
+  let add = (unitOf) => components.map(([magnitude, unitString]) => (
+    quantity(sign + magnitude, unitOf(unitString))
+  )).reduce((total, component) => total.add(component));
+  try {
+    return add((unitString) => unitString);
+  } catch (err) {
+    let isDuration = components.every(([_, unitString]) => (
+      durationUnits.hasOwnProperty(unitString)
+    ));
+    if (!(err instanceof PqmError) || !isDuration) {
+      throw err;
+    }
+    return add((unitString) => durationUnits[unitString] || unitString);
+  }
+}
+
+/**
+ * Parse a full quantity string that contains both a number and a unit (e.g. 
+ * "9.81 m/s^2" or "-1.5e3 [k]g m / s^2"). The number may be followed by a 
+ * standard uncertainty with "±" or "+/-" (e.g. "9.81 ± 0.02 m/s^2"), and the
+ * unit may be followed by a tolerance with "±" or "+/-" that makes the 
+ * quantity an interval (e.g. "10 [m]m ± 0.1 [m]m", or "10 [m]m ± 0.1" in the
+ * same unit). A quantity may also be written in mixed units, which are added
+ * together (e.g. "5 ft 3 in" or "1h30m", where the short symbols w, d, h and
+ * m of weeks, days, hours and minutes are accepted if every unit is one of 
+ * them).
+ * Only the first number of mixed units can have a sign.
+ * 
+ * @param {string} quantityString Number followed by an optional unit string
+ *                                (see the quantity function for the unit 
+ *                                string format)
+ * @param {Object} options Optional parsing options
+ * @param {string} options.decimal Decimal separator character (default=".")
+ * @param {string} options.thousands Thousands separator character, if not 
+ *                                   provided the number may not be grouped
+ * @param {string} options.locale Locale of the number (e.g. "de-DE" for 
+ *                                "1.234,5 km"), which sets the decimal and 
+ *                                thousands separators and the digits, and of
+ *                                long unit names (see defineTranslation). 
+ *                                The decimal and thousands options take 
+ *                                precedence (default=the locale setting)
+ * @param {boolean} options.strict If true, throw an error if any part of the 
+ *                                 string after the number is not part of the
+ *                                 unit. If false, the unit is the longest
+ *                                 run of words that is a unit and the rest
+ *                                 of the string is ignored (default=false)
+ * 
+ * @returns {Quantity} Quantity represented by the string
+ */
+function parse(quantityString, options) {
+  if (typeof(quantityString) !== "string") {
+    throw new InvalidArgumentError(
+      "The quantity string must be a string", quantityString
+    );
+  }
+  options = options || {};
+  let locale = options.locale || settings.locale;
+  let decimal = options.decimal || ".";
+  let thousands = options.thousands || "";
+  if (locale) {
+    checkLocale(locale);
+    let symbols = localeSymbols(locale);
+    decimal = options.decimal || symbols.decimal;
+    thousands = options.thousands || symbols.group;
+    quantityString = delocalizeDigits(quantityString, locale);
+  }
+  if (decimal == thousands) {
+    throw new InvalidArgumentError(
+      "Decimal and thousands separators must be different", thousands
+    );
+  }
+  // Build a regular expression to match the number at the start of the 
+  // string, any kind of space separates thousands if the separator is a space
+  let escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let separator = /^\s$/.test(thousands) 
+    ? "[ \\u00a0\\u202f]" : escape(thousands);
+  let integerPart = "\\d+";
+  if (thousands) {
+    // The last group can be a different size to the groups before it (e.g. 
+    // "12,34,567" in "hi-IN")
+    let sizes = [3, 3];
+    let groups = locale ? groupInteger("1234567890", locale) : [];
+    if (groups.length > 2) {
+      sizes = groups.slice(-2).map((group) => group.length);
+    }
+    integerPart = "\\d{1," + sizes[0] + "}(?:" + separator + "\\d{" + 
+      sizes[0] + "})*" + separator + "\\d{" + sizes[1] + "}|\\d+";
+  }
+  let numberRegex = new RegExp(
+    "^\\s*([+-]?)((?:" + integerPart + ")(?:" + escape(decimal) + "\\d*)?|" + 
+    escape(decimal) + "\\d+)((?:[eE][+-]?\\d+)?)"
+  );
+  // Keep numbers as strings so that backends with more precision than numbers
+  // do not lose any digits
+  let numberString = (match) => {
+    let numberStr = match[2];
+    if (thousands) {
+      numberStr = numberStr.replace(new RegExp(separator, "g"), "");
+    }
+    return match[1] + numberStr.replace(decimal, ".") + match[3];
+  };
+  let match = numberRegex.exec(quantityString);
+  if (!match) {
+    throw new UnitParseError("Expected a number", quantityString, 0);
+  }
+  let magnitude = numberString(match);
+  let rest = quantityString.slice(match[0].length);
+  // Mixed units, where a unit symbol or name is followed by another number 
+  // and unit (e.g. "5 ft 3 in"). Only the first number can have a sign, 
+  // which applies to all of the components.
+  let unitRegex = /^\s*(\[?[\p{L}°][\p{L}°\]]*)/u;
+  let components = [];
+  let mixedRest = rest;
+  let componentMatch = match;
+  while (componentMatch) {
+    let unitMatch = unitRegex.exec(mixedRest);
+    if (!unitMatch) {
+      components = [];
+      break;
+    }
+    components.push([
+      numberString(componentMatch).slice(componentMatch[1].length), 
+      unitMatch[1]
+    ]);
+    mixedRest = mixedRest.slice(unitMatch[0].length);
+    componentMatch = numberRegex.exec(mixedRest);
+    if (!componentMatch) {
+      break;
+    }
+    if (componentMatch[1]) {
+      let afterSign = mixedRest.slice(componentMatch[0].length);
+      if (unitRegex.test(afterSign)) {
+        throw new UnitParseError(
+          "Only the first number of a quantity with mixed units can have a " +
+          "sign", quantityString, 
+          quantityString.length - mixedRest.trimStart().length
+        );
       }
+      break;
     }
+    mixedRest = mixedRest.slice(componentMatch[0].length);
   }
-  return returnQuantity.mul(magnitude);
+  let isMixed = components.length > 1 && (
+    options.strict ? !mixedRest.trim() : /^(\s|$)/.test(mixedRest)
+  );
+  if (isMixed) {
+    if (locale) {
+      components.forEach((component) => {
+        component[1] = translateUnit(component[1], locale);
+      });
+    }
+    return mixedQuantity(match[1] == "-" ? "-" : "", components);
+  }
+  // Optional standard uncertainty following the number (e.g. "9.81 ± 0.02")
+  let quantityOptions = {};
+  let plusMinus = /^\s*(?:±|\+\/-)/.exec(rest);
+  if (plusMinus) {
+    let position = quantityString.length - rest.length + plusMinus[0].length;
+    rest = rest.slice(plusMinus[0].length);
+    let uncertaintyMatch = numberRegex.exec(rest);
+    if (!uncertaintyMatch || uncertaintyMatch[1] == "-") {
+      throw new UnitParseError(
+        "Expected an uncertainty", quantityString, position
+      );
+    }
+    quantityOptions.uncertainty = Number(numberString(uncertaintyMatch));
+    rest = rest.slice(uncertaintyMatch[0].length);
+  }
+  // Optional tolerance after the unit (e.g. "10 [m]m ± 0.1 [m]m"), which
+  // makes the quantity an interval
+  let toleranceString;
+  let toleranceSign = /\s*(?:±|\+\/-)/.exec(rest);
+  if (toleranceSign) {
+    toleranceString = rest.slice(toleranceSign.index + toleranceSign[0].length);
+    rest = rest.slice(0, toleranceSign.index);
+  }
+  // Everything after the number is the unit, long names of units in the 
+  // locale are replaced with their symbols
+  let unitWords = (unitString) => {
+    unitString = unitString.trim();
+    if (locale && unitString) {
+      unitString = translateUnit(unitString, locale);
+    }
+    if (!unitString || options.strict) {
+      return unitString;
+    }
+    return leadingUnit(unitString);
+  };
+  let unitString = unitWords(rest);
+  if (typeof(toleranceString) !== "undefined") {
+    let toleranceMatch = numberRegex.exec(toleranceString);
+    if (!toleranceMatch || toleranceMatch[1] == "-") {
+      throw new UnitParseError(
+        "Expected a tolerance", quantityString, 
+        quantityString.length - toleranceString.trimStart().length
+      );
+    }
+    // The tolerance is in the unit of the magnitude if it does not have one
+    let toleranceUnit = unitWords(
+      toleranceString.slice(toleranceMatch[0].length)
+    ) || unitString;
+    let tolerance = quantity(
+      numberString(toleranceMatch), toleranceUnit || undefined
+    );
+    let unit = quantity(1, unitString || undefined);
+    if (!unit.sameDimensions(tolerance)) {
+      throw new DimensionMismatchError(
+        mismatchMessage(
+          "The tolerance must have the same units as the magnitude", 
+          unit, tolerance
+        ),
+        unit.dimensions, tolerance.dimensions
+      );
+    }
+    quantityOptions.tolerance = (
+      settings.backend.toNumber(tolerance.magnitude[0]) / 
+      settings.backend.toNumber(unit.magnitude[0])
+    );
+  }
+  return quantity(magnitude, unitString || undefined, quantityOptions);
+}
+
+// Longest run of words at the start of a unit string that is a unit, the 
+// words after it are ignored. If no run of words is a unit, the error of the
+// whole string is thrown.
+function leadingUnit(unitString) {
+  let words = unitString.split(/\s+/);
+  let error;
+  for (let numWords=words.length; numWords>0; numWords--) {
+    let run = words.slice(0, numWords).join(" ");
+    try {
+      quantity(1, run);
+      return run;
+    } catch (err) {
+      if (!(err instanceof PqmError)) {
+        throw err;
+      }
+      error = error || err;
+    }
+  }
+  throw error;
 }
 
 /**
@@ -932,9 +4288,7 @@ function quantity(magnitude, unitString) {
  */
 function define(symbol, magnitude, unitStr, offset) {
   // Check user input
-  if (units.hasOwnProperty(symbol)) {
-    throw "The unit " + symbol + " is already defined";
-  }
+  checkNewSymbol(symbol);
   if (typeof(magnitude) === "undefined") {
     magnitude = 1;
   }
@@ -948,14 +4302,304 @@ function define(symbol, magnitude, unitStr, offset) {
     s: newQuantity.magnitude,
     d: newDimensions,
   };
+  if (newQuantity.exact) {
+    units[symbol].e = newQuantity.exact[0];
+  }
+  if (newQuantity.kind) {
+    units[symbol].k = newQuantity.kind;
+  }
   if (offset) {
     // Offset must be scaled to nominal (SI) units from user input
-    offset = (offset / newQuantity.magnitude);
+    offset = (offset / settings.backend.toNumber(newQuantity.magnitude[0]));
     units[symbol].o = offset;
   }
 }
 
+/**
+ * Define a unit that is converted with a formula rather than a scale and an
+ * offset, such as a wire gauge. Quantities in functional units can only be 
+ * converted and compared, not used in arithmetic or compound units.
+ * 
+ * @param {string} symbol Symbol that is used to represent the unit
+ * @param {string} unitStr Linear unit that the functions convert to and from
+ * @param {function} toUnit Function to convert a value in the new unit to a 
+ *                          magnitude in unitStr
+ * @param {function} fromUnit Inverse of toUnit, to convert a magnitude in 
+ *                            unitStr to a value in the new unit
+ */
+function defineFunctional(symbol, unitStr, toUnit, fromUnit) {
+  // Check user input
+  checkNewSymbol(symbol);
+  if (typeof(toUnit) !== "function" || typeof(fromUnit) !== "function") {
+    throw new InvalidArgumentError(
+      "Functional units require functions to convert to and from the unit", 
+      [toUnit, fromUnit]
+    );
+  }
+  let unitQuantity = quantity(1, unitStr);
+  if (unitQuantity.offset != 0 || unitQuantity.log || unitQuantity.functional) {
+    throw new InvalidArgumentError(
+      "Functional units must be defined from a linear unit without an offset",
+      unitStr
+    );
+  }
+  functionalUnits[symbol] = {u: unitStr, to: toUnit, from: fromUnit};
+}
+
+// Throw an error if a symbol is already used by a unit
+function checkNewSymbol(symbol) {
+  if (    units.hasOwnProperty(symbol) 
+       || logUnits.hasOwnProperty(symbol) 
+       || functionalUnits.hasOwnProperty(symbol)) {
+    throw new InvalidArgumentError(
+      "The unit " + symbol + " is already defined", symbol
+    );
+  }
+}
+
+/**
+ * Get the kinds of quantity that a quantity could be. If the kind of the 
+ * quantity is known, only that kind is returned, otherwise all registered
+ * kinds with the same dimensions are returned.
+ * 
+ * @param {Quantity} q Quantity to get the kinds of
+ * 
+ * @returns {string[]} Candidate kinds of the quantity
+ */
+function kindOf(q) {
+  if (q.kind) {
+    return [q.kind];
+  }
+  return kindsWithDimensions(q.dimensions);
+}
+
+/**
+ * Register a new kind of quantity that can be used with Quantity.asKind
+ * 
+ * @param {string} name Name of the new kind
+ * @param {string} unitStr Unit with the dimensions of the kind 
+ *                         (default="1" non-dimensional scalar)
+ */
+function defineKind(name, unitStr) {
+  if (kindDimensions(name)) {
+    throw new InvalidArgumentError(
+      "The kind " + name + " is already defined", name
+    );
+  }
+  registerKind(name, quantity(1, unitStr).dimensions);
+}
+
+/**
+ * Integrate an array quantity with the trapezoidal rule, such as power over
+ * time to get energy. The result has the dimensions of y multiplied by x.
+ * 
+ * @param {Quantity} y Values to integrate, N-dimensional quantities are 
+ *                     integrated along their last axis
+ * @param {Quantity|number} x Sample points of y, the same length as the last
+ *                            axis of y, or a scalar spacing between the 
+ *                            samples (default=1)
+ * 
+ * @returns {Quantity} Integral, a scalar quantity if y is a vector
+ */
+function trapz(y, x) {
+  return trapezoids(y, x).sum(-1);
+}
+
+/**
+ * Cumulative integral of an array quantity with the trapezoidal rule. The
+ * result has the dimensions of y multiplied by x.
+ * 
+ * @param {Quantity} y Values to integrate, N-dimensional quantities are 
+ *                     integrated along their last axis
+ * @param {Quantity|number} x Sample points of y, the same length as the last
+ *                            axis of y, or a scalar spacing between the 
+ *                            samples (default=1)
+ * 
+ * @returns {Quantity} Integral up to each sample after the first, with one
+ *                     less element than y along the last axis
+ */
+function cumtrapz(y, x) {
+  return trapezoids(y, x).cumsum(-1);
+}
+
+/**
+ * Differentiate an array quantity, such as position over time to get 
+ * velocity. Central differences are used for the interior samples and one
+ * sided differences for the first and last samples. The result has the 
+ * dimensions of y divided by x.
+ * 
+ * @param {Quantity} y Values to differentiate, N-dimensional quantities are
+ *                     differentiated along their last axis
+ * @param {Quantity|number} x Sample points of y, the same length as the last
+ *                            axis of y, or a scalar spacing between the 
+ *                            samples (default=1)
+ * 
+ * @returns {Quantity} Derivative at each sample, the same shape as y
+ */
+function gradient(y, x) {
+  x = checkSamples(y, x);
+  let first = lastAxis(y, [1, 2]).sub(lastAxis(y, [0, 1]));
+  let last = lastAxis(y, [-1]).sub(lastAxis(y, [-2, -1]));
+  let central = lastAxis(y, [2]).sub(lastAxis(y, [0, -2]));
+  if (x.isScalar) {
+    first = first.div(x);
+    last = last.div(x);
+    central = central.div(x.mul(2));
+  } else {
+    first = first.div(lastAxis(x, [1, 2]).sub(lastAxis(x, [0, 1])));
+    last = last.div(lastAxis(x, [-1]).sub(lastAxis(x, [-2, -1])));
+    central = central.div(lastAxis(x, [2]).sub(lastAxis(x, [0, -2])));
+  }
+  return concatQuantities([first, central, last]);
+}
+
+/**
+ * Math functions of quantities. Functions such as exp, log and sin require 
+ * dimensionless quantities such as angles (rad, deg or rev) or ratios (%),
+ * and return dimensionless quantities. Inverse trigonometric functions 
+ * return angles.
+ */
+const math = {
+  exp: (q) => dimensionlessMath("exp", q, Math.exp),
+  expm1: (q) => dimensionlessMath("expm1", q, Math.expm1),
+  log: (q, reference) => logMath("log", q, reference, Math.log),
+  log10: (q, reference) => logMath("log10", q, reference, Math.log10),
+  log2: (q, reference) => logMath("log2", q, reference, Math.log2),
+  log1p: (q) => dimensionlessMath("log1p", q, Math.log1p),
+  sin: (q) => dimensionlessMath("sin", q, Math.sin),
+  cos: (q) => dimensionlessMath("cos", q, Math.cos),
+  tan: (q) => dimensionlessMath("tan", q, Math.tan),
+  asin: (q) => dimensionlessMath("asin", q, Math.asin, "angle"),
+  acos: (q) => dimensionlessMath("acos", q, Math.acos, "angle"),
+  atan: (q) => dimensionlessMath("atan", q, Math.atan, "angle"),
+  sinh: (q) => dimensionlessMath("sinh", q, Math.sinh),
+  cosh: (q) => dimensionlessMath("cosh", q, Math.cosh),
+  tanh: (q) => dimensionlessMath("tanh", q, Math.tanh),
+  asinh: (q) => dimensionlessMath("asinh", q, Math.asinh),
+  acosh: (q) => dimensionlessMath("acosh", q, Math.acosh),
+  atanh: (q) => dimensionlessMath("atanh", q, Math.atanh),
+  atan2: atan2,
+  hypot: hypot,
+};
+
+/**
+ * Angle between the positive x axis and the point (x, y), the same as 
+ * Math.atan2
+ * 
+ * @param {Quantity|number} y Y coordinate
+ * @param {Quantity|number} x X coordinate, with the same dimensions as y
+ * 
+ * @returns {Quantity} Angle from -pi to pi radians
+ */
+function atan2(y, x) {
+  let [values, shape] = sameDimensionMath("atan2", [y, x], Math.atan2);
+  return withExact(
+    new Quantity(values, zeroDimensions(), 0, "angle", shape), undefined
+  );
+}
+
+/**
+ * Square root of the sum of the squares of quantities, the same as 
+ * Math.hypot
+ * 
+ * @param {...(Quantity|number)} quantities Quantities with the same 
+ *                                          dimensions
+ * 
+ * @returns {Quantity} Result with the same dimensions as the inputs
+ */
+function hypot(...quantities) {
+  let [values, shape] = sameDimensionMath("hypot", quantities, Math.hypot);
+  quantities = quantities.map(Quantity.toQuantity);
+  return withExact(new Quantity(
+    values, quantities[0].copyDimensions(), 0, 
+    quantities.map((q) => q.kind).reduce(combineKinds), shape
+  ), undefined);
+}
+
+/**
+ * Change module settings
+ * 
+ * @param {Object} options Settings to change
+ * @param {boolean} options.strictKinds Throw an error when adding, 
+ *                                      subtracting or converting quantities
+ *                                      of different kinds (e.g. energy and
+ *                                      torque) (default=false)
+ * @param {boolean} options.exact Keep magnitudes and conversion factors as 
+ *                                exact rational numbers, so that conversions
+ *                                such as ft to in are exact (default=false)
+ * @param {Object} options.backend Numeric backend for the magnitudes of 
+ *                                 quantities, one of pqm.backends.number, 
+ *                                 pqm.backends.bigDecimal(precision), 
+ *                                 pqm.backends.decimalAdapter(Decimal) or
+ *                                 a user defined backend 
+ *                                 (default=pqm.backends.number)
+ * @param {string|string[]} options.prefixes Prefixes to choose from when 
+ *                                           picking the best prefix for a 
+ *                                           unit, one of "engineering", 
+ *                                           "all" or "binary" or an array of
+ *                                           prefix symbols 
+ *                                           (default="engineering")
+ * @param {string} options.locale Locale to display and parse numbers and 
+ *                                long unit names in (e.g. "de-DE"), or 
+ *                                undefined for JavaScript numbers 
+ *                                (default=undefined)
+ */
+function configure(options) {
+  for (let key in options) {
+    if (!settings.hasOwnProperty(key)) {
+      throw new InvalidArgumentError(key + " is not a valid setting", key);
+    }
+  }
+  let backend = options.backend || settings.backend;
+  checkBackend(backend);
+  if (options.hasOwnProperty("prefixes")) {
+    getPrefixList(options.prefixes);
+  }
+  if (typeof(options.locale) !== "undefined") {
+    checkLocale(options.locale);
+  }
+  let exact = options.hasOwnProperty("exact") ? options.exact : settings.exact;
+  if (exact && backend !== numberBackend) {
+    throw new InvalidArgumentError(
+      "Exact mode can only be used with the number backend", options
+    );
+  }
+  for (let key in options) {
+    settings[key] = options[key];
+  }
+}
+
 export default {
   quantity: quantity,
+  interval: interval,
+  parse: parse,
   define: define,
+  defineFunctional: defineFunctional,
+  defineTranslation: defineTranslation,
+  suggest: suggest,
+  kindOf: kindOf,
+  defineKind: defineKind,
+  trapz: trapz,
+  cumtrapz: cumtrapz,
+  gradient: gradient,
+  math: math,
+  configure: configure,
+  BigRational: BigRational,
+  BigDecimal: BigDecimal,
+  backends: {
+    number: numberBackend,
+    bigDecimal: bigDecimalBackend,
+    decimalAdapter: decimalAdapter,
+  },
+  PqmError: PqmError,
+  DimensionMismatchError: DimensionMismatchError,
+  KindMismatchError: KindMismatchError,
+  UnitParseError: UnitParseError,
+  UnknownUnitError: UnknownUnitError,
+  UnknownPrefixError: UnknownPrefixError,
+  OffsetUnitError: OffsetUnitError,
+  LogUnitError: LogUnitError,
+  FunctionalUnitError: FunctionalUnitError,
+  VectorLengthError: VectorLengthError,
+  InvalidArgumentError: InvalidArgumentError,
 };
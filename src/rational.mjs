@@ -0,0 +1,215 @@
+/*******************************************************************************
+* Exact rational numbers used for the powers of dimensions. Integers are
+* represented as plain numbers, and only non-integer values are represented
+* as Rational objects, so the common case of integer powers stays fast and
+* dimension arrays of integers (such as in the unit definitions) can be used
+* as they are.
+*******************************************************************************/
+
+// Largest denominator used when converting a floating point number to a
+// rational number
+const maxDenominator = 1000;
+
+/**
+ * Class representing a non-integer rational number. Use the rational
+ * function to create these so that they are always reduced and integers are
+ * returned as numbers.
+ *
+ * @param {number} n Integer numerator
+ * @param {number} d Integer denominator greater than 1
+ */
+export function Rational(n, d) {
+  this.n = n;
+  this.d = d;
+}
+
+Rational.prototype.valueOf = function() {
+  return this.n / this.d;
+};
+
+Rational.prototype.toString = function() {
+  return this.n + "/" + this.d;
+};
+
+/**
+ * Create a rational number from a numerator and denominator
+ *
+ * @param {number} n Integer numerator
+ * @param {number} d Integer denominator, may not be zero (default=1)
+ *
+ * @returns {number|Rational} The reduced rational number, as a number if it
+ *                            is an integer
+ */
+export function rational(n, d) {
+  if (typeof(d) === "undefined" || d == 1) {
+    return n;
+  }
+  if (d < 0) {
+    n = -n;
+    d = -d;
+  }
+  let divisor = gcd(Math.abs(n), d);
+  n = n / divisor;
+  d = d / divisor;
+  if (d == 1) {
+    return n;
+  }
+  return new Rational(n, d);
+}
+
+/**
+ * Convert a number to a rational number. Numbers that are not integers are
+ * matched to the closest rational number with a small denominator (e.g.
+ * 0.5 -> 1/2 and 1/3 -> 1/3).
+ *
+ * @param {number|Rational} value Number to convert
+ *
+ * @returns {number|Rational|undefined} Rational number, or undefined if the
+ *                                      number is not close to a rational
+ *                                      number with a small denominator
+ */
+export function toRational(value) {
+  if (value instanceof Rational || Number.isInteger(value)) {
+    return value;
+  }
+  if (typeof(value) !== "number" || !Number.isFinite(value)) {
+    return undefined;
+  }
+  // Continued fraction expansion until the value is matched
+  let h0 = 1, h1 = 0, k0 = 0, k1 = 1;
+  let x = value;
+  while (true) {
+    let a = Math.floor(x);
+    let h2 = a * h0 + h1;
+    let k2 = a * k0 + k1;
+    if (k2 > maxDenominator) {
+      return undefined;
+    }
+    if (Math.abs(value - h2 / k2) <= 1e-9 * Math.max(1, Math.abs(value))) {
+      return rational(h2, k2);
+    }
+    h1 = h0; h0 = h2;
+    k1 = k0; k0 = k2;
+    x = 1 / (x - a);
+  }
+}
+
+// Numerator and denominator of a rational number
+function parts(a) {
+  if (a instanceof Rational) {
+    return [a.n, a.d];
+  }
+  return [a, 1];
+}
+
+/**
+ * Add two rational numbers
+ */
+export function ratAdd(a, b) {
+  if (typeof(a) === "number" && typeof(b) === "number") {
+    return a + b;
+  }
+  let [an, ad] = parts(a);
+  let [bn, bd] = parts(b);
+  return rational(an * bd + bn * ad, ad * bd);
+}
+
+/**
+ * Subtract rational number b from a
+ */
+export function ratSub(a, b) {
+  return ratAdd(a, ratNeg(b));
+}
+
+/**
+ * Multiply two rational numbers
+ */
+export function ratMul(a, b) {
+  if (typeof(a) === "number" && typeof(b) === "number") {
+    return a * b;
+  }
+  let [an, ad] = parts(a);
+  let [bn, bd] = parts(b);
+  return rational(an * bn, ad * bd);
+}
+
+/**
+ * Divide rational number a by b
+ */
+export function ratDiv(a, b) {
+  let [bn, bd] = parts(b);
+  return ratMul(a, rational(bd, bn));
+}
+
+/**
+ * Negate a rational number
+ */
+export function ratNeg(a) {
+  if (a instanceof Rational) {
+    return new Rational(-a.n, a.d);
+  }
+  return -a;
+}
+
+/**
+ * Absolute value of a rational number
+ */
+export function ratAbs(a) {
+  return (a < 0) ? ratNeg(a) : a;
+}
+
+/**
+ * Check if two rational numbers are equal
+ */
+export function ratEq(a, b) {
+  if (typeof(a) === "number" && typeof(b) === "number") {
+    return a == b;
+  }
+  let [an, ad] = parts(a);
+  let [bn, bd] = parts(b);
+  return an == bn && ad == bd;
+}
+
+/**
+ * Denominator of a rational number (1 for integers)
+ */
+export function ratDenominator(a) {
+  return parts(a)[1];
+}
+
+/**
+ * Parse a rational number from a string such as "2", "-1/2" or "1.5"
+ *
+ * @param {string} str String to parse
+ *
+ * @returns {number|Rational|undefined} Rational number or undefined if the
+ *                                      string is not a rational number
+ */
+export function parseRational(str) {
+  let match = /^\s*([+-]?\d+(?:\.\d+)?)\s*(?:\/\s*(\d+))?\s*$/.exec(str);
+  if (!match) {
+    return undefined;
+  }
+  let numerator = toRational(Number.parseFloat(match[1]));
+  if (typeof(numerator) === "undefined") {
+    return undefined;
+  }
+  if (match[2]) {
+    let denominator = Number.parseInt(match[2]);
+    if (denominator == 0) {
+      return undefined;
+    }
+    return ratDiv(numerator, denominator);
+  }
+  return numerator;
+}
+
+/**
+ * Greatest common divisor of two non-negative integers
+ */
+export function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
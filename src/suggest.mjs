@@ -0,0 +1,173 @@
+/*******************************************************************************
+* Functions for suggesting valid unit and prefix symbols that are close to a
+* symbol that does not exist, used for "did you mean" error messages and for
+* autocomplete.
+*******************************************************************************/
+
+import {units, prefixes} from "./unitdefs.mjs";
+
+// Cost of substituting a character for the same character in another case
+const caseCost = 0.25;
+// Extra cost of a suggestion that needs a prefix, so that plain units rank
+// higher than prefixed units with the same distance
+const prefixCost = 0.1;
+// Cost of a suggestion that the symbol is the start of
+const completionCost = 1;
+
+/**
+ * Get a list of valid unit symbols (with an optional bracketed prefix) that
+ * are similar to the provided symbol, ranked from most to least similar.
+ *
+ * @param {string} symbol Symbol to find suggestions for. If it includes a
+ *                        valid bracketed prefix (e.g. "[k]bugs") the prefix
+ *                        is kept and only the unit is suggested, otherwise
+ *                        similar prefixes are suggested with the unit (e.g.
+ *                        "[k]m" for "[K]m")
+ * @param {number} maxResults Maximum number of suggestions to return
+ *                            (default=5)
+ *
+ * @returns {string[]} Suggested unit symbols
+ */
+export function suggest(symbol, maxResults) {
+  let explicitPrefix = /^\[([^\]]*)\](.*)$/.exec(symbol);
+  let bareSymbol = explicitPrefix ? explicitPrefix[2] : symbol;
+  let candidates = [];
+  for (let unitSym in units) {
+    if (!units.hasOwnProperty(unitSym)) {
+      continue;
+    }
+    if (explicitPrefix && prefixes.hasOwnProperty(explicitPrefix[1])) {
+      candidates.push({
+        text: "[" + explicitPrefix[1] + "]" + unitSym,
+        score: symbolScore(bareSymbol, unitSym),
+      });
+      continue;
+    }
+    if (explicitPrefix) {
+      for (let prefixSym in prefixes) {
+        candidates.push({
+          text: "[" + prefixSym + "]" + unitSym,
+          score: (
+            symbolScore(explicitPrefix[1], prefixSym) + 
+            symbolScore(bareSymbol, unitSym)
+          ),
+        });
+      }
+      continue;
+    }
+    candidates.push({
+      text: unitSym,
+      score: symbolScore(bareSymbol, unitSym),
+    });
+    for (let prefixSym in prefixes) {
+      candidates.push({
+        text: "[" + prefixSym + "]" + unitSym,
+        score: symbolScore(bareSymbol, prefixSym + unitSym) + prefixCost,
+      });
+    }
+  }
+  return rank(bareSymbol, candidates, maxResults);
+}
+
+/**
+ * Get a list of valid prefix symbols that are similar to the provided prefix
+ * symbol, ranked from most to least similar
+ *
+ * @param {string} symbol Prefix symbol to find suggestions for
+ * @param {number} maxResults Maximum number of suggestions to return
+ *                            (default=5)
+ *
+ * @returns {string[]} Suggested prefix symbols
+ */
+export function suggestPrefix(symbol, maxResults) {
+  let candidates = [];
+  for (let prefixSym in prefixes) {
+    candidates.push({
+      text: prefixSym,
+      score: symbolScore(symbol, prefixSym),
+    });
+  }
+  return rank(symbol, candidates, maxResults);
+}
+
+/**
+ * Filter out candidates that are too different from the symbol and sort the
+ * rest. Ties are broken by the shortest and then alphabetical candidate.
+ */
+function rank(symbol, candidates, maxResults) {
+  if (typeof(maxResults) === "undefined") {
+    maxResults = 5;
+  }
+  let maxScore = (symbol.length <= 2) ? 1 : 2;
+  candidates = candidates.filter((candidate) => candidate.score <= maxScore);
+  candidates.sort(function(a, b) {
+    if (a.score != b.score) {
+      return a.score - b.score;
+    }
+    if (a.text.length != b.text.length) {
+      return a.text.length - b.text.length;
+    }
+    return (a.text < b.text) ? -1 : 1;
+  });
+  let suggestions = [];
+  for (let ii=0; ii<candidates.length && suggestions.length<maxResults; ii++) {
+    if (suggestions.indexOf(candidates[ii].text) == -1) {
+      suggestions.push(candidates[ii].text);
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Score the similarity of a symbol with a candidate, lower is more similar
+ * and 0 is an exact match
+ */
+function symbolScore(symbol, candidate) {
+  let score = editDistance(symbol, candidate);
+  if (    symbol.length >= 2
+       && candidate.length > symbol.length
+       && candidate.toLowerCase().startsWith(symbol.toLowerCase())) {
+    score = Math.min(score, completionCost);
+  }
+  return score;
+}
+
+/**
+ * Edit distance between two strings (optimal string alignment distance),
+ * where insertions, deletions, substitutions and transpositions cost 1,
+ * except for substitutions of the same letter in another case which cost
+ * less.
+ */
+function editDistance(a, b) {
+  let dist = new Array(a.length + 1);
+  for (let ii=0; ii<=a.length; ii++) {
+    dist[ii] = new Array(b.length + 1);
+    dist[ii][0] = ii;
+  }
+  for (let jj=0; jj<=b.length; jj++) {
+    dist[0][jj] = jj;
+  }
+  for (let ii=1; ii<=a.length; ii++) {
+    for (let jj=1; jj<=b.length; jj++) {
+      let subCost;
+      if (a[ii-1] == b[jj-1]) {
+        subCost = 0;
+      } else if (a[ii-1].toLowerCase() == b[jj-1].toLowerCase()) {
+        subCost = caseCost;
+      } else {
+        subCost = 1;
+      }
+      dist[ii][jj] = Math.min(
+        dist[ii-1][jj] + 1,
+        dist[ii][jj-1] + 1,
+        dist[ii-1][jj-1] + subCost
+      );
+      if (    ii > 1 && jj > 1
+           && a[ii-1] == b[jj-2]
+           && a[ii-2] == b[jj-1]) {
+        dist[ii][jj] = Math.min(dist[ii][jj], dist[ii-2][jj-2] + 1);
+      }
+    }
+  }
+  return dist[a.length][b.length];
+}
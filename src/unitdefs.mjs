@@ -52,214 +52,214 @@ export const prefixes = {
 
 export const units = {
   "1" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,0,]},
-  "%" : {"s": 1e-2, "d": [0,0,0,0,0,0,0,0,]},
-  "ppm" : {"s": 1e-6, "d": [0,0,0,0,0,0,0,0,]},
-  "ppb" : {"s": 1e-9, "d": [0,0,0,0,0,0,0,0,]},
-  "ppt" : {"s": 1e-12, "d": [0,0,0,0,0,0,0,0,]},
-  "g" : {"s": 1e-3, "d": [1,0,0,0,0,0,0,0,]},
-  "Da" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,]},
-  "u" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,]},
-  "AMU" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,]},
-  "grain" : {"s": 6.479891e-5, "d": [1,0,0,0,0,0,0,0,]},
-  "ozm" : {"s": 2.8349523125e-2, "d": [1,0,0,0,0,0,0,0,]},
-  "dram" : {"s": 1.7718451953125e-3, "d": [1,0,0,0,0,0,0,0,]},
-  "lbm" : {"s": 4.5359237e-1, "d": [1,0,0,0,0,0,0,0,]},
-  "stone" : {"s": 6.35029318e+0, "d": [1,0,0,0,0,0,0,0,]},
-  "sg" : {"s": 1.45939029372064e+1, "d": [1,0,0,0,0,0,0,0,]},
-  "slug" : {"s": 1.45939029372064e+1, "d": [1,0,0,0,0,0,0,0,]},
-  "cwt" : {"s": 4.5359237e+1, "d": [1,0,0,0,0,0,0,0,]},
-  "dwt" : {"s": 1.55517384e-3, "d": [1,0,0,0,0,0,0,0,]},
-  "uk_cwt" : {"s": 5.080234544e+1, "d": [1,0,0,0,0,0,0,0,]},
-  "ton" : {"s": 9.0718474e+2, "d": [1,0,0,0,0,0,0,0,]},
-  "uk_ton" : {"s": 1.0160469088e+3, "d": [1,0,0,0,0,0,0,0,]},
-  "metric_ton" : {"s": 1e+3, "d": [1,0,0,0,0,0,0,0,]},
-  "tonne" : {"s": 1e+3, "d": [1,0,0,0,0,0,0,0,]},
-  "carat" : {"s": 2e-4, "d": [1,0,0,0,0,0,0,0,]},
-  "assay_ton" : {"s": 2.9166666666666667e-2, "d": [1,0,0,0,0,0,0,0,]},
-  "denier" : {"s": 1.1111111111111112e-7, "d": [1,-1,0,0,0,0,0,0,]},
-  "tex" : {"s": 1e-6, "d": [1,-1,0,0,0,0,0,0,]},
-  "m" : {"s": 1e+0, "d": [0,1,0,0,0,0,0,0,]},
-  "ang" : {"s": 1e-10, "d": [0,1,0,0,0,0,0,0,]},
-  "picapt" : {"s": 3.52777777777778e-4, "d": [0,1,0,0,0,0,0,0,]},
-  "pica" : {"s": 4.23333333333333e-3, "d": [0,1,0,0,0,0,0,0,]},
-  "in" : {"s": 2.54e-2, "d": [0,1,0,0,0,0,0,0,]},
-  "mil" : {"s": 2.54e-5, "d": [0,1,0,0,0,0,0,0,]},
-  "ft" : {"s": 3.048e-1, "d": [0,1,0,0,0,0,0,0,]},
-  "yd" : {"s": 9.144e-1, "d": [0,1,0,0,0,0,0,0,]},
-  "ell" : {"s": 1.143e+0, "d": [0,1,0,0,0,0,0,0,]},
-  "mi" : {"s": 1.609344e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "survey_mi" : {"s": 1.6093472186944373e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "nmi" : {"s": 1.852e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "Nmi" : {"s": 1.852e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "league" : {"s": 5.556e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "ly" : {"s": 9.4607304725808e+15, "d": [0,1,0,0,0,0,0,0,]},
-  "parsec" : {"s": 3.08567758128155e+16, "d": [0,1,0,0,0,0,0,0,]},
-  "survey_ft" : {"s": 3.048006096012192e-1, "d": [0,1,0,0,0,0,0,0,]},
-  "AU" : {"s": 1.495978707e+11, "d": [0,1,0,0,0,0,0,0,]},
-  "chain" : {"s": 2.0116840233680467e+1, "d": [0,1,0,0,0,0,0,0,]},
-  "link" : {"s": 2.0116840233680466e-1, "d": [0,1,0,0,0,0,0,0,]},
-  "rod" : {"s": 5.029210058420117e+0, "d": [0,1,0,0,0,0,0,0,]},
-  "furlong" : {"s": 2.0116840233680466e+2, "d": [0,1,0,0,0,0,0,0,]},
-  "fathom" : {"s": 1.8288e+0, "d": [0,1,0,0,0,0,0,0,]},
-  "us_fathom" : {"s": 1.828803657607315e+0, "d": [0,1,0,0,0,0,0,0,]},
-  "fermi" : {"s": 1e-15, "d": [0,1,0,0,0,0,0,0,]},
-  "datamile" : {"s": 1.8288e+3, "d": [0,1,0,0,0,0,0,0,]},
-  "kayser" : {"s": 1e+2, "d": [0,-1,0,0,0,0,0,0,]},
-  "s" : {"s": 1e+0, "d": [0,0,1,0,0,0,0,0,]},
-  "sec" : {"s": 1e+0, "d": [0,0,1,0,0,0,0,0,]},
-  "min" : {"s": 6e+1, "d": [0,0,1,0,0,0,0,0,]},
-  "hr" : {"s": 3.6e+3, "d": [0,0,1,0,0,0,0,0,]},
-  "day" : {"s": 8.64e+4, "d": [0,0,1,0,0,0,0,0,]},
-  "week" : {"s": 6.048e+5, "d": [0,0,1,0,0,0,0,0,]},
-  "fortnight" : {"s": 1.2096e+6, "d": [0,0,1,0,0,0,0,0,]},
-  "yr" : {"s": 3.1536e+7, "d": [0,0,1,0,0,0,0,0,]},
-  "shake" : {"s": 1e-8, "d": [0,0,1,0,0,0,0,0,]},
-  "K" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,]},
-  "deltaC" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,]},
-  "degF" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,], "o": 2.553722222222222e+2},
-  "degC" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,], "o": 2.7315e+2},
-  "Ra" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,]},
-  "Rank" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,]},
-  "deltaF" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,]},
-  "Reau" : {"s": 1.25e+0, "d": [0,0,0,1,0,0,0,0,], "o": 2.7315e+2},
-  "deltaReau" : {"s": 1.25e+0, "d": [0,0,0,1,0,0,0,0,]},
-  "kph" : {"s": 2.777777777777778e-1, "d": [0,1,-1,0,0,0,0,0,]},
-  "mph" : {"s": 4.4704e-1, "d": [0,1,-1,0,0,0,0,0,]},
-  "fps" : {"s": 3.048e-1, "d": [0,1,-1,0,0,0,0,0,]},
-  "knot" : {"s": 5.14444444444444e-1, "d": [0,1,-1,0,0,0,0,0,]},
-  "admkn" : {"s": 5.14773333333333e-1, "d": [0,1,-1,0,0,0,0,0,]},
-  "c" : {"s": 2.99792458e+8, "d": [0,1,-1,0,0,0,0,0,]},
-  "grav" : {"s": 9.80665e+0, "d": [0,1,-2,0,0,0,0,0,]},
-  "galileo" : {"s": 1e-2, "d": [0,1,-2,0,0,0,0,0,]},
-  "Pa" : {"s": 1e+0, "d": [1,-1,-2,0,0,0,0,0,]},
-  "mHg" : {"s": 1.3332239e+5, "d": [1,-1,-2,0,0,0,0,0,]},
-  "mH2O" : {"s": 9.80665e+3, "d": [1,-1,-2,0,0,0,0,0,]},
-  "Torr" : {"s": 1.33322368421053e+2, "d": [1,-1,-2,0,0,0,0,0,]},
-  "psi" : {"s": 6.89475729316836e+3, "d": [1,-1,-2,0,0,0,0,0,]},
-  "atm" : {"s": 1.01325e+5, "d": [1,-1,-2,0,0,0,0,0,]},
-  "bar" : {"s": 1e+5, "d": [1,-1,-2,0,0,0,0,0,]},
-  "inHg" : {"s": 3.3863886666667e+3, "d": [1,-1,-2,0,0,0,0,0,]},
-  "inH2O" : {"s": 2.4908891e+2, "d": [1,-1,-2,0,0,0,0,0,]},
-  "ftHg" : {"s": 4.0636664e+4, "d": [1,-1,-2,0,0,0,0,0,]},
-  "ftH2O" : {"s": 2.98906692e+3, "d": [1,-1,-2,0,0,0,0,0,]},
-  "Ba" : {"s": 1e-1, "d": [1,-1,-2,0,0,0,0,0,]},
-  "Pa-g" : {"s": 1e+0, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5},
-  "bar-g" : {"s": 1e+5, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5},
-  "psi-g" : {"s": 6.89475729316836e+3, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5},
-  "N" : {"s": 1e+0, "d": [1,1,-2,0,0,0,0,0,]},
-  "dyn" : {"s": 1e-5, "d": [1,1,-2,0,0,0,0,0,]},
-  "gf" : {"s": 9.80665e-3, "d": [1,1,-2,0,0,0,0,0,]},
-  "pond" : {"s": 9.80665e-3, "d": [1,1,-2,0,0,0,0,0,]},
-  "lbf" : {"s": 4.4482216152605e+0, "d": [1,1,-2,0,0,0,0,0,]},
-  "ozf" : {"s": 2.78013850953781e-1, "d": [1,1,-2,0,0,0,0,0,]},
-  "pdl" : {"s": 1.38254954376e-1, "d": [1,1,-2,0,0,0,0,0,]},
-  "ton-force" : {"s": 8.896443230521e+3, "d": [1,1,-2,0,0,0,0,0,]},
-  "J" : {"s": 1e+0, "d": [1,2,-2,0,0,0,0,0,]},
-  "eV" : {"s": 1.602176487e-19, "d": [1,2,-2,0,0,0,0,0,]},
-  "erg" : {"s": 1e-7, "d": [1,2,-2,0,0,0,0,0,]},
-  "cal" : {"s": 4.1868e+0, "d": [1,2,-2,0,0,0,0,0,]},
-  "Cal" : {"s": 4.1868e+3, "d": [1,2,-2,0,0,0,0,0,]},
-  "BTU" : {"s": 1.05505585e+3, "d": [1,2,-2,0,0,0,0,0,]},
-  "thm" : {"s": 1.05505585e+8, "d": [1,2,-2,0,0,0,0,0,]},
-  "Wh" : {"s": 3.6e+3, "d": [1,2,-2,0,0,0,0,0,]},
-  "HPh" : {"s": 2.68451953769617e+6, "d": [1,2,-2,0,0,0,0,0,]},
-  "ft-lb" : {"s": 1.3558179483314e+0, "d": [1,2,-2,0,0,0,0,0,]},
-  "ft-lbf" : {"s": 1.3558179483314e+0, "d": [1,2,-2,0,0,0,0,0,]},
-  "RSI" : {"s": 1e+0, "d": [-1,0,3,1,0,0,0,0,]},
-  "RIP" : {"s": 1.7611018368230189e-1, "d": [-1,0,3,1,0,0,0,0,]},
-  "clo" : {"s": 1.55e-1, "d": [-1,0,3,1,0,0,0,0,]},
-  "tog" : {"s": 1e-1, "d": [-1,0,3,1,0,0,0,0,]},
-  "W" : {"s": 1e+0, "d": [1,2,-3,0,0,0,0,0,]},
-  "PS" : {"s": 7.3549875e+2, "d": [1,2,-3,0,0,0,0,0,]},
-  "HP" : {"s": 7.4569987158227e+2, "d": [1,2,-3,0,0,0,0,0,]},
-  "P" : {"s": 1e-1, "d": [1,-1,-1,0,0,0,0,0,]},
-  "rhe" : {"s": 1e+1, "d": [-1,1,1,0,0,0,0,0,]},
-  "St" : {"s": 1e-4, "d": [0,2,-1,0,0,0,0,0,]},
-  "L" : {"s": 1e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "tsp" : {"s": 4.92892159375e-6, "d": [0,3,0,0,0,0,0,0,]},
-  "tspm" : {"s": 5e-6, "d": [0,3,0,0,0,0,0,0,]},
-  "tbs" : {"s": 1.478676478125e-5, "d": [0,3,0,0,0,0,0,0,]},
-  "fl_oz" : {"s": 2.95735295625e-5, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_fl_oz" : {"s": 2.84130625e-5, "d": [0,3,0,0,0,0,0,0,]},
-  "cup" : {"s": 2.365882365e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "pt" : {"s": 4.73176473e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_pt" : {"s": 5.6826125e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "qt" : {"s": 9.46352946e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_qt" : {"s": 1.1365225e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "gal" : {"s": 3.785411784e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_gal" : {"s": 4.54609e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "bushel" : {"s": 3.523907016688e-2, "d": [0,3,0,0,0,0,0,0,]},
-  "bbl" : {"s": 1.58987294928e-1, "d": [0,3,0,0,0,0,0,0,]},
-  "oilbarrel" : {"s": 1.58987294928e-1, "d": [0,3,0,0,0,0,0,0,]},
-  "beerbarrel" : {"s": 1.17347765304e-1, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_beerbarrel" : {"s": 1.6365924e-1, "d": [0,3,0,0,0,0,0,0,]},
-  "MTON" : {"s": 1.13267386368e+0, "d": [0,3,0,0,0,0,0,0,]},
-  "GRT" : {"s": 2.8316846592e+0, "d": [0,3,0,0,0,0,0,0,]},
-  "gill" : {"s": 1.1829411825e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "uk_gill" : {"s": 1.420653125e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "peck" : {"s": 8.80976754172e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "dry_gal" : {"s": 4.40488377086e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "dry_qt" : {"s": 1.101220942715e-3, "d": [0,3,0,0,0,0,0,0,]},
-  "dry_pt" : {"s": 5.506104713575e-4, "d": [0,3,0,0,0,0,0,0,]},
-  "stere" : {"s": 1e+0, "d": [0,3,0,0,0,0,0,0,]},
-  "ar" : {"s": 1e+2, "d": [0,2,0,0,0,0,0,0,]},
-  "morgen" : {"s": 2.5e+3, "d": [0,2,0,0,0,0,0,0,]},
-  "acre" : {"s": 4.04687260987425e+3, "d": [0,2,0,0,0,0,0,0,]},
-  "us_acre" : {"s": 4.04687260987425e+3, "d": [0,2,0,0,0,0,0,0,]},
-  "uk_acre" : {"s": 4.0468564224e+3, "d": [0,2,0,0,0,0,0,0,]},
-  "ha" : {"s": 1e+4, "d": [0,2,0,0,0,0,0,0,]},
-  "barn" : {"s": 1e-28, "d": [0,2,0,0,0,0,0,0,]},
-  "b" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,1,]},
-  "bit" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,1,]},
-  "B" : {"s": 8e+0, "d": [0,0,0,0,0,0,0,1,]},
-  "byte" : {"s": 8e+0, "d": [0,0,0,0,0,0,0,1,]},
-  "word" : {"s": 1.6e+1, "d": [0,0,0,0,0,0,0,1,]},
-  "dword" : {"s": 3.2e+1, "d": [0,0,0,0,0,0,0,1,]},
-  "baud" : {"s": 1e+0, "d": [0,0,-1,0,0,0,0,1,]},
-  "A" : {"s": 1e+0, "d": [0,0,0,0,1,0,0,0,]},
-  "C" : {"s": 1e+0, "d": [0,0,1,0,1,0,0,0,]},
-  "Ah" : {"s": 3.6e+3, "d": [0,0,1,0,1,0,0,0,]},
-  "e" : {"s": 1.602176634e-19, "d": [0,0,1,0,1,0,0,0,]},
-  "V" : {"s": 1e+0, "d": [1,2,-3,0,-1,0,0,0,]},
-  "ohm" : {"s": 1e+0, "d": [1,2,-3,0,-2,0,0,0,]},
-  "F" : {"s": 1e+0, "d": [-1,-2,4,0,2,0,0,0,]},
-  "H" : {"s": 1e+0, "d": [1,2,-2,0,-2,0,0,0,]},
-  "S" : {"s": 1e+0, "d": [-1,-2,3,0,2,0,0,0,]},
-  "mho" : {"s": 1e+0, "d": [-1,-2,3,0,2,0,0,0,]},
-  "Wb" : {"s": 1e+0, "d": [1,2,-2,0,-1,0,0,0,]},
-  "Mx" : {"s": 1e-8, "d": [1,2,-2,0,-1,0,0,0,]},
-  "T" : {"s": 1e+0, "d": [1,0,-2,0,-1,0,0,0,]},
-  "Gs" : {"s": 1e-4, "d": [1,0,-2,0,-1,0,0,0,]},
-  "gs" : {"s": 1e-4, "d": [1,0,-2,0,-1,0,0,0,]},
-  "Fr" : {"s": 3.3356409519815207e-10, "d": [0,0,1,0,1,0,0,0,]},
-  "Gi" : {"s": 7.957747e-1, "d": [0,0,0,0,1,0,0,0,]},
-  "Oe" : {"s": 7.957747154594767e+1, "d": [0,-1,0,0,1,0,0,0,]},
-  "mol" : {"s": 1e+0, "d": [0,0,0,0,0,1,0,0,]},
-  "molar" : {"s": 1e+3, "d": [0,-3,0,0,0,1,0,0,]},
-  "M" : {"s": 1e+3, "d": [0,-3,0,0,0,1,0,0,]},
-  "kat" : {"s": 1e+0, "d": [0,0,-1,0,0,1,0,0,]},
-  "U" : {"s": 1.6666666666666667e-8, "d": [0,0,-1,0,0,1,0,0,]},
-  "cd" : {"s": 1e+0, "d": [0,0,0,0,0,0,1,0,]},
-  "lm" : {"s": 1e+0, "d": [0,0,0,0,0,0,1,0,]},
-  "lx" : {"s": 1e+0, "d": [0,-2,0,0,0,0,1,0,]},
-  "footcandle" : {"s": 1.0763910416709722e+1, "d": [0,-2,0,0,0,0,1,0,]},
-  "footlambert" : {"s": 3.4262590996353905e+0, "d": [0,-2,0,0,0,0,1,0,]},
-  "lambert" : {"s": 3.183098861837907e+3, "d": [0,-2,0,0,0,0,1,0,]},
-  "phot" : {"s": 1e+4, "d": [0,-2,0,0,0,0,1,0,]},
-  "stilb" : {"s": 1e+4, "d": [0,-2,0,0,0,0,1,0,]},
-  "rad" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,0,]},
-  "sr" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,0,]},
-  "rev" : {"s": 6.283185307179586e+0, "d": [0,0,0,0,0,0,0,0,]},
-  "deg" : {"s": 1.7453292519943295e-2, "d": [0,0,0,0,0,0,0,0,]},
-  "arcmin" : {"s": 2.908882086657216e-4, "d": [0,0,0,0,0,0,0,0,]},
-  "arcsec" : {"s": 4.84813681109536e-6, "d": [0,0,0,0,0,0,0,0,]},
-  "rpm" : {"s": 1.0471975511965977e-1, "d": [0,0,-1,0,0,0,0,0,]},
-  "Hz" : {"s": 6.283185307179586e+0, "d": [0,0,-1,0,0,0,0,0,]},
-  "Bq" : {"s": 1e+0, "d": [0,0,-1,0,0,0,0,0,]},
-  "Gy" : {"s": 1e+0, "d": [0,2,-2,0,0,0,0,0,]},
-  "Sv" : {"s": 1e+0, "d": [0,2,-2,0,0,0,0,0,]},
-  "R" : {"s": 2.58e-4, "d": [-1,0,1,0,1,0,0,0,]},
-  "RAD" : {"s": 1e-2, "d": [0,2,-2,0,0,0,0,0,]},
-  "rem" : {"s": 1e-2, "d": [0,2,-2,0,0,0,0,0,]},
-  "Ci" : {"s": 3.7e+10, "d": [0,0,-1,0,0,0,0,0,]},
+  "%" : {"s": 1e-2, "d": [0,0,0,0,0,0,0,0,], "n": ["percent","percent"]},
+  "ppm" : {"s": 1e-6, "d": [0,0,0,0,0,0,0,0,], "n": ["part per million","parts per million"]},
+  "ppb" : {"s": 1e-9, "d": [0,0,0,0,0,0,0,0,], "n": ["part per billion","parts per billion"]},
+  "ppt" : {"s": 1e-12, "d": [0,0,0,0,0,0,0,0,], "n": ["part per trillion","parts per trillion"]},
+  "g" : {"s": 1e-3, "d": [1,0,0,0,0,0,0,0,], "n": ["gram","grams"]},
+  "Da" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,], "n": ["dalton","daltons"]},
+  "u" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,], "n": ["dalton","daltons"]},
+  "AMU" : {"s": 1.6605390666e-27, "d": [1,0,0,0,0,0,0,0,], "n": ["dalton","daltons"]},
+  "grain" : {"s": 6.479891e-5, "d": [1,0,0,0,0,0,0,0,], "n": ["grain","grains"]},
+  "ozm" : {"s": 2.8349523125e-2, "d": [1,0,0,0,0,0,0,0,], "n": ["ounce","ounces"]},
+  "dram" : {"s": 1.7718451953125e-3, "d": [1,0,0,0,0,0,0,0,], "n": ["dram","drams"]},
+  "lbm" : {"s": 4.5359237e-1, "d": [1,0,0,0,0,0,0,0,], "n": ["pound","pounds"]},
+  "stone" : {"s": 6.35029318e+0, "d": [1,0,0,0,0,0,0,0,], "n": ["stone","stone"]},
+  "sg" : {"s": 1.45939029372064e+1, "d": [1,0,0,0,0,0,0,0,], "n": ["slug","slugs"]},
+  "slug" : {"s": 1.45939029372064e+1, "d": [1,0,0,0,0,0,0,0,], "n": ["slug","slugs"]},
+  "cwt" : {"s": 4.5359237e+1, "d": [1,0,0,0,0,0,0,0,], "n": ["short hundredweight","short hundredweight"]},
+  "dwt" : {"s": 1.55517384e-3, "d": [1,0,0,0,0,0,0,0,], "n": ["short pennyweight","short pennyweights"]},
+  "uk_cwt" : {"s": 5.080234544e+1, "d": [1,0,0,0,0,0,0,0,], "n": ["long hundredweight","long hundredweight"]},
+  "ton" : {"s": 9.0718474e+2, "d": [1,0,0,0,0,0,0,0,], "n": ["ton","tons"]},
+  "uk_ton" : {"s": 1.0160469088e+3, "d": [1,0,0,0,0,0,0,0,], "n": ["UK ton","UK tons"]},
+  "metric_ton" : {"s": 1e+3, "d": [1,0,0,0,0,0,0,0,], "n": ["metric ton","metric tons"]},
+  "tonne" : {"s": 1e+3, "d": [1,0,0,0,0,0,0,0,], "n": ["metric ton","metric tons"]},
+  "carat" : {"s": 2e-4, "d": [1,0,0,0,0,0,0,0,], "n": ["carat","carats"]},
+  "assay_ton" : {"s": 2.9166666666666667e-2, "d": [1,0,0,0,0,0,0,0,], "n": ["assay ton","assay tons"]},
+  "denier" : {"s": 1.1111111111111112e-7, "d": [1,-1,0,0,0,0,0,0,], "n": ["denier","denier"]},
+  "tex" : {"s": 1e-6, "d": [1,-1,0,0,0,0,0,0,], "n": ["tex","tex"]},
+  "m" : {"s": 1e+0, "d": [0,1,0,0,0,0,0,0,], "n": ["meter","meters"]},
+  "ang" : {"s": 1e-10, "d": [0,1,0,0,0,0,0,0,], "n": ["angstrom","angstroms"]},
+  "picapt" : {"s": 3.52777777777778e-4, "d": [0,1,0,0,0,0,0,0,], "n": ["pica point","pica points"]},
+  "pica" : {"s": 4.23333333333333e-3, "d": [0,1,0,0,0,0,0,0,], "n": ["pica","picas"]},
+  "in" : {"s": 2.54e-2, "d": [0,1,0,0,0,0,0,0,], "n": ["inch","inches"]},
+  "mil" : {"s": 2.54e-5, "d": [0,1,0,0,0,0,0,0,], "n": ["mil","mils"]},
+  "ft" : {"s": 3.048e-1, "d": [0,1,0,0,0,0,0,0,], "n": ["foot","feet"]},
+  "yd" : {"s": 9.144e-1, "d": [0,1,0,0,0,0,0,0,], "n": ["yard","yards"]},
+  "ell" : {"s": 1.143e+0, "d": [0,1,0,0,0,0,0,0,], "n": ["ell","ells"]},
+  "mi" : {"s": 1.609344e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["mile","miles"]},
+  "survey_mi" : {"s": 1.6093472186944373e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["survey mile","survey miles"]},
+  "nmi" : {"s": 1.852e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["nautical mile","nautical miles"]},
+  "Nmi" : {"s": 1.852e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["nautical mile","nautical miles"]},
+  "league" : {"s": 5.556e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["league","leagues"]},
+  "ly" : {"s": 9.4607304725808e+15, "d": [0,1,0,0,0,0,0,0,], "n": ["light year","light years"]},
+  "parsec" : {"s": 3.08567758128155e+16, "d": [0,1,0,0,0,0,0,0,], "n": ["parsec","parsecs"]},
+  "survey_ft" : {"s": 3.048006096012192e-1, "d": [0,1,0,0,0,0,0,0,], "n": ["survey foot","survey feet"]},
+  "AU" : {"s": 1.495978707e+11, "d": [0,1,0,0,0,0,0,0,], "n": ["astronomical unit","astronomical units"]},
+  "chain" : {"s": 2.0116840233680467e+1, "d": [0,1,0,0,0,0,0,0,], "n": ["chain","chains"]},
+  "link" : {"s": 2.0116840233680466e-1, "d": [0,1,0,0,0,0,0,0,], "n": ["link","links"]},
+  "rod" : {"s": 5.029210058420117e+0, "d": [0,1,0,0,0,0,0,0,], "n": ["rod","rods"]},
+  "furlong" : {"s": 2.0116840233680466e+2, "d": [0,1,0,0,0,0,0,0,], "n": ["furlong","furlongs"]},
+  "fathom" : {"s": 1.8288e+0, "d": [0,1,0,0,0,0,0,0,], "n": ["fathom","fathoms"]},
+  "us_fathom" : {"s": 1.828803657607315e+0, "d": [0,1,0,0,0,0,0,0,], "n": ["US fathom","US fathoms"]},
+  "fermi" : {"s": 1e-15, "d": [0,1,0,0,0,0,0,0,], "n": ["fermi","fermis"]},
+  "datamile" : {"s": 1.8288e+3, "d": [0,1,0,0,0,0,0,0,], "n": ["data mile","data miles"]},
+  "kayser" : {"s": 1e+2, "d": [0,-1,0,0,0,0,0,0,], "n": ["kayser","kaysers"]},
+  "s" : {"s": 1e+0, "d": [0,0,1,0,0,0,0,0,], "n": ["second","seconds"]},
+  "sec" : {"s": 1e+0, "d": [0,0,1,0,0,0,0,0,], "n": ["second","seconds"]},
+  "min" : {"s": 6e+1, "d": [0,0,1,0,0,0,0,0,], "n": ["minute","minutes"]},
+  "hr" : {"s": 3.6e+3, "d": [0,0,1,0,0,0,0,0,], "n": ["hour","hours"]},
+  "day" : {"s": 8.64e+4, "d": [0,0,1,0,0,0,0,0,], "n": ["day","days"]},
+  "week" : {"s": 6.048e+5, "d": [0,0,1,0,0,0,0,0,], "n": ["week","weeks"]},
+  "fortnight" : {"s": 1.2096e+6, "d": [0,0,1,0,0,0,0,0,], "n": ["fortnight","fortnights"]},
+  "yr" : {"s": 3.1536e+7, "d": [0,0,1,0,0,0,0,0,], "n": ["year","years"]},
+  "shake" : {"s": 1e-8, "d": [0,0,1,0,0,0,0,0,], "n": ["shake","shakes"]},
+  "K" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,], "n": ["kelvin","kelvins"]},
+  "deltaC" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,], "n": ["kelvin","kelvins"]},
+  "degF" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,], "o": 2.553722222222222e+2, "n": ["degree Fahrenheit","degrees Fahrenheit"]},
+  "degC" : {"s": 1e+0, "d": [0,0,0,1,0,0,0,0,], "o": 2.7315e+2, "n": ["degree Celsius","degrees Celsius"]},
+  "Ra" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,], "n": ["rankine","rankines"]},
+  "Rank" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,], "n": ["rankine","rankines"]},
+  "deltaF" : {"s": 5.555555555555556e-1, "d": [0,0,0,1,0,0,0,0,], "n": ["rankine","rankines"]},
+  "Reau" : {"s": 1.25e+0, "d": [0,0,0,1,0,0,0,0,], "o": 2.7315e+2, "n": ["reaumur","reaumurs"]},
+  "deltaReau" : {"s": 1.25e+0, "d": [0,0,0,1,0,0,0,0,], "n": ["delta reaumur","delta reaumurs"]},
+  "kph" : {"s": 2.777777777777778e-1, "d": [0,1,-1,0,0,0,0,0,], "n": ["kilometer per hour","kilometers per hour"]},
+  "mph" : {"s": 4.4704e-1, "d": [0,1,-1,0,0,0,0,0,], "n": ["mile per hour","miles per hour"]},
+  "fps" : {"s": 3.048e-1, "d": [0,1,-1,0,0,0,0,0,], "n": ["foot per second","feet per second"]},
+  "knot" : {"s": 5.14444444444444e-1, "d": [0,1,-1,0,0,0,0,0,], "n": ["knot","knots"]},
+  "admkn" : {"s": 5.14773333333333e-1, "d": [0,1,-1,0,0,0,0,0,], "n": ["admirality knot","admirality knots"]},
+  "c" : {"s": 2.99792458e+8, "d": [0,1,-1,0,0,0,0,0,], "n": ["speed of light","speed of light"]},
+  "grav" : {"s": 9.80665e+0, "d": [0,1,-2,0,0,0,0,0,], "n": ["standard gravity","standard gravities"]},
+  "galileo" : {"s": 1e-2, "d": [0,1,-2,0,0,0,0,0,], "n": ["galileo","galileos"]},
+  "Pa" : {"s": 1e+0, "d": [1,-1,-2,0,0,0,0,0,], "n": ["pascal","pascals"]},
+  "mHg" : {"s": 1.3332239e+5, "d": [1,-1,-2,0,0,0,0,0,], "n": ["meter of mercury","meters of mercury"]},
+  "mH2O" : {"s": 9.80665e+3, "d": [1,-1,-2,0,0,0,0,0,], "n": ["meter of water","meters of water"]},
+  "Torr" : {"s": 1.33322368421053e+2, "d": [1,-1,-2,0,0,0,0,0,], "n": ["torr","torr"]},
+  "psi" : {"s": 6.89475729316836e+3, "d": [1,-1,-2,0,0,0,0,0,], "n": ["pound per square inch","pounds per square inch"]},
+  "atm" : {"s": 1.01325e+5, "d": [1,-1,-2,0,0,0,0,0,], "n": ["atmosphere","atmospheres"]},
+  "bar" : {"s": 1e+5, "d": [1,-1,-2,0,0,0,0,0,], "n": ["bar","bars"]},
+  "inHg" : {"s": 3.3863886666667e+3, "d": [1,-1,-2,0,0,0,0,0,], "n": ["inch of mercury","inches of mercury"]},
+  "inH2O" : {"s": 2.4908891e+2, "d": [1,-1,-2,0,0,0,0,0,], "n": ["inch of water","inches of water"]},
+  "ftHg" : {"s": 4.0636664e+4, "d": [1,-1,-2,0,0,0,0,0,], "n": ["foot of mercury","feet of mercury"]},
+  "ftH2O" : {"s": 2.98906692e+3, "d": [1,-1,-2,0,0,0,0,0,], "n": ["foot of water","feet of water"]},
+  "Ba" : {"s": 1e-1, "d": [1,-1,-2,0,0,0,0,0,], "n": ["barye","baryes"]},
+  "Pa-g" : {"s": 1e+0, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5, "n": ["pascal gauge","pascals gauge"]},
+  "bar-g" : {"s": 1e+5, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5, "n": ["bar gauge","bars gauge"]},
+  "psi-g" : {"s": 6.89475729316836e+3, "d": [1,-1,-2,0,0,0,0,0,], "o": 1.01325e+5, "n": ["pound per square inch gauge","pounds per square inch gauge"]},
+  "N" : {"s": 1e+0, "d": [1,1,-2,0,0,0,0,0,], "n": ["newton","newtons"]},
+  "dyn" : {"s": 1e-5, "d": [1,1,-2,0,0,0,0,0,], "n": ["dyne","dynes"]},
+  "gf" : {"s": 9.80665e-3, "d": [1,1,-2,0,0,0,0,0,], "n": ["gram-force","grams-force"]},
+  "pond" : {"s": 9.80665e-3, "d": [1,1,-2,0,0,0,0,0,], "n": ["gram-force","grams-force"]},
+  "lbf" : {"s": 4.4482216152605e+0, "d": [1,1,-2,0,0,0,0,0,], "n": ["pound-force","pounds-force"]},
+  "ozf" : {"s": 2.78013850953781e-1, "d": [1,1,-2,0,0,0,0,0,], "n": ["ounce-force","ounces-force"]},
+  "pdl" : {"s": 1.38254954376e-1, "d": [1,1,-2,0,0,0,0,0,], "n": ["poundal","poundals"]},
+  "ton-force" : {"s": 8.896443230521e+3, "d": [1,1,-2,0,0,0,0,0,], "n": ["ton-force","tons-force"]},
+  "J" : {"s": 1e+0, "d": [1,2,-2,0,0,0,0,0,], "n": ["joule","joules"]},
+  "eV" : {"s": 1.602176487e-19, "d": [1,2,-2,0,0,0,0,0,], "n": ["electron volt","electron volts"]},
+  "erg" : {"s": 1e-7, "d": [1,2,-2,0,0,0,0,0,], "n": ["erg","ergs"]},
+  "cal" : {"s": 4.1868e+0, "d": [1,2,-2,0,0,0,0,0,], "n": ["calorie","calories"]},
+  "Cal" : {"s": 4.1868e+3, "d": [1,2,-2,0,0,0,0,0,], "n": ["kilocalorie","kilocalories"]},
+  "BTU" : {"s": 1.05505585e+3, "d": [1,2,-2,0,0,0,0,0,], "n": ["British thermal unit","British thermal units"]},
+  "thm" : {"s": 1.05505585e+8, "d": [1,2,-2,0,0,0,0,0,], "n": ["therm","therms"]},
+  "Wh" : {"s": 3.6e+3, "d": [1,2,-2,0,0,0,0,0,], "n": ["watt-hour","watt-hours"]},
+  "HPh" : {"s": 2.68451953769617e+6, "d": [1,2,-2,0,0,0,0,0,], "n": ["horsepower hour","horsepower hours"]},
+  "ft-lb" : {"s": 1.3558179483314e+0, "d": [1,2,-2,0,0,0,0,0,], "n": ["foot-pound","foot-pounds"]},
+  "ft-lbf" : {"s": 1.3558179483314e+0, "d": [1,2,-2,0,0,0,0,0,], "n": ["foot-pound","foot-pounds"]},
+  "RSI" : {"s": 1e+0, "d": [-1,0,3,1,0,0,0,0,], "n": ["SI R-value","SI R-values"]},
+  "RIP" : {"s": 1.7611018368230189e-1, "d": [-1,0,3,1,0,0,0,0,], "n": ["US R-value","US R-values"]},
+  "clo" : {"s": 1.55e-1, "d": [-1,0,3,1,0,0,0,0,], "n": ["clo","clo"]},
+  "tog" : {"s": 1e-1, "d": [-1,0,3,1,0,0,0,0,], "n": ["tog","togs"]},
+  "W" : {"s": 1e+0, "d": [1,2,-3,0,0,0,0,0,], "n": ["watt","watts"]},
+  "PS" : {"s": 7.3549875e+2, "d": [1,2,-3,0,0,0,0,0,], "n": ["metric horsepower","metric horsepower"]},
+  "HP" : {"s": 7.4569987158227e+2, "d": [1,2,-3,0,0,0,0,0,], "n": ["mechanical horsepower","mechanical horsepower"]},
+  "P" : {"s": 1e-1, "d": [1,-1,-1,0,0,0,0,0,], "n": ["poise","poises"]},
+  "rhe" : {"s": 1e+1, "d": [-1,1,1,0,0,0,0,0,], "n": ["rhe","rhes"]},
+  "St" : {"s": 1e-4, "d": [0,2,-1,0,0,0,0,0,], "n": ["stokes","stokes"]},
+  "L" : {"s": 1e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["liter","liters"]},
+  "tsp" : {"s": 4.92892159375e-6, "d": [0,3,0,0,0,0,0,0,], "n": ["teaspoon","teaspoons"]},
+  "tspm" : {"s": 5e-6, "d": [0,3,0,0,0,0,0,0,], "n": ["metric teaspoon","metric teaspoons"]},
+  "tbs" : {"s": 1.478676478125e-5, "d": [0,3,0,0,0,0,0,0,], "n": ["tablespoon","tablespoons"]},
+  "fl_oz" : {"s": 2.95735295625e-5, "d": [0,3,0,0,0,0,0,0,], "n": ["fluid ounce","fluid ounces"]},
+  "uk_fl_oz" : {"s": 2.84130625e-5, "d": [0,3,0,0,0,0,0,0,], "n": ["UK fluid ounce","UK fluid ounces"]},
+  "cup" : {"s": 2.365882365e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["cup","cups"]},
+  "pt" : {"s": 4.73176473e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["pint","pints"]},
+  "uk_pt" : {"s": 5.6826125e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["UK pint","UK pints"]},
+  "qt" : {"s": 9.46352946e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["quart","quarts"]},
+  "uk_qt" : {"s": 1.1365225e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["UK quart","UK quarts"]},
+  "gal" : {"s": 3.785411784e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["gallon","gallons"]},
+  "uk_gal" : {"s": 4.54609e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["UK gallon","UK gallons"]},
+  "bushel" : {"s": 3.523907016688e-2, "d": [0,3,0,0,0,0,0,0,], "n": ["bushel","bushels"]},
+  "bbl" : {"s": 1.58987294928e-1, "d": [0,3,0,0,0,0,0,0,], "n": ["oil barrel","oil barrels"]},
+  "oilbarrel" : {"s": 1.58987294928e-1, "d": [0,3,0,0,0,0,0,0,], "n": ["oil barrel","oil barrels"]},
+  "beerbarrel" : {"s": 1.17347765304e-1, "d": [0,3,0,0,0,0,0,0,], "n": ["US beer barrel","US beer barrels"]},
+  "uk_beerbarrel" : {"s": 1.6365924e-1, "d": [0,3,0,0,0,0,0,0,], "n": ["imperial beer barrel","imperial beer barrels"]},
+  "MTON" : {"s": 1.13267386368e+0, "d": [0,3,0,0,0,0,0,0,], "n": ["measurement ton","measurement tons"]},
+  "GRT" : {"s": 2.8316846592e+0, "d": [0,3,0,0,0,0,0,0,], "n": ["gross register ton","gross register tons"]},
+  "gill" : {"s": 1.1829411825e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["gill","gills"]},
+  "uk_gill" : {"s": 1.420653125e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["UK gill","UK gills"]},
+  "peck" : {"s": 8.80976754172e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["peck","pecks"]},
+  "dry_gal" : {"s": 4.40488377086e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["dry gallon","dry gallons"]},
+  "dry_qt" : {"s": 1.101220942715e-3, "d": [0,3,0,0,0,0,0,0,], "n": ["dry quart","dry quarts"]},
+  "dry_pt" : {"s": 5.506104713575e-4, "d": [0,3,0,0,0,0,0,0,], "n": ["dry pint","dry pints"]},
+  "stere" : {"s": 1e+0, "d": [0,3,0,0,0,0,0,0,], "n": ["stere","steres"]},
+  "ar" : {"s": 1e+2, "d": [0,2,0,0,0,0,0,0,], "n": ["are","ares"]},
+  "morgen" : {"s": 2.5e+3, "d": [0,2,0,0,0,0,0,0,], "n": ["morgen","morgens"]},
+  "acre" : {"s": 4.04687260987425e+3, "d": [0,2,0,0,0,0,0,0,], "n": ["acre","acres"]},
+  "us_acre" : {"s": 4.04687260987425e+3, "d": [0,2,0,0,0,0,0,0,], "n": ["acre","acres"]},
+  "uk_acre" : {"s": 4.0468564224e+3, "d": [0,2,0,0,0,0,0,0,], "n": ["UK acre","UK acres"]},
+  "ha" : {"s": 1e+4, "d": [0,2,0,0,0,0,0,0,], "n": ["hectare","hectares"]},
+  "barn" : {"s": 1e-28, "d": [0,2,0,0,0,0,0,0,], "n": ["barn","barns"]},
+  "b" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,1,], "n": ["bit","bits"]},
+  "bit" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,1,], "n": ["bit","bits"]},
+  "B" : {"s": 8e+0, "d": [0,0,0,0,0,0,0,1,], "n": ["byte","bytes"]},
+  "byte" : {"s": 8e+0, "d": [0,0,0,0,0,0,0,1,], "n": ["byte","bytes"]},
+  "word" : {"s": 1.6e+1, "d": [0,0,0,0,0,0,0,1,], "n": ["word","words"]},
+  "dword" : {"s": 3.2e+1, "d": [0,0,0,0,0,0,0,1,], "n": ["double word","double words"]},
+  "baud" : {"s": 1e+0, "d": [0,0,-1,0,0,0,0,1,], "n": ["baud","baud"]},
+  "A" : {"s": 1e+0, "d": [0,0,0,0,1,0,0,0,], "n": ["ampere","amperes"]},
+  "C" : {"s": 1e+0, "d": [0,0,1,0,1,0,0,0,], "n": ["coulomb","coulombs"]},
+  "Ah" : {"s": 3.6e+3, "d": [0,0,1,0,1,0,0,0,], "n": ["amp hour","amp hours"]},
+  "e" : {"s": 1.602176634e-19, "d": [0,0,1,0,1,0,0,0,], "n": ["elementary charge","elementary charges"]},
+  "V" : {"s": 1e+0, "d": [1,2,-3,0,-1,0,0,0,], "n": ["volt","volts"]},
+  "ohm" : {"s": 1e+0, "d": [1,2,-3,0,-2,0,0,0,], "n": ["ohm","ohms"]},
+  "F" : {"s": 1e+0, "d": [-1,-2,4,0,2,0,0,0,], "n": ["farad","farads"]},
+  "H" : {"s": 1e+0, "d": [1,2,-2,0,-2,0,0,0,], "n": ["henry","henries"]},
+  "S" : {"s": 1e+0, "d": [-1,-2,3,0,2,0,0,0,], "n": ["siemens","siemens"]},
+  "mho" : {"s": 1e+0, "d": [-1,-2,3,0,2,0,0,0,], "n": ["siemens","siemens"]},
+  "Wb" : {"s": 1e+0, "d": [1,2,-2,0,-1,0,0,0,], "n": ["weber","webers"]},
+  "Mx" : {"s": 1e-8, "d": [1,2,-2,0,-1,0,0,0,], "n": ["maxwell","maxwells"]},
+  "T" : {"s": 1e+0, "d": [1,0,-2,0,-1,0,0,0,], "n": ["tesla","teslas"]},
+  "Gs" : {"s": 1e-4, "d": [1,0,-2,0,-1,0,0,0,], "n": ["gauss","gauss"]},
+  "gs" : {"s": 1e-4, "d": [1,0,-2,0,-1,0,0,0,], "n": ["gauss","gauss"]},
+  "Fr" : {"s": 3.3356409519815207e-10, "d": [0,0,1,0,1,0,0,0,], "n": ["franklin","franklins"]},
+  "Gi" : {"s": 7.957747e-1, "d": [0,0,0,0,1,0,0,0,], "n": ["gilbert","gilberts"]},
+  "Oe" : {"s": 7.957747154594767e+1, "d": [0,-1,0,0,1,0,0,0,], "n": ["oersted","oersteds"]},
+  "mol" : {"s": 1e+0, "d": [0,0,0,0,0,1,0,0,], "n": ["mole","moles"]},
+  "molar" : {"s": 1e+3, "d": [0,-3,0,0,0,1,0,0,], "n": ["molar","molar"]},
+  "M" : {"s": 1e+3, "d": [0,-3,0,0,0,1,0,0,], "n": ["molar","molar"]},
+  "kat" : {"s": 1e+0, "d": [0,0,-1,0,0,1,0,0,], "n": ["katal","katals"]},
+  "U" : {"s": 1.6666666666666667e-8, "d": [0,0,-1,0,0,1,0,0,], "n": ["enzyme unit","enzyme units"]},
+  "cd" : {"s": 1e+0, "d": [0,0,0,0,0,0,1,0,], "n": ["candela","candelas"]},
+  "lm" : {"s": 1e+0, "d": [0,0,0,0,0,0,1,0,], "n": ["lumen","lumens"]},
+  "lx" : {"s": 1e+0, "d": [0,-2,0,0,0,0,1,0,], "n": ["lux","lux"]},
+  "footcandle" : {"s": 1.0763910416709722e+1, "d": [0,-2,0,0,0,0,1,0,], "n": ["footcandle","footcandles"]},
+  "footlambert" : {"s": 3.4262590996353905e+0, "d": [0,-2,0,0,0,0,1,0,], "n": ["footlambert","footlamberts"]},
+  "lambert" : {"s": 3.183098861837907e+3, "d": [0,-2,0,0,0,0,1,0,], "n": ["lambert","lamberts"]},
+  "phot" : {"s": 1e+4, "d": [0,-2,0,0,0,0,1,0,], "n": ["phot","phots"]},
+  "stilb" : {"s": 1e+4, "d": [0,-2,0,0,0,0,1,0,], "n": ["stilb","stilbs"]},
+  "rad" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,0,], "n": ["radian","radians"]},
+  "sr" : {"s": 1e+0, "d": [0,0,0,0,0,0,0,0,], "n": ["steradian","steradians"]},
+  "rev" : {"s": 6.283185307179586e+0, "d": [0,0,0,0,0,0,0,0,], "n": ["revolution","revolutions"]},
+  "deg" : {"s": 1.7453292519943295e-2, "d": [0,0,0,0,0,0,0,0,], "n": ["degree","degrees"]},
+  "arcmin" : {"s": 2.908882086657216e-4, "d": [0,0,0,0,0,0,0,0,], "n": ["arc minute","arc minutes"]},
+  "arcsec" : {"s": 4.84813681109536e-6, "d": [0,0,0,0,0,0,0,0,], "n": ["arc second","arc seconds"]},
+  "rpm" : {"s": 1.0471975511965977e-1, "d": [0,0,-1,0,0,0,0,0,], "n": ["revolution per minute","revolutions per minute"]},
+  "Hz" : {"s": 6.283185307179586e+0, "d": [0,0,-1,0,0,0,0,0,], "n": ["hertz","hertz"]},
+  "Bq" : {"s": 1e+0, "d": [0,0,-1,0,0,0,0,0,], "n": ["becquerel","becquerels"]},
+  "Gy" : {"s": 1e+0, "d": [0,2,-2,0,0,0,0,0,], "n": ["gray","grays"]},
+  "Sv" : {"s": 1e+0, "d": [0,2,-2,0,0,0,0,0,], "n": ["sievert","sieverts"]},
+  "R" : {"s": 2.58e-4, "d": [-1,0,1,0,1,0,0,0,], "n": ["rontgen","rontgens"]},
+  "RAD" : {"s": 1e-2, "d": [0,2,-2,0,0,0,0,0,], "n": ["radiation absorbed dose","radiation absorbed doses"]},
+  "rem" : {"s": 1e-2, "d": [0,2,-2,0,0,0,0,0,], "n": ["roentgen equivalent man","roentgen equivalent man"]},
+  "Ci" : {"s": 3.7e+10, "d": [0,0,-1,0,0,0,0,0,], "n": ["curie","curies"]},
 };
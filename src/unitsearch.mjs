@@ -0,0 +1,312 @@
+/*******************************************************************************
+* Search for the simplest combination of units from a list that has the
+* dimensions of a quantity, used by the with function. Sets of linearly
+* independent units are tried, from the smallest sets to the largest, and each
+* combination is scored by its complexity. The weights of the score can be
+* changed to prefer different kinds of unit strings.
+*******************************************************************************/
+
+import {InvalidArgumentError} from "./errors.mjs";
+import {rational} from "./rational.mjs";
+
+// Default weights of the score of a combination of units, see findUnits
+export const defaultWeights = {
+  symbols: 4,
+  powers: 0.5,
+  rational: 2,
+  cancelled: 1.75,
+  derived: 1,
+  numerator: 1,
+  scaled: 8,
+};
+
+// Largest number of units that is searched for once a combination of units
+// has been found, which keeps the search fast for lists with many units
+const maxUnits = 4;
+
+// Tolerance of the floating point elimination, dimensions are small rational
+// numbers so anything smaller than this is zero
+const tolerance = 1e-9;
+
+/**
+ * Check the weights of the score used to find units and fill in the default
+ * weights that are not provided
+ *
+ * @param {Object} weights Weights to check, see findUnits
+ *
+ * @returns {Object} Weights with all of the properties of defaultWeights
+ */
+export function checkWeights(weights) {
+  weights = Object.assign({}, defaultWeights, weights);
+  for (const name in defaultWeights) {
+    let weight = weights[name];
+    if (typeof(weight) !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new InvalidArgumentError(
+        "The weight " + name + " must be a number greater than or equal to 0",
+        weight
+      );
+    }
+  }
+  return weights;
+}
+
+/**
+ * Find the combination of units with the lowest score that has the target
+ * dimensions. The score of a combination is the sum of:
+ *
+ *   symbols   for each unit symbol used
+ *   powers    for each power of a unit above one (e.g. twice for m^3)
+ *   rational  for each unit with a power that is not a whole number
+ *   cancelled for each power of a dimension that cancels out between the
+ *             units (e.g. twice for W / m^2), counted twice between derived
+ *             units (e.g. eight times for W / N, which is m / s)
+ *   -derived  for each power of a dimension after the first two of a named
+ *             derived unit in the numerator with a whole power, which is a
+ *             unit with more than one dimension (e.g. four times for W, which
+ *             is [k]g m^2 / s^3, so that W / m K is preferred to N / s K)
+ *   numerator if no unit is in the numerator (e.g. "1 / N" rather than
+ *             "s^2 / [k]g m")
+ *   scaled    for each unit with a scale that is not one in SI units (e.g.
+ *             Hz, which is 2π / s)
+ *
+ * Ties are won by fewer symbols and then by the units that come first in the
+ * list, so the result is always the same for the same input. Once a
+ * combination is found, sets of more than four units are not searched.
+ *
+ * @param {Array} target Dimensions to find units for
+ * @param {Array[]} unitDimensions Dimensions of each unit in the list
+ * @param {number[]} unitScales Scale of each unit in the list in SI units
+ * @param {number} stepDivisor Powers of units are multiples of one over this
+ *                             number, which is the common denominator of the
+ *                             target dimensions
+ * @param {Object} weights Weights of the score (see checkWeights)
+ *
+ * @returns {Object[]|undefined} Units to use as objects with the properties
+ *                               index (index in the unit list) and power,
+ *                               or undefined if the units cannot represent
+ *                               the dimensions
+ */
+export function findUnits(
+  target, unitDimensions, unitScales, stepDivisor, weights
+) {
+  target = target.map(Number);
+  if (target.every((dim) => dim == 0)) {
+    return [];
+  }
+  let vectors = unitDimensions.map((dims) => dims.map(Number));
+  let isScaled = unitScales.map((scale) => Math.abs(scale - 1) > tolerance);
+  let best;
+  let consider = (indices, powers) => {
+    // Powers of zero are found by the smaller set without the unit, and
+    // powers must be multiples of the step
+    let steps = powers.map((power) => power * stepDivisor);
+    if (steps.some((step) => (
+      Math.abs(step) < tolerance ||
+      Math.abs(step - Math.round(step)) > tolerance * stepDivisor
+    ))) {
+      return;
+    }
+    let candidate = {
+      indices: indices.slice(),
+      steps: steps.map(Math.round),
+    };
+    candidate.score = score(
+      candidate, vectors, isScaled, target, stepDivisor, weights
+    );
+    if (isBetter(candidate, best)) {
+      best = candidate;
+    }
+  };
+  // Start with the units of one dimension, if there are any for each of the
+  // dimensions of the target, so that large sets of units are not searched
+  let baseIndices = [];
+  for (let ii=0; ii<target.length; ii++) {
+    if (target[ii] != 0) {
+      baseIndices.push(vectors.findIndex((dims) => (
+        dims[ii] != 0 && dims.every((dim, jj) => dim == 0 || jj == ii)
+      )));
+    }
+  }
+  if (baseIndices.every((index) => index >= 0)) {
+    baseIndices.sort((a, b) => a - b);
+    consider(baseIndices, baseIndices.map((index) => {
+      let dim = vectors[index].findIndex((value) => value != 0);
+      return target[dim] / vectors[index][dim];
+    }));
+  }
+  let maxSize = Math.min(vectors.length, target.length);
+  // Every unit adds at least symbols minus the derived bonus of the largest
+  // unit to the score
+  let bonus = Math.max(0, ...vectors.map(
+    (dims) => weights.derived * (dimensionSize(dims) - 2)
+  ));
+  for (let size=1; size<=maxSize; size++) {
+    let lowerBound = size * (weights.symbols - bonus);
+    if (best && (size > maxUnits || lowerBound >= best.score)) {
+      break;
+    }
+    eachIndependentSet(vectors, size, (indices, basis) => {
+      let powers = solve(target, basis, indices.length);
+      if (powers) {
+        consider(indices, powers);
+      }
+    });
+  }
+  if (!best) {
+    return undefined;
+  }
+  return best.indices.map((index, ii) => ({
+    index: index,
+    power: rational(best.steps[ii], stepDivisor),
+  }));
+}
+
+// Check if a combination of units is better than the best one so far, ties
+// are won by fewer units and then by the units that come first in the list
+function isBetter(candidate, best) {
+  if (!best || candidate.score < best.score - tolerance) {
+    return true;
+  }
+  if (candidate.score > best.score + tolerance) {
+    return false;
+  }
+  if (candidate.indices.length != best.indices.length) {
+    return candidate.indices.length < best.indices.length;
+  }
+  let ii = candidate.indices.findIndex(
+    (index, jj) => index != best.indices[jj]
+  );
+  return ii >= 0 && candidate.indices[ii] < best.indices[ii];
+}
+
+// Score of a combination of units, see findUnits
+function score(candidate, vectors, isScaled, target, stepDivisor, weights) {
+  let total = weights.symbols * candidate.indices.length;
+  // Powers of each dimension written in all of the units and in the derived
+  // units, and the powers left in the derived units after they cancel out
+  let written = new Array(target.length).fill(0);
+  let derivedWritten = new Array(target.length).fill(0);
+  let derivedNet = new Array(target.length).fill(0);
+  candidate.indices.forEach((index, ii) => {
+    let power = candidate.steps[ii] / stepDivisor;
+    let vector = vectors[index];
+    let isDerived = vector.filter((dim) => dim != 0).length > 1;
+    for (let jj=0; jj<vector.length; jj++) {
+      written[jj] += Math.abs(power * vector[jj]);
+      if (isDerived) {
+        derivedWritten[jj] += Math.abs(power * vector[jj]);
+        derivedNet[jj] += power * vector[jj];
+      }
+    }
+    total += weights.powers * Math.max(0, Math.abs(power) - 1);
+    if (isScaled[index]) {
+      total += weights.scaled;
+    }
+    if (candidate.steps[ii] % stepDivisor != 0) {
+      total += weights.rational;
+    } else if (isDerived && power > 0) {
+      total -= weights.derived * Math.max(0, dimensionSize(vector) - 2);
+    }
+  });
+  // Each power that cancels out is written twice, once in each unit
+  for (let jj=0; jj<target.length; jj++) {
+    let cancelled = (written[jj] - Math.abs(target[jj])) / 2;
+    let derivedCancelled = (derivedWritten[jj] - Math.abs(derivedNet[jj])) / 2;
+    total += weights.cancelled * (cancelled + derivedCancelled);
+  }
+  if (candidate.steps.every((step) => step < 0)) {
+    total += weights.numerator;
+  }
+  return total;
+}
+
+// Sum of the absolute powers of a set of dimensions (e.g. 6 for W, which is
+// [k]g m^2 / s^3)
+function dimensionSize(dims) {
+  return dims.reduce((sum, dim) => sum + Math.abs(dim), 0);
+}
+
+// Call a function with every set of a number of linearly independent vectors,
+// in order of their indices. The function is called with the indices of the
+// vectors and a basis of them in row echelon form, where each element has the
+// properties vector (reduced vector), pivot (index of the element that is one
+// in the vector and zero in the vectors after it) and combination (the
+// reduced vector as a combination of the vectors in the set).
+function eachIndependentSet(vectors, size, callback) {
+  let indices = [];
+  let visit = (start, basis) => {
+    if (indices.length == size) {
+      callback(indices, basis);
+      return;
+    }
+    let remaining = size - indices.length;
+    for (let index=start; index<=vectors.length-remaining; index++) {
+      let reduced = reduce(vectors[index], basis, indices.length);
+      if (!reduced) {
+        continue;
+      }
+      indices.push(index);
+      visit(index + 1, basis.concat([reduced]));
+      indices.pop();
+    }
+  };
+  visit(0, []);
+}
+
+// Reduce a vector against a basis, returning the new element of the basis or
+// undefined if the vector is a combination of the basis
+function reduce(vector, basis, position) {
+  let reduced = vector.slice();
+  let combination = new Array(position + 1).fill(0);
+  combination[position] = 1;
+  for (const element of basis) {
+    let factor = reduced[element.pivot];
+    if (factor == 0) {
+      continue;
+    }
+    for (let ii=0; ii<reduced.length; ii++) {
+      reduced[ii] -= factor * element.vector[ii];
+    }
+    for (let ii=0; ii<element.combination.length; ii++) {
+      combination[ii] -= factor * element.combination[ii];
+    }
+  }
+  let pivot = 0;
+  for (let ii=1; ii<reduced.length; ii++) {
+    if (Math.abs(reduced[ii]) > Math.abs(reduced[pivot])) {
+      pivot = ii;
+    }
+  }
+  let scale = reduced[pivot];
+  if (Math.abs(scale) < tolerance) {
+    return undefined;
+  }
+  return {
+    vector: reduced.map((value) => value / scale),
+    pivot: pivot,
+    combination: combination.map((value) => value / scale),
+  };
+}
+
+// Find the powers of the vectors of a basis that add up to the target, or
+// undefined if the target is not a combination of them
+function solve(target, basis, size) {
+  let residual = target.slice();
+  let powers = new Array(size).fill(0);
+  for (const element of basis) {
+    let factor = residual[element.pivot];
+    if (factor == 0) {
+      continue;
+    }
+    for (let ii=0; ii<residual.length; ii++) {
+      residual[ii] -= factor * element.vector[ii];
+    }
+    for (let ii=0; ii<element.combination.length; ii++) {
+      powers[ii] += factor * element.combination[ii];
+    }
+  }
+  if (residual.some((value) => Math.abs(value) > tolerance)) {
+    return undefined;
+  }
+  return powers;
+}
@@ -436,6 +436,89 @@ function testBasics(div) {
     return "Pass";
   });
 
+  failures += runner("Parse unit expressions", div, function() {
+    let q1 = pqm.quantity(1, "kg m / (s^2 A)");
+    if (!q1.eq(pqm.quantity(1, "N / A"))) {
+      return "Parenthesized denominator failed";
+    }
+    let q2 = pqm.quantity(1, "W/m^2/K");
+    if (!q2.eq(pqm.quantity(1, "W / m^2 K"))) {
+      return "Chained division failed";
+    }
+    let q3 = pqm.quantity(1, "J/(mol*K)");
+    if (!q3.eq(pqm.quantity(1, "J / mol K"))) {
+      return "Explicit multiplication failed";
+    }
+    let q4 = pqm.quantity(1, "[k]g·m^2/s^2");
+    if (!q4.eq(pqm.quantity(1, "J"))) {
+      return "Middle dot multiplication failed";
+    }
+    let q5 = pqm.quantity(1, "(m / s)^2");
+    if (!q5.eq(pqm.quantity(1, "m^2 s^(-2)"))) {
+      return "Parenthesized exponents failed";
+    }
+    if (!pqm.quantity(1, "1 / s / s").eq(pqm.quantity(1, "s^-2"))) {
+      return "Double division failed";
+    }
+    try {
+      pqm.quantity(1, "kg / (m s");
+      return "Allowed unbalanced parenthesis";
+    } catch (err) {
+      if (err.position != 9) {
+        return "Parse error did not include the position of the error";
+      }
+    }
+    return "Pass";
+  });
+
+  failures += runner("Parse quantity strings", div, function() {
+    if (!pqm.parse("9.81 m/s^2").eq(pqm.quantity(9.81, "m / s^2"))) {
+      return "Simple quantity string failed";
+    }
+    if (!pqm.parse("-1.5e3 [k]g m / s^2").eq(pqm.quantity(-1.5, "[k]N"))) {
+      return "Exponent notation failed";
+    }
+    if (!pqm.parse("12").eq(pqm.quantity(12))) {
+      return "Unit-less quantity string failed";
+    }
+    let q = pqm.parse("1.234,5 km", {decimal: ",", thousands: "."});
+    if (!q.eq(pqm.quantity(1234.5, "km"))) {
+      return "Custom separators failed";
+    }
+    if (!pqm.parse("2 m measured").eq(pqm.quantity(2, "m"))) {
+      return "Trailing words were not ignored";
+    }
+    if (!pqm.parse("2 m measured in").eq(pqm.quantity(2, "m"))) {
+      return "Unit symbols after an ignored word were part of the unit";
+    }
+    if (!pqm.parse("5 nautical miles away").eq(pqm.quantity(5, "nmi"))) {
+      return "Long unit name before trailing words not parsed";
+    }
+    let trailing = [
+      "3 m long", "3 m per box", "3 m square", "3 m cubic", "3 m metric", 
+      "3 m short", "3 m nautical",
+    ];
+    for (const quantityString of trailing) {
+      if (fails(() => pqm.parse(quantityString)) || 
+          !pqm.parse(quantityString).eq(pqm.quantity(3, "m"))) {
+        return "Trailing words were not ignored in " + quantityString;
+      }
+    }
+    if (!(caught(() => pqm.parse(5)) instanceof pqm.InvalidArgumentError)) {
+      return "Allowed a quantity string that is not a string";
+    }
+    if (!fails(() => {pqm.parse("2 m measured", {strict: true})})) {
+      return "Strict mode allowed trailing words";
+    }
+    if (!fails(() => {pqm.parse("m / s")})) {
+      return "Allowed a quantity string without a number";
+    }
+    if (!fails(() => {pqm.parse("1.5 m", {decimal: ".", thousands: "."})})) {
+      return "Allowed identical decimal and thousands separators";
+    }
+    return "Pass";
+  });
+
   failures += runner("Convert quantities to a string", div, function() {
     const sq = pqm.quantity(1000, "mm");
     if (sq.toString() != "1 m") {
@@ -466,8 +549,14 @@ function testBasics(div) {
     if (!fails(() => {pqm.quantity(1, "[k]m^d")})) {
       return "Allowed bad unit power";
     }
-    if (!fails(() => {pqm.quantity(1, "1 / s / s")})) {
-      return "Allowed double division unit creation";
+    if (!fails(() => {pqm.quantity(1, "(m / s")})) {
+      return "Allowed unbalanced parenthesis";
+    }
+    if (!fails(() => {pqm.quantity(1, "m / s)")})) {
+      return "Allowed unbalanced parenthesis";
+    }
+    if (!fails(() => {pqm.quantity(1, "J / ")})) {
+      return "Allowed division without a denominator";
     }
     if (!fails(() => {pqm.quantity(1, "degC / Pa-g")})) {
       return "Allowed compound unit with offsets";
@@ -475,6 +564,1288 @@ function testBasics(div) {
     return "Pass";
   });
 
+  failures += runner("Check error types", div, function() {
+    let err = caught(() => {pqm.quantity(1, "ft").add(pqm.quantity(1, "s"))});
+    if (!(err instanceof pqm.DimensionMismatchError)) {
+      return "Mismatched addition did not throw DimensionMismatchError";
+    }
+    if (!(err instanceof pqm.PqmError) || !(err instanceof Error)) {
+      return "Errors do not inherit from PqmError and Error";
+    }
+    if (err.dimensions[1] != 1 || err.otherDimensions[2] != 1) {
+      return "DimensionMismatchError did not include the dimensions";
+    }
+    err = caught(() => {pqm.quantity(1, "m / [k]bugs")});
+    if (!(err instanceof pqm.UnknownUnitError)) {
+      return "Invalid unit did not throw UnknownUnitError";
+    }
+    if (err.symbol != "bugs" || err.input != "m / [k]bugs" || err.position != 4) {
+      return "UnknownUnitError did not include the symbol and position";
+    }
+    err = caught(() => {pqm.quantity(1, "[GG]m")});
+    if (!(err instanceof pqm.UnknownPrefixError) || err.symbol != "GG") {
+      return "Invalid prefix did not throw UnknownPrefixError";
+    }
+    err = caught(() => {pqm.quantity(1, "m^x")});
+    if (!(err instanceof pqm.UnitParseError) || err.position != 2) {
+      return "Bad exponent did not throw UnitParseError";
+    }
+    err = caught(() => {pqm.quantity(1, "degC").inv()});
+    if (!(err instanceof pqm.OffsetUnitError)) {
+      return "Inverting an offset unit did not throw OffsetUnitError";
+    }
+    err = caught(() => {pqm.quantity([1, 2], "m").add(pqm.quantity([1, 2, 3], "m"))});
+    if (!(err instanceof pqm.VectorLengthError) || err.lengths[1] != 3) {
+      return "Mismatched arrays did not throw VectorLengthError";
+    }
+    err = caught(() => {pqm.quantity(1, "m").pow("2")});
+    if (!(err instanceof pqm.InvalidArgumentError) || err.value != "2") {
+      return "Bad power did not throw InvalidArgumentError";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Suggest units for unknown symbols", div, function() {
+    if (pqm.suggest("Kg")[0] != "[k]g") {
+      return "Did not suggest unit with wrong case";
+    }
+    if (pqm.suggest("mph2")[0] != "mph") {
+      return "Did not suggest unit with extra character";
+    }
+    if (pqm.suggest("[k]mtr")[0] != "[k]m") {
+      return "Did not keep explicit prefix in suggestion";
+    }
+    if (pqm.suggest("[K]m")[0] != "[k]m") {
+      return "Did not suggest a valid prefix for an invalid prefix";
+    }
+    if (pqm.suggest("[x]m").includes("[x]m")) {
+      return "Suggested a unit with an invalid prefix";
+    }
+    if (pqm.suggest("Pa_g", 2).length != 2) {
+      return "Did not limit the number of suggestions";
+    }
+    if (pqm.suggest("zzzzzz").length != 0) {
+      return "Suggested units for a very different symbol";
+    }
+    let err = caught(() => {pqm.quantity(1, "Kg m")});
+    if (err.suggestions[0] != "[k]g" || !err.message.includes("[k]g")) {
+      return "Unknown unit error did not include suggestions";
+    }
+    err = caught(() => {pqm.quantity(1, "[K]g")});
+    if (err.suggestions[0] != "k") {
+      return "Unknown prefix error did not include suggestions";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Describe dimensions", div, function() {
+    let energy = pqm.quantity(1, "J");
+    if (energy.describeDimensions() != "energy (mass·length²/time²)") {
+      return "Named dimensions were not described correctly";
+    }
+    if (energy.describeDimensions(true) != "energy (kg·m²/s²)") {
+      return "Dimensions were not described with symbols";
+    }
+    let unnamed = pqm.quantity(1, "[k]g / m s^2 A");
+    if (unnamed.describeDimensions(true) != "kg/(m·s²·A)") {
+      return "Unnamed dimensions were not described correctly";
+    }
+    if (pqm.quantity(1, "%").describeDimensions() != "dimensionless") {
+      return "Dimensionless quantity was not described correctly";
+    }
+    let err = caught(() => {energy.in("W")});
+    if (err.message != "Cannot convert energy (kg·m²/s²) to power (kg·m²/s³)") {
+      return "Conversion error did not describe the dimensions";
+    }
+    err = caught(() => {energy.add(pqm.quantity(1, "m"))});
+    if (!err.message.includes("energy (kg·m²/s²) and length (m)")) {
+      return "Addition error did not describe the dimensions";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Quantity kinds", div, function() {
+    let energy = pqm.quantity(1, "[k]J");
+    let torque = pqm.quantity(1000, "N m").asKind("torque");
+    if (pqm.kindOf(energy.mul(2)).join() != "energy") {
+      return "Kind was not kept when scaling a quantity";
+    }
+    if (pqm.kindOf(pqm.quantity(1, "kg m^2 / s^2")).join() != "energy,torque") {
+      return "Did not return all candidate kinds";
+    }
+    if (pqm.kindOf(pqm.quantity(1, "N m")).join() != "torque" || 
+        pqm.kindOf(pqm.quantity(1, "ft lbf")).join() != "torque") {
+      return "Did not infer torque from a force times a length";
+    }
+    if (pqm.kindOf(torque).join() != "torque") {
+      return "asKind did not set the kind";
+    }
+    if (pqm.kindOf(pqm.quantity(1, "Hz").mul(pqm.quantity(1, "s"))).join() != 
+        "dimensionless,angle,solid angle") {
+      return "Kind was not dropped when multiplying by a dimension";
+    }
+    if (!torque.eq(energy)) {
+      return "Quantities of different kinds are not comparable";
+    }
+    pqm.configure({strictKinds: true});
+    try {
+      if (!(caught(() => {torque.in("J")}) instanceof pqm.KindMismatchError)) {
+        return "Allowed conversion of different kinds in strict mode";
+      }
+      let err = caught(() => {pqm.quantity(1, "N m").in("J")});
+      if (!(err instanceof pqm.KindMismatchError)) {
+        return "Allowed conversion of N m to J in strict mode";
+      }
+      err = caught(() => {pqm.quantity(1, "Gy").add(pqm.quantity(1, "Sv"))});
+      if (!(err instanceof pqm.KindMismatchError) || err.otherKind != "dose equivalent") {
+        return "Allowed addition of different kinds in strict mode";
+      }
+      if (Math.abs(pqm.quantity(60, "rpm").in("Hz") - 1) > 1e-12) {
+        return "Did not allow conversion of rpm to Hz in strict mode";
+      }
+      if (torque.add(pqm.quantity(1, "kg m^2 / s^2")).in("N m") != 1001) {
+        return "Did not allow addition with a quantity without a kind";
+      }
+    } finally {
+      pqm.configure({strictKinds: false});
+    }
+    pqm.defineKind("specific energy", "J / [k]g");
+    let se = pqm.quantity(1, "J / [k]g").asKind("specific energy");
+    if (pqm.kindOf(se).join() != "specific energy") {
+      return "User defined kind failed";
+    }
+    if (!fails(() => {energy.asKind("power")})) {
+      return "Allowed a kind with different dimensions";
+    }
+    if (!fails(() => {pqm.configure({notASetting: true})})) {
+      return "Allowed an invalid setting";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Rational powers of dimensions", div, function() {
+    let noise = pqm.quantity(3, "V / Hz^1/2");
+    if (!noise.eq(pqm.quantity(3, "V Hz^-1/2")) || !noise.eq(pqm.quantity(3, "V Hz^(-1/2)"))) {
+      return "Rational exponents do not agree";
+    }
+    if (noise.describeDimensions(true) != "kg·m²/(s⁵ᐟ²·A)") {
+      return "Rational power not described correctly";
+    }
+    let band = pqm.quantity(4, "Hz").root(2);
+    if (Math.abs(noise.mul(band).in("V") - 6) > 1e-12) {
+      return "Root of Hz did not cancel with Hz^-1/2";
+    }
+    let sqrtM = pqm.quantity(4, "m").pow(0.5);
+    if (!sqrtM.eq(pqm.quantity(4, "m").root(2)) || !sqrtM.eq(pqm.quantity(2, "m^(1/2)"))) {
+      return "pow(0.5), root(2) and m^(1/2) do not agree";
+    }
+    if (sqrtM.pow(2).in("m") != 4) {
+      return "Squaring a root did not return the original quantity";
+    }
+    if (sqrtM.toString() != "2 m^(1/2)") {
+      return "Rational power not printed by toString";
+    }
+    let stress = pqm.quantity(1, "Pa m^(1/2)");
+    let [value, units] = stress.with(["Pa", "m"]);
+    if (units != "Pa m^(1/2)" || Math.abs(value - 1) > 1e-12) {
+      return "Rational power not found by with";
+    }
+    if (pqm.quantity(2, "[M]Pa m^(1/2)").toString() != "2000000 Pa m^(1/2)") {
+      return "Whole powers not preferred when printing rational powers";
+    }
+    [value, units] = pqm.quantity(1, "s^-3/2").with(["s"]);
+    if (units != "1 / s^(3/2)") {
+      return "Negative rational power not printed by with";
+    }
+    if (pqm.quantity(1, "m^1.5").describeDimensions(true) != "m³ᐟ²") {
+      return "Decimal exponent not parsed as a rational power";
+    }
+    if (!fails(() => {pqm.quantity(-4, "m").pow(0.5)})) {
+      return "Allowed a fractional power of a negative quantity";
+    }
+    if (!fails(() => {pqm.quantity(1, "m^(1/0)")})) {
+      return "Allowed a zero denominator in an exponent";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Exact conversions", div, function() {
+    pqm.configure({exact: true});
+    try {
+      if (pqm.quantity(1, "ft").in("in") !== 12) {
+        return "ft to in conversion was not exact";
+      }
+      if (pqm.quantity(100, "degC").in("degF") !== 212) {
+        return "Offset conversion was not exact";
+      }
+      if (pqm.quantity(0.1, "m").add(pqm.quantity(0.2, "m")).in("m") !== 0.3) {
+        return "Addition was not exact";
+      }
+      let lb = pqm.quantity(1, "lbm").in("[k]g", {exact: true});
+      if (!(lb instanceof pqm.BigRational) || lb.toString() != "45359237/100000000") {
+        return "Did not return an exact magnitude";
+      }
+      let torque = pqm.quantity(1, "ft-lb").in("J", {exact: true});
+      if (torque.toString() != "3389544870828501/2500000000000000") {
+        return "Derived imperial unit was not exact";
+      }
+      if (pqm.quantity(1, "HP").in("ft lbf / s") !== 550) {
+        return "Derived imperial units did not convert exactly";
+      }
+      let area = pqm.quantity(3, "ft").mul(pqm.quantity(7, "in")).pow(2);
+      if (area.in("in^4", {exact: true}).toString() != "63504") {
+        return "Multiplication and powers were not exact";
+      }
+      let vector = pqm.quantity([1, 2, 3], "survey_ft").in("survey_mi");
+      if (vector.join() != [1/5280, 2/5280, 3/5280].join()) {
+        return "Vector conversion was not exact";
+      }
+      if (!fails(() => {pqm.quantity(2, "m").pow(0.5).in("m^(1/2)", {exact: true})})) {
+        return "Returned an exact result for an inexact operation";
+      }
+    } finally {
+      pqm.configure({exact: false});
+    }
+    if (!fails(() => {pqm.quantity(1, "ft").in("in", {exact: true})})) {
+      return "Returned an exact result outside of exact mode";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Numeric backends", div, function() {
+    pqm.configure({backend: pqm.backends.bigDecimal(40)});
+    try {
+      let bytes = pqm.quantity("123456789012345678901", "B");
+      if (bytes.in("bit").toString() != "987654312098765431208") {
+        return "Lost precision of large integers";
+      }
+      let inches = pqm.quantity(1, "ft").in("in");
+      if (!(inches instanceof pqm.BigDecimal) || inches.toString() != "12") {
+        return "Conversion did not return an exact decimal";
+      }
+      if (pqm.quantity(1, "m").div(3).in("m").toString() != "0." + "3".repeat(40)) {
+        return "Division was not rounded to the precision";
+      }
+      if (pqm.quantity(100, "degC").in("degF").toString() != "212") {
+        return "Offset conversion was not precise";
+      }
+      let small = pqm.parse("1.00000000000000000001 m");
+      if (!small.gt(pqm.quantity(1, "m")) || small.eq(pqm.quantity(1, "m"))) {
+        return "Comparison did not use the backend";
+      }
+      if (!fails(() => {pqm.configure({exact: true})})) {
+        return "Allowed exact mode with a decimal backend";
+      }
+    } finally {
+      pqm.configure({backend: pqm.backends.number});
+    }
+    // Minimal decimal library with the same interface as decimal.js
+    class Decimal {
+      constructor(x) { this.x = Number(x); }
+      plus(o) { return new Decimal(this.x + o.x); }
+      minus(o) { return new Decimal(this.x - o.x); }
+      times(o) { return new Decimal(this.x * o.x); }
+      div(o) { return new Decimal(this.x / o.x); }
+      pow(n) { return new Decimal(Math.pow(this.x, n)); }
+      cmp(o) { return Math.sign(this.x - o.x); }
+      toString() { return String(this.x); }
+    }
+    pqm.configure({backend: pqm.backends.decimalAdapter(Decimal)});
+    try {
+      let total = pqm.quantity(10, "[k]m").add(pqm.quantity(2, "[k]m")).in("m");
+      if (!(total instanceof Decimal) || total.toString() != "12000") {
+        return "Decimal adapter was not used";
+      }
+      if (!pqm.quantity(1, "m").lt(pqm.quantity(2, "m"))) {
+        return "Decimal adapter comparison failed";
+      }
+    } finally {
+      pqm.configure({backend: pqm.backends.number});
+    }
+    if (!fails(() => {pqm.configure({backend: {add: (a, b) => a + b}})})) {
+      return "Allowed an incomplete backend";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Typed array quantities", div, function() {
+    let samples = new Float64Array([32, 212, -40]);
+    let trace = pqm.quantity(samples, "degF");
+    let celsius = trace.in("degC");
+    if (!(celsius instanceof Float64Array) || celsius.length != 3) {
+      return "Conversion did not return a typed array";
+    }
+    if (Math.abs(celsius[1] - 100) > 1e-10 || Math.abs(celsius[2] + 40) > 1e-10) {
+      return "Typed array conversion failed";
+    }
+    let single = pqm.quantity(new Float32Array([1, 2]), "ft");
+    let sum = single.add(pqm.quantity(12, "in")).mul(pqm.quantity(1, "s^-1"));
+    if (!(sum.magnitude instanceof Float32Array)) {
+      return "Float32Array was not kept through math";
+    }
+    let mixed = single.add(pqm.quantity(new Float64Array([1, 1]), "ft"));
+    if (!(mixed.magnitude instanceof Float64Array)) {
+      return "Mixed typed arrays did not give a Float64Array";
+    }
+    if (single.eq(pqm.quantity([1, 2], "ft"), 1e-6).join() != "true,true") {
+      return "Typed array comparison failed";
+    }
+    let raw = new Float64Array([1, 2]);
+    if (pqm.quantity(raw, "m").magnitude !== raw) {
+      return "Typed array in SI units was copied";
+    }
+    pqm.quantity(raw, "m").in("[c]m", {inPlace: true});
+    if (raw[1] != 200) {
+      return "In place conversion did not write into a shared array";
+    }
+    let feet = new Float64Array([1, 2]);
+    pqm.quantity(feet, "ft").in("m", {inPlace: true});
+    if (feet[1] != 2) {
+      return "In place conversion wrote into a copied array";
+    }
+    let integers = pqm.quantity(Int32Array.of(1, 2), "ft");
+    if (!(integers.magnitude instanceof Float64Array) || 
+        Math.abs(integers.in("m")[0] - 0.3048) > 1e-12) {
+      return "Integer typed array was not converted to a Float64Array";
+    }
+    if (pqm.quantity(Uint8Array.of(1, 2), "m").mul(0.5).in("m").join() != "0.5,1") {
+      return "Math on an integer typed array was truncated";
+    }
+    if (!fails(() => {trace.in("degC", {out: new Int32Array(3)})})) {
+      return "Allowed an integer output array";
+    }
+    let out = new Float64Array(3);
+    if (trace.in("degC", {out: out}) !== out || out[0] != celsius[0]) {
+      return "Conversion did not write into the output array";
+    }
+    let meters = pqm.quantity(new Float64Array([1, 2]), "m");
+    let magnitude = meters.magnitude;
+    if (meters.in("[c]m", {inPlace: true}) !== magnitude || magnitude[1] != 200) {
+      return "In place conversion failed";
+    }
+    if (!fails(() => {trace.in("degC", {out: new Float64Array(2)})})) {
+      return "Allowed an output array with the wrong length";
+    }
+    if (!fails(() => {pqm.quantity(1, "m").in("ft", {inPlace: true})})) {
+      return "Allowed in place conversion of a scalar";
+    }
+    return "Pass";
+  });
+
+  failures += runner("N-dimensional quantities", div, function() {
+    let grid = pqm.quantity([[0, 10, 20], [30, 40, 50]], "degC");
+    if (grid.shape.join() != "2,3" || pqm.quantity(1, "m").shape.length != 0) {
+      return "Wrong shape";
+    }
+    let row = pqm.quantity([1, 2, 3], "deltaC");
+    let column = pqm.quantity([[1], [2]], "deltaC");
+    if (JSON.stringify(grid.add(row).in("degC")) != "[[1,12,23],[31,42,53]]") {
+      return "Broadcasting a row failed";
+    }
+    if (JSON.stringify(grid.add(column).in("degC")) != "[[1,11,21],[32,42,52]]") {
+      return "Broadcasting a column failed";
+    }
+    let outer = pqm.quantity([1, 2], "m").mul(pqm.quantity([[1], [2]], "s^-1"));
+    if (outer.shape.join() != "2,2" || outer.toString() != "[[1,2],[2,4]] m / s") {
+      return "Broadcasting two vectors failed";
+    }
+    let error = caught(() => {grid.add(pqm.quantity([1, 2], "deltaC"))});
+    if (!(error instanceof pqm.VectorLengthError)) {
+      return "Allowed arrays that cannot be broadcast";
+    }
+    if (JSON.stringify(error.shapes) != "[[2,3],[2]]") {
+      return "Error did not report the shapes";
+    }
+    if (!fails(() => {pqm.quantity([[1, 2], [3]], "m")})) {
+      return "Allowed a ragged array";
+    }
+    if (JSON.stringify(grid.eq(pqm.quantity(20, "degC"))) != 
+        "[[false,false,true],[false,false,false]]") {
+      return "Comparison did not keep the shape";
+    }
+    if (grid.toString() != "[[273.15,283.15,293.15],[303.15,313.15,323.15]] K") {
+      return "Wrong string for a matrix";
+    }
+    if (pqm.quantity([1, 2, 3], "m").toString() != "[1,2,3] m") {
+      return "Wrong string for a vector";
+    }
+    let element = grid.get(1, 2);
+    if (!element.isScalar || element.in("degC") != 50 || element.offset != grid.offset) {
+      return "Indexing an element failed";
+    }
+    if (grid.get(-1).in("degC").join() != "30,40,50") {
+      return "Indexing a row failed";
+    }
+    if (JSON.stringify(grid.slice(null, [1]).in("degC")) != "[[10,20],[40,50]]") {
+      return "Slicing columns failed";
+    }
+    if (JSON.stringify(grid.slice([0, 2], [0, 3, 2]).in("degC")) != "[[0,20],[30,50]]") {
+      return "Slicing with a step failed";
+    }
+    if (!fails(() => {grid.get(2, 0)}) || !fails(() => {grid.get(0, 0, 0)})) {
+      return "Allowed an index out of range";
+    }
+    let typed = pqm.quantity(new Float64Array([1, 2, 3, 4]), "m").reshape([2, 2]);
+    if (!(typed.get(1).in("[c]m") instanceof Float64Array) || typed.toString() != "[[1,2],[3,4]] m") {
+      return "Reshaping a typed array failed";
+    }
+    if (!fails(() => {typed.reshape([3])})) {
+      return "Allowed a reshape with the wrong size";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Array math", div, function() {
+    let temps = pqm.quantity([10, 12, 15, 11], "degC");
+    if (temps.mean().in("degC") != 12 || temps.mean().offset != temps.offset) {
+      return "Mean failed";
+    }
+    if (temps.min().in("degC") != 10 || temps.max().in("degC") != 15) {
+      return "Minimum or maximum failed";
+    }
+    let std = temps.std();
+    if (std.offset != 0 || Math.abs(std.in("deltaC") - Math.sqrt(3.5)) > 1e-12) {
+      return "Standard deviation failed";
+    }
+    let diff = temps.diff();
+    if (diff.offset != 0 || diff.in("deltaC").join() != "2,3,-4") {
+      return "Difference of an offset unit is not a delta";
+    }
+    if (!(caught(() => {temps.sum()}) instanceof pqm.OffsetUnitError)) {
+      return "Allowed a sum of an offset unit";
+    }
+    let dist = pqm.quantity([1, 2, 3], "m");
+    let sum = dist.sum();
+    if (!sum.isScalar || sum.toString() != "6 m" || dist.cumsum().in("m").join() != "1,3,6") {
+      return "Sum failed";
+    }
+    if (Math.abs(dist.norm().in("m") - Math.sqrt(14)) > 1e-12) {
+      return "Norm failed";
+    }
+    if (dist.dot(pqm.quantity([1, 1, 1], "N")).toString() != "6 J") {
+      return "Dot product failed";
+    }
+    if (dist.mul(-1).abs().in("m").join() != "1,2,3" || pqm.quantity(-5, "degC").abs().in("degC") != -5) {
+      return "Absolute value failed";
+    }
+    let grid = pqm.quantity([[1, 2, 3], [4, 5, 6]], "s");
+    if (grid.sum(0).in("s").join() != "5,7,9" || grid.sum(-1).in("s").join() != "6,15") {
+      return "Sum along an axis failed";
+    }
+    if (JSON.stringify(grid.cumsum().in("s")) != "[[1,3,6],[4,9,15]]") {
+      return "Cumulative sum along the last axis failed";
+    }
+    if (JSON.stringify(grid.diff(0).in("s")) != "[[3,3,3]]") {
+      return "Difference along the first axis failed";
+    }
+    let product = grid.dot(pqm.quantity([[1, 0], [0, 1], [1, 1]], "s^-1"));
+    if (JSON.stringify(product.in("")) != "[[4,5],[10,11]]") {
+      return "Matrix product failed";
+    }
+    if (!fails(() => {grid.dot(pqm.quantity([1, 2], "s"))})) {
+      return "Allowed a dot product with mismatched lengths";
+    }
+    if (!fails(() => {grid.sum(2)}) || !fails(() => {pqm.quantity(1, "m").cumsum()})) {
+      return "Allowed a bad axis";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Integration and differentiation", div, function() {
+    let power = pqm.quantity([0, 10, 20, 10], "W");
+    let time = pqm.quantity([0, 1, 2, 4], "s");
+    let energy = pqm.trapz(power, time);
+    if (!energy.isScalar || energy.toString() != "50 J") {
+      return "Integration failed";
+    }
+    if (pqm.cumtrapz(power, time).in("J").join() != "5,20,50") {
+      return "Cumulative integration failed";
+    }
+    if (pqm.trapz(power, pqm.quantity(1, "min")).in("J") != 2100) {
+      return "Integration with a scalar spacing failed";
+    }
+    let position = pqm.quantity([0, 1, 9], "m");
+    let velocity = pqm.gradient(position, pqm.quantity([0, 1, 3], "s"));
+    if (velocity.in("m / s").join() != "1,3,4") {
+      return "Differentiation failed";
+    }
+    if (pqm.gradient(position, pqm.quantity(2, "s")).in("m / s").join() != "0.5,2.25,4") {
+      return "Differentiation with a scalar spacing failed";
+    }
+    let rows = pqm.quantity([[1, 1, 1], [0, 1, 2]], "W");
+    if (pqm.trapz(rows, time.slice([0, 3])).in("J").join() != "2,2") {
+      return "Integration along the last axis failed";
+    }
+    let error = caught(() => {pqm.trapz(power, pqm.quantity([0, 1, 2], "s"))});
+    if (!(error instanceof pqm.VectorLengthError)) {
+      return "Allowed sample points with the wrong length";
+    }
+    if (!fails(() => {pqm.gradient(pqm.quantity(1, "m"), time)})) {
+      return "Allowed differentiation of a scalar";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Math functions", div, function() {
+    let math = pqm.math;
+    if (Math.abs(math.sin(pqm.quantity(90, "deg")).in("") - 1) > 1e-15) {
+      return "Sine of degrees failed";
+    }
+    if (Math.abs(math.cos(pqm.quantity(0.5, "rev")).in("") + 1) > 1e-15) {
+      return "Cosine of revolutions failed";
+    }
+    if (math.exp(pqm.quantity(100, "%")).in("") != Math.E) {
+      return "Exponential of a ratio failed";
+    }
+    let angle = math.asin(1);
+    if (Math.abs(angle.in("deg") - 90) > 1e-12 || pqm.kindOf(angle)[0] != "angle") {
+      return "Inverse sine did not return an angle";
+    }
+    if (math.log10(pqm.quantity(1, "[k]W"), pqm.quantity(1, "W")).in("") != 3) {
+      return "Logarithm of a ratio failed";
+    }
+    if (math.log(pqm.quantity([1, Math.E], "")).in("").join() != "0,1") {
+      return "Logarithm of an array failed";
+    }
+    let atan = math.atan2(pqm.quantity(1, "m"), pqm.quantity(100, "[c]m"));
+    if (Math.abs(atan.in("deg") - 45) > 1e-12) {
+      return "Arc tangent of two quantities failed";
+    }
+    if (math.hypot(pqm.quantity([3, 6], "m"), pqm.quantity(400, "[c]m")).in("m")[0] != 5) {
+      return "Hypotenuse failed";
+    }
+    let error = caught(() => {math.sin(pqm.quantity(1, "m"))});
+    if (!(error instanceof pqm.DimensionMismatchError)) {
+      return "Allowed a math function of a dimensional quantity";
+    }
+    if (!fails(() => {math.atan2(pqm.quantity(1, "m"), pqm.quantity(1, "s"))})) {
+      return "Allowed atan2 of different dimensions";
+    }
+    if (!fails(() => {math.log10(pqm.quantity(1, "W"), pqm.quantity(1, "m"))})) {
+      return "Allowed a logarithm with a bad reference";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Logarithmic units", div, function() {
+    let signal = pqm.quantity(-30, "dBm");
+    if (signal.in("[m]W") != 0.001 || signal.in("dBW") != -60 || signal.in("dBm") != -30) {
+      return "Conversion of a power level failed";
+    }
+    if (pqm.quantity(1, "[m]W").in("dBm") != 0 || signal.toString() != "-30 dBm") {
+      return "Conversion to a power level failed";
+    }
+    if (Math.abs(pqm.quantity(2, "V").in("dBV") - 20*Math.log10(2)) > 1e-12) {
+      return "Conversion to a root-power level failed";
+    }
+    if (pqm.quantity(1, "bel").in("dB") != 10 || pqm.quantity(20, "dB").in("") != 100) {
+      return "Conversion of a gain failed";
+    }
+    if (Math.abs(pqm.quantity(1, "Np").in("dB") - 20/Math.LN10) > 1e-12) {
+      return "Conversion of nepers failed";
+    }
+    let amplified = signal.add(pqm.quantity(3, "dB"));
+    if (Math.abs(amplified.in("dBm") + 27) > 1e-12 || amplified.log != "dBm") {
+      return "Adding a gain to a level failed";
+    }
+    if (Math.abs(pqm.quantity(3, "dB").add(pqm.quantity(3, "dB")).in("dB") - 6) > 1e-12) {
+      return "Adding gains failed";
+    }
+    if (Math.abs(pqm.quantity(6, "dBV").add(pqm.quantity(6, "dB")).in("dBV") - 12) > 1e-12) {
+      return "Adding a gain to a root-power level failed";
+    }
+    let difference = pqm.quantity(20, "dBV").sub(pqm.quantity(0, "dBV"));
+    if (Math.abs(difference.in("dB") - 20) > 1e-12 || difference.toString().slice(-2) != "dB") {
+      return "Difference of levels is not a gain";
+    }
+    let error = caught(() => {signal.add(signal)});
+    if (!(error instanceof pqm.LogUnitError) || error.unit != "dBm") {
+      return "Allowed adding two levels";
+    }
+    let sum = signal.add(signal, {linear: true});
+    if (Math.abs(sum.in("[m]W") - 0.002) > 1e-15 || sum.log != "dBm") {
+      return "Linear addition of levels failed";
+    }
+    if (!fails(() => {signal.add(pqm.quantity(1, "[m]W"))})) {
+      return "Allowed adding a linear quantity to a level";
+    }
+    if (!fails(() => {pqm.quantity(1, "dB").sub(signal)})) {
+      return "Allowed subtracting a level from a gain";
+    }
+    if (!fails(() => {pqm.quantity(1, "dBm / Hz")})) {
+      return "Allowed a logarithmic unit in a compound unit";
+    }
+    if (pqm.quantity(1, "dB / s").in("bit / s") != 0.8 || pqm.quantity(1, "[d]B").in("bit") != 0.8) {
+      return "Decibytes not read in compound units";
+    }
+    if (pqm.quantity([0, 10, 20], "dBm").in("[m]W").join() != "1,10,100") {
+      return "Array of levels failed";
+    }
+    if (pqm.parse("-30 dBm").in("[u]W") != 1) {
+      return "Parsing a level failed";
+    }
+    let levels = pqm.quantity([3, 3], "dBm");
+    for (const reduce of [(q) => q.sum(), (q) => q.mean(), (q) => q.cumsum()]) {
+      if (!(caught(() => reduce(levels)) instanceof pqm.LogUnitError)) {
+        return "Allowed reducing values in a logarithmic unit";
+      }
+    }
+    if (!(caught(() => pqm.quantity([3, 3], "dB").sum()) instanceof pqm.LogUnitError)) {
+      return "Allowed reducing gains";
+    }
+    let linear = pqm.quantity(levels.in("[m]W"), "[m]W").sum();
+    if (Math.abs(linear.in("dBm") - (3 + 10*Math.log10(2))) > 1e-12) {
+      return "Sum of linear values of levels failed";
+    }
+    error = caught(() => pqm.quantity(-10, "[m]W").in("dBm"));
+    if (!(error instanceof pqm.InvalidArgumentError)) {
+      return "Allowed a negative value in a logarithmic unit";
+    }
+    if (!fails(() => pqm.quantity(0, "[m]W").in("dBm"))) {
+      return "Allowed zero in a logarithmic unit";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Functional units", div, function() {
+    let wire = pqm.quantity(10, "AWG");
+    if (Math.abs(wire.in("[m]m") - 2.588) > 1e-3 || Math.abs(wire.in("AWG") - 10) > 1e-12) {
+      return "Wire gauge conversion failed";
+    }
+    if (wire.toString().slice(-3) != "AWG") {
+      return "Functional unit not kept for toString";
+    }
+    if (pqm.quantity(10, "degAPI").in("[k]g / m^3") != 999.016) {
+      return "API gravity of water failed";
+    }
+    if (Math.abs(pqm.quantity(0, "degBe").in("degBeL") - 10) > 1e-12) {
+      return "Baume conversion failed";
+    }
+    if (pqm.quantity(1e-3, "mol / L").in("pH") != 3 || pqm.quantity(7, "pH").in("mol / L") != 1e-7) {
+      return "pH conversion failed";
+    }
+    if (pqm.quantity(9, "shoeUS").in("shoeUK") != 8) {
+      return "Shoe size conversion failed";
+    }
+    let gauges = pqm.quantity([36, -3], "AWG").in("[m]m");
+    if (Math.abs(gauges[0] - 0.127) > 1e-15 || Math.abs(gauges[1] - 11.684) > 1e-12) {
+      return "Array of wire gauges failed";
+    }
+    if (!wire.eq(pqm.quantity(2.588, "[m]m"), 1e-3)) {
+      return "Comparison of a functional unit failed";
+    }
+    let error = caught(() => {wire.add(wire)});
+    if (!(error instanceof pqm.FunctionalUnitError) || error.unit != "AWG") {
+      return "Allowed addition of functional units";
+    }
+    if (!fails(() => {wire.mul(2)}) || !fails(() => {pqm.quantity([7, 8], "pH").mean()})) {
+      return "Allowed arithmetic with a functional unit";
+    }
+    if (!fails(() => {pqm.quantity(1, "AWG / m")}) || !fails(() => {pqm.quantity(1, "[k]AWG")})) {
+      return "Allowed a functional unit in a compound unit";
+    }
+    if (pqm.quantity(1, "[p]H").in("H") != 1e-12) {
+      return "Picohenries are not available";
+    }
+    if (Math.abs(pqm.quantity(1, "pH / m").in("H / m") - 1e-12) > 1e-24) {
+      return "Picohenries not read in compound units";
+    }
+    pqm.defineFunctional("gaugeTest", "[m]m", (g) => 8 - g, (d) => 8 - d);
+    if (pqm.quantity(2, "gaugeTest").in("[m]m") != 6 || pqm.quantity(6, "[m]m").in("gaugeTest") != 2) {
+      return "User defined functional unit failed";
+    }
+    if (!fails(() => {pqm.defineFunctional("pH", "m", (x) => x, (x) => x)})) {
+      return "Allowed redefining a unit";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Uncertainty", div, function() {
+    let g = pqm.quantity(9.81, "m/s^2", {uncertainty: 0.02});
+    let [value, uncertainty] = g.in("[c]m/s^2", {uncertainty: true});
+    if (Math.abs(value - 981) > 1e-9 || Math.abs(uncertainty - 2) > 1e-12) {
+      return "Uncertainty not converted";
+    }
+    if (g.toString() != "9.81 ± 0.02 N / [k]g") {
+      return "Uncertainty not displayed";
+    }
+    let parsed = pqm.parse("9.81 ± 0.02 m/s^2");
+    if (!parsed.eq(g) || parsed.uncertainty[0] != 0.02) {
+      return "Uncertainty not parsed";
+    }
+    if (pqm.parse("20 +/- 1.5 [k]m").in("m", {uncertainty: true})[1] != 1500) {
+      return "Uncertainty with +/- not parsed";
+    }
+    if (!(caught(() => {pqm.parse("9.81 ± m")}) instanceof pqm.UnitParseError)) {
+      return "Allowed a missing uncertainty";
+    }
+    let l = pqm.quantity(2, "m", {uncertainty: 0.1});
+    let w = pqm.quantity(3, "m", {uncertainty: 0.2});
+    let check = (q, unit, expected) => {
+      return Math.abs(q.in(unit, {uncertainty: true})[1] - expected) < 1e-12;
+    };
+    if (!check(l.mul(w), "m^2", 0.5) || !check(l.add(w), "m", Math.hypot(0.1, 0.2))) {
+      return "Uncertainty of a product or sum is wrong";
+    }
+    if (!check(l.sub(w), "m", Math.hypot(0.1, 0.2)) || !check(l.div(w), "1", 0.5/9)) {
+      return "Uncertainty of a difference or quotient is wrong";
+    }
+    if (!check(l.pow(2), "m^2", 0.4) || !check(l.root(2), "m^(1/2)", 0.05/Math.sqrt(2))) {
+      return "Uncertainty of a power or root is wrong";
+    }
+    if (!check(l.mul(pqm.quantity(5, "m")), "m^2", 0.5) || l.mul(2).in("m") != 4) {
+      return "Uncertainty with an exact quantity is wrong";
+    }
+    let temperature = pqm.quantity(20, "degC", {uncertainty: 0.5});
+    if (!check(temperature, "degF", 0.9)) {
+      return "Uncertainty of an offset unit is wrong";
+    }
+    let a = pqm.quantity([[1, 2], [3, 4]], "m", {uncertainty: [[0.1, 0.2], [0.3, 0.4]]});
+    if (a.mul(2).toString() != "[[2,4],[6,8]] ± [[0.2,0.4],[0.6,0.8]] m") {
+      return "Uncertainty of an array is wrong";
+    }
+    if (!check(a.get(1, 0), "m", 0.3) || a.slice(null, 1).uncertainty.join() != "0.2,0.4") {
+      return "Uncertainty not sliced";
+    }
+    let b = pqm.quantity([1, 2], "m", {uncertainty: 0.1}).add(l);
+    if (b.toString() != "[3,4] ± [" + Math.hypot(0.1, 0.1) + "," + Math.hypot(0.1, 0.1) + "] m") {
+      return "Uncertainty not broadcast";
+    }
+    if (!(caught(() => {pqm.quantity([1, 2], "m", {uncertainty: [1, 2, 3]})}) instanceof pqm.VectorLengthError)) {
+      return "Allowed an uncertainty of the wrong length";
+    }
+    if (!fails(() => {pqm.quantity(1, "m", {uncertainty: -1})}) || !fails(() => {pqm.quantity(1, "dB", {uncertainty: 1})})) {
+      return "Allowed an invalid uncertainty";
+    }
+    if (pqm.quantity(1, "m").uncertainty || pqm.quantity([1, 2], "m").sum().uncertainty) {
+      return "Quantity has an unexpected uncertainty";
+    }
+    let c = pqm.quantity([3, 4], "m", {uncertainty: [0.3, 0.4]});
+    if (!check(c.sum(), "m", 0.5) || !check(c.mean(), "m", 0.25) || !check(l.sum(), "m", 0.1)) {
+      return "Uncertainty of a sum or mean is wrong";
+    }
+    if (!check(c.min(), "m", 0.3) || !check(c.max(), "m", 0.4)) {
+      return "Uncertainty of a minimum or maximum is wrong";
+    }
+    if (!check(c.norm(), "m", Math.hypot(0.9, 1.6) / 5) || !check(c.std(), "m", 0.25)) {
+      return "Uncertainty of a norm or standard deviation is wrong";
+    }
+    if (c.cumsum().uncertainty.join() != "0.3,0.5" || c.diff().uncertainty.join() != "0.5") {
+      return "Uncertainty of a cumulative sum or difference is wrong";
+    }
+    if (a.sum(0).uncertainty.join() != Math.hypot(0.1, 0.3) + "," + Math.hypot(0.2, 0.4)) {
+      return "Uncertainty of a sum along an axis is wrong";
+    }
+    if (!check(c.dot(pqm.quantity([1, 2], "m")), "m^2", Math.hypot(0.3, 0.8))) {
+      return "Uncertainty of a dot product is wrong";
+    }
+    if (c.dot(pqm.quantity([[1, 0], [0, 2]], "s")).uncertainty.join() != "0.3,0.8") {
+      return "Uncertainty of a matrix product is wrong";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Intervals", div, function() {
+    let a = pqm.quantity(10, "[m]m", {tolerance: 0.1});
+    let b = pqm.interval(19.8, 20.2, "[m]m");
+    let bounds = (q, unit) => q.in(unit, {interval: true}).flat().map((x) => Math.round(x*1e9)/1e9);
+    if (bounds(a, "[m]m").join() != "9.9,10.1" || b.in("[m]m") != 20) {
+      return "Interval not created";
+    }
+    if (bounds(a.add(b), "[m]m").join() != "29.7,30.3" || bounds(b.sub(a), "[m]m").join() != "9.7,10.3") {
+      return "Interval sum or difference is wrong";
+    }
+    if (bounds(a.mul(b), "[m]m^2").join() != "196.02,204.02" || bounds(b.div(a), "1").join() != bounds(pqm.interval(19.8/10.1, 20.2/9.9), "1").join()) {
+      return "Interval product or quotient is wrong";
+    }
+    let v = pqm.interval([1, -1], [2, 1], "m");
+    if (bounds(v.pow(2), "m^2").join() != "1,0,4,1" || bounds(v.mul(-1), "m").join() != "-2,-1,-1,1") {
+      return "Interval power or negation is wrong";
+    }
+    if (bounds(v.pow(2).root(2), "m").join() != "1,0,2,1" || bounds(v.get(1), "m").join() != "-1,1") {
+      return "Interval root or slice is wrong";
+    }
+    if (!(caught(() => {v.inv()}) instanceof pqm.InvalidArgumentError)) {
+      return "Allowed dividing by an interval containing zero";
+    }
+    let t = pqm.quantity(20, "degC", {tolerance: 1});
+    if (bounds(t, "degF").join() != "66.2,69.8" || bounds(t.sub(pqm.quantity(15, "degC")), "deltaC").join() != "4,6") {
+      return "Interval with an offset is wrong";
+    }
+    if (a.toString("[m]m") != "9.9 to 10.1 [m]m") {
+      return "Interval not displayed";
+    }
+    if (a.compare(b) != -1 || b.compare(a) != 1 || a.compare(pqm.quantity(10.05, "[m]m")) != 0) {
+      return "Interval comparison is wrong";
+    }
+    if (a.gt(pqm.quantity(9.95, "[m]m")) || !a.gt(pqm.quantity(9.8, "[m]m")) || v.compare(pqm.quantity(0, "m")).join() != "1,0") {
+      return "Interval comparison is wrong for comparison functions";
+    }
+    if (!fails(() => {pqm.interval(2, 1, "m")}) || !fails(() => {pqm.interval([1, 2], [3], "m")})) {
+      return "Allowed invalid bounds";
+    }
+    if (!fails(() => {pqm.quantity(1, "m", {tolerance: -1})}) || !fails(() => {pqm.quantity(1, "dB", {tolerance: 1})})) {
+      return "Allowed an invalid tolerance";
+    }
+    if (pqm.quantity([1, 2], "m").sum().interval || pqm.quantity(1, "m").add(pqm.quantity(1, "m")).interval) {
+      return "Quantity has unexpected bounds";
+    }
+    let c = pqm.interval([1, 3], [2, 4], "m");
+    if (bounds(c.sum(), "m").join() != "4,6" || bounds(c.mean(), "m").join() != "2,3") {
+      return "Interval sum or mean is wrong";
+    }
+    if (bounds(c.min(), "m").join() != "1,2" || bounds(c.max(), "m").join() != "3,4") {
+      return "Interval minimum or maximum is wrong";
+    }
+    if (bounds(c.cumsum(), "m").join() != "1,4,2,6" || bounds(c.diff(), "m").join() != "1,3") {
+      return "Interval cumulative sum or difference is wrong";
+    }
+    if (bounds(v.norm(), "m").join() != "1," + Math.round(Math.sqrt(5)*1e9)/1e9) {
+      return "Interval norm is wrong";
+    }
+    if (bounds(pqm.interval(-2, -1, "m").abs(), "m").join() != "1,2" || bounds(v.abs(), "m").join() != "1,0,2,1") {
+      return "Interval absolute value is wrong";
+    }
+    if (bounds(pqm.interval(-20, -10, "degC").abs(), "degC").join() != "-20,-10") {
+      return "Interval absolute value with an offset is wrong";
+    }
+    if (!(caught(() => {c.std()}) instanceof pqm.InvalidArgumentError)) {
+      return "Allowed the standard deviation of an interval";
+    }
+    let product = pqm.interval([1, -1], [2, 1], "m").dot(pqm.quantity([3, 4], "m"));
+    if (bounds(product, "m^2").join() != "-1,10") {
+      return "Interval dot product is wrong";
+    }
+    if (bounds(pqm.parse("10 [m]m ± 0.1 [m]m"), "[m]m").join() != "9.9,10.1") {
+      return "Tolerance not parsed";
+    }
+    if (bounds(pqm.parse("10 [m]m +/- 0.01 [c]m"), "[m]m").join() != "9.9,10.1" ||
+        bounds(pqm.parse("10 [m]m ± 0.1"), "[m]m").join() != "9.9,10.1") {
+      return "Tolerance in another unit or without a unit not parsed";
+    }
+    if (!(caught(() => pqm.parse("10 [m]m ± 0.1 s")) instanceof pqm.DimensionMismatchError)) {
+      return "Allowed a tolerance with different dimensions";
+    }
+    if (!(caught(() => pqm.parse("10 [m]m ± -0.1 [m]m")) instanceof pqm.UnitParseError)) {
+      return "Allowed a negative tolerance";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Automatic prefixes", div, function() {
+    let capacitance = pqm.quantity(0.000047, "F");
+    let [value, unit] = capacitance.inBestPrefix("F");
+    if (unit != "[u]F" || Math.abs(value - 47) > 1e-9) {
+      return "Wrong prefix for a small value";
+    }
+    if (pqm.quantity(12000000, "W").toString({autoPrefix: true}) != "12 [M]W") {
+      return "Wrong prefix in toString";
+    }
+    if (pqm.quantity(5000, "Hz").toString({unit: "Hz", autoPrefix: true}) != "5 [k]Hz") {
+      return "Wrong prefix with a unit in toString";
+    }
+    let boundary = pqm.quantity(999.9999, "W");
+    if (boundary.toString({autoPrefix: true, digits: 3}) != "1.000 [k]W" || 
+        boundary.toString({autoPrefix: true, significant: 3}) != "1.00 [k]W" ||
+        boundary.toString({autoPrefix: true, digits: 5}) != "999.99990 W") {
+      return "Prefix not chosen for the rounded magnitude";
+    }
+    if (pqm.quantity(0.9999996, "W").toString({autoPrefix: true, digits: 3}) != "1.000 W") {
+      return "Prefix not chosen for a magnitude rounded up to one";
+    }
+    if (pqm.quantity(Float64Array.of(1000, 2000), "m").inBestPrefix("m")[1] != "[k]m") {
+      return "Wrong prefix for a typed array";
+    }
+    if (pqm.quantity(1500, "[k]g").inBestPrefix("[k]g")[1] != "[M]g" || pqm.quantity(999, "m").inBestPrefix("m")[1] != "m") {
+      return "Wrong prefix for a prefixed unit";
+    }
+    if (pqm.quantity(5000, "1/s").inBestPrefix("1 / s")[1] != "1 / [m]s" || pqm.quantity(2e6, "m^2").inBestPrefix("m^2")[1] != "[k]m^2") {
+      return "Wrong prefix for a compound unit";
+    }
+    if (pqm.quantity([1, 2000], "N").inBestPrefix("N")[1] != "[k]N" || pqm.quantity(0, "m").inBestPrefix("m")[1] != "m") {
+      return "Wrong prefix for an array or zero";
+    }
+    if (pqm.quantity(1e-30, "m").inBestPrefix("m")[1] != "[y]m" || pqm.quantity(20, "degC").inBestPrefix("degC")[1] != "degC") {
+      return "Wrong prefix for a very small value or an offset unit";
+    }
+    if (pqm.quantity(0.5, "m").inBestPrefix("m", {prefixes: "all"})[1] != "[d]m") {
+      return "Wrong prefix from all prefixes";
+    }
+    if (pqm.quantity(0.5, "m").inBestPrefix("m", {prefixes: ["m", "c", ""]})[1] != "[c]m") {
+      return "Wrong prefix from a list of prefixes";
+    }
+    if (pqm.quantity(3 * 1024 * 1024, "byte").inBestPrefix("byte", {prefixes: "binary"}).join() != "3,[Mi]byte") {
+      return "Wrong binary prefix";
+    }
+    pqm.configure({prefixes: "binary"});
+    let binary = pqm.quantity(2048, "bit").toString({autoPrefix: true});
+    pqm.configure({prefixes: "engineering"});
+    if (binary != "2 [Ki]bit") {
+      return "Default prefixes not configured";
+    }
+    if (!fails(() => {pqm.configure({prefixes: "none"})}) || !fails(() => {capacitance.inBestPrefix("F", {prefixes: ["x"]})})) {
+      return "Allowed invalid prefixes";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Formatting", div, function() {
+    let q = pqm.quantity(0.1, "m").add(pqm.quantity(0.2, "m"));
+    if (q.toString({significant: 3}) != "0.300 m" || q.toString({unit: "[m]m", digits: 0, space: false}) != "300[m]m") {
+      return "Digits not formatted";
+    }
+    let e = pqm.quantity(12345.678, "J");
+    if (e.toString({unit: "[k]g m^2 / s^2", unicode: true}) != "12345.678 kg·m²/s²") {
+      return "Unicode unit not formatted";
+    }
+    if (e.toString({unit: "[k]g m^2 / s^2", negativeExponents: true}) != "12345.678 [k]g m^2 s^-2") {
+      return "Negative exponents not formatted";
+    }
+    if (pqm.quantity(2, "J / mol K").toString({unit: "J / mol K", unicode: true, negativeExponents: true}) != "2 J·mol⁻¹·K⁻¹") {
+      return "Unicode negative exponents not formatted";
+    }
+    if (pqm.quantity(1, "W / m^2 K").toString({unit: "W / m^2 K", unicode: true}) != "1 W/(m²·K)") {
+      return "Unicode denominator not formatted";
+    }
+    if (pqm.quantity(1, "m^(1/2) / s").toString({unit: "m^(1/2) / s", negativeExponents: true}) != "1 m^(1/2) s^-1") {
+      return "Rational power not formatted";
+    }
+    if (pqm.quantity(123.456, "m").toString({significant: 2}) != "120 m" || 
+        pqm.quantity(1.5e-9, "m").toString({significant: 2}) != "1.5e-9 m") {
+      return "Significant digits did not use the notation of Number.toString";
+    }
+    if (e.toString({notation: "scientific", significant: 3}) != "1.23e4 J" || e.toString({notation: "engineering", significant: 4, unicode: true}) != "12.35×10³ J") {
+      return "Exponent not formatted";
+    }
+    if (pqm.quantity(0.5, "m").toString({notation: "engineering"}) != "500e-3 m" || pqm.quantity(1.5e-7, "m").toString({notation: "fixed"}) != "0.00000015 m") {
+      return "Notation not formatted";
+    }
+    if (e.toString({thousands: ",", digits: 1}) != "12,345.7 J" || e.toString({thousands: ".", decimal: ",", digits: 2}) != "12.345,68 J") {
+      return "Thousands not grouped";
+    }
+    let a = pqm.quantity([[1234.5, 2], [3, 4]], "m");
+    if (a.toString({digits: 1}) != "[[1234.5,2.0],[3.0,4.0]] m" || a.toString({thousands: ",", digits: 0}) != "[[1,235, 2], [3, 4]] m") {
+      return "Array elements not formatted";
+    }
+    if (a.toString({format: (x) => "<" + x + ">"}) != "[[<1234.5>,<2>],[<3>,<4>]] m") {
+      return "Array elements not formatted with a function";
+    }
+    let g = pqm.quantity(9.81, "m/s^2", {uncertainty: 0.0213});
+    if (g.toString({unit: "m/s^2", significant: 2}) != "9.8 ± 0.021 m/s^2") {
+      return "Uncertainty not formatted";
+    }
+    if (!fails(() => {q.toString({digits: -1})}) || !fails(() => {q.toString({notation: "long"})})) {
+      return "Allowed invalid formatting options";
+    }
+    return "Pass";
+  });
+
+  failures += runner("LaTeX, MathML and HTML", div, function() {
+    let g = pqm.quantity(9.81, "m/s^2");
+    if (g.toLatex({unit: "m/s^2"}) != "9.81\\,\\mathrm{m}/\\mathrm{s}^{2}") {
+      return "LaTeX not formatted";
+    }
+    if (g.toLatex({unit: "m/s^2", flavor: "qty"}) != "\\qty{9.81}{\\metre\\per\\second\\squared}" || g.toLatex({unit: "m/s^2", flavor: "SI"}) != "\\SI{9.81}{\\metre\\per\\second\\squared}") {
+      return "siunitx not formatted";
+    }
+    if (pqm.quantity(1.5e-7, "J / mol K").toLatex({unit: "J / mol K", notation: "scientific"}) != "1.5 \\times 10^{-7}\\,\\mathrm{J}/\\left(\\mathrm{mol}\\,\\mathrm{K}\\right)") {
+      return "LaTeX exponent not formatted";
+    }
+    if (pqm.quantity(10000, "ohm").toLatex({unit: "ohm", autoPrefix: true}) != "10\\,\\mathrm{k\\Omega}" || pqm.quantity(4.7e-6, "F").toLatex({unit: "[u]F", flavor: "SI"}) != "\\SI{4.7}{\\micro\\farad}") {
+      return "LaTeX symbols not mapped";
+    }
+    let u = pqm.quantity(9.81, "m/s^2", {uncertainty: 0.02});
+    if (u.toLatex({unit: "m/s^2"}) != "9.81 \\pm 0.02\\,\\mathrm{m}/\\mathrm{s}^{2}" || u.toLatex({unit: "m/s^2", flavor: "qty"}) != "\\qty{9.81 +- 0.02}{\\metre\\per\\second\\squared}") {
+      return "LaTeX uncertainty not formatted";
+    }
+    if (pqm.quantity([1, 2], "[k]m").toLatex({unit: "[k]m", flavor: "SI"}) != "\\SIlist{1;2}{\\kilo\\metre}" || pqm.interval(9.9, 10.1, "[m]m").toLatex({unit: "[m]m", flavor: "qty"}) != "\\qtyrange{9.9}{10.1}{\\milli\\metre}") {
+      return "siunitx lists and ranges not formatted";
+    }
+    if (pqm.quantity(1, "ft lbf").toLatex({unit: "ft lbf", flavor: "qty"}) != "\\qty{1}{ft.lbf}") {
+      return "siunitx literal unit not formatted";
+    }
+    if (g.toMathML({unit: "m/s^2"}) != "<math><mrow><mn>9.81</mn><mspace width=\"0.167em\"/><mi mathvariant=\"normal\">m</mi><mo>/</mo><msup><mi mathvariant=\"normal\">s</mi><mn>2</mn></msup></mrow></math>") {
+      return "MathML not formatted";
+    }
+    if (pqm.quantity(-1, "m").toMathML({unit: "m"}) != "<math><mrow><mrow><mo>&#x2212;</mo><mn>1</mn></mrow><mspace width=\"0.167em\"/><mi mathvariant=\"normal\">m</mi></mrow></math>" || !pqm.quantity(2, "1/s").toMathML({unit: "1/s", negativeExponents: true}).includes("<msup><mi mathvariant=\"normal\">s</mi><mrow><mo>&#x2212;</mo><mn>1</mn></mrow></msup>")) {
+      return "MathML negative number not written with a minus sign operator";
+    }
+    if (g.toHTML({unit: "m/s^2"}) != "9.81&nbsp;m/s<sup>2</sup>" || pqm.quantity(4.7e-6, "F").toHTML({unit: "[u]F"}) != "4.7&nbsp;μF" || pqm.quantity(20, "degC").toHTML({unit: "degC"}) != "20&nbsp;°C") {
+      return "HTML not formatted";
+    }
+    if (!(caught(() => {g.toLatex({flavor: "siunitx"})}) instanceof pqm.InvalidArgumentError) || !fails(() => {pqm.quantity([[1, 2], [3, 4]], "m").toLatex({flavor: "qty"})})) {
+      return "Allowed invalid LaTeX options";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Locales", div, function() {
+    let d = pqm.quantity(1234.5, "[k]m");
+    if (d.toString({unit: "[k]m", locale: "de-DE"}) != "1.234,5 [k]m" || d.toString({unit: "[k]m", locale: "en-US", digits: 2}) != "1,234.50 [k]m") {
+      return "Locale not formatted";
+    }
+    if (d.toString({unit: "[k]m", locale: "de-DE", thousands: ""}) != "1234,5 [k]m" || pqm.quantity(1.5, "m").toLatex({unit: "m", locale: "de"}) != "1{,}5\\,\\mathrm{m}") {
+      return "Locale separators not overridden";
+    }
+    if (d.toString({unit: "[k]m", locale: "es-ES"}) != "1234,5 [k]m" || d.toString({unit: "[k]m", locale: "pl-PL"}) != "1234,5 [k]m" || pqm.quantity(12345.5, "m").toString({unit: "m", locale: "es-ES"}) != "12.345,5 m") {
+      return "Locale minimum grouping not followed";
+    }
+    if (d.toString({unit: "[k]m", locale: "ar-EG"}) != "١٬٢٣٤٫٥ [k]m") {
+      return "Locale digits not formatted";
+    }
+    if (pqm.parse("1.234,5 km", {locale: "de-DE"}).in("[k]m") != 1234.5 || pqm.parse("1 234,5 km", {locale: "fr-FR"}).in("[k]m") != 1234.5) {
+      return "Locale not parsed";
+    }
+    if (pqm.parse("٣٫٥ m", {locale: "ar-EG"}).in("m") != 3.5) {
+      return "Locale digits not parsed";
+    }
+    let lakh = pqm.quantity(1234567.5, "m");
+    if (lakh.toString({unit: "m", locale: "hi-IN"}) != "12,34,567.5 m" || lakh.toString({unit: "m", locale: "hi-IN", thousands: " "}) != "12 34 567.5 m") {
+      return "Locale groups not formatted";
+    }
+    if (pqm.parse("12,34,567.5 m", {locale: "hi-IN"}).in("m") != 1234567.5 || pqm.parse("-1,234,567 m", {locale: "en-US"}).in("m") != -1234567) {
+      return "Locale groups not parsed";
+    }
+    pqm.defineTranslation("fr", {
+      units: {m: {one: "mètre", other: "mètres"}, hr: {one: "heure", other: "heures"}},
+      prefixes: {k: "kilo"},
+      per: "par",
+    });
+    let plural = d.toString({unit: "[k]m", locale: "fr-FR", style: "long"});
+    let singular = pqm.quantity(1, "[k]m").toString({unit: "[k]m", locale: "fr", style: "long"});
+    let divided = pqm.quantity(100, "[k]m/hr").toString({unit: "[k]m / hr", locale: "fr", style: "long"});
+    let symbol = pqm.quantity(3, "N").toString({locale: "fr", style: "long"});
+    let speed = pqm.parse("100 kilomètres par heure", {locale: "fr-CA"});
+    pqm.defineTranslation("fr", null);
+    if (plural != "1\u202f234,5 kilomètres" || singular != "1 kilomètre") {
+      return "Long names not pluralized";
+    }
+    if (divided != "100 kilomètres par heure") {
+      return "Long names not divided";
+    }
+    if (symbol != "3 N") {
+      return "Units without a long name not written as symbols";
+    }
+    if (!speed.eq(pqm.quantity(100, "[k]m/hr"), 1e-12)) {
+      return "Long names not parsed";
+    }
+    if (pqm.quantity(2, "m").toString({unit: "m", locale: "fr", style: "long"}) != "2 meters") {
+      return "Translation not removed";
+    }
+    pqm.configure({locale: "de-DE"});
+    let configured = d.toString("[k]m");
+    let parsed = pqm.parse("2,5 m").in("m");
+    pqm.configure({locale: undefined});
+    if (configured != "1.234,5 [k]m" || parsed != 2.5 || d.toString("[k]m") != "1234.5 [k]m") {
+      return "Locale setting not used";
+    }
+    if (!(caught(() => {d.toString({locale: "not a locale"})}) instanceof pqm.InvalidArgumentError) || !fails(() => {pqm.configure({locale: 5})}) || !fails(() => {d.toString({style: "full"})}) || !fails(() => {pqm.defineTranslation("de", {units: {m: 5}})})) {
+      return "Allowed invalid locale options";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Long unit names", div, function() {
+    let names = {
+      "meters": "m",
+      "feet": "ft",
+      "pounds-force": "lbf",
+      "pound force": "lbf",
+      "kilometers per hour": "[k]m / hr",
+      "Kilowatt Hours": "[k]W hr",
+      "square feet": "ft^2",
+      "meters per second squared": "m / s^2",
+      "nautical miles": "nmi",
+      "inches of mercury": "inHg",
+      "pica points": "picapt",
+      "degrees Celsius": "degC",
+      "micrometers": "[u]m",
+    };
+    for (const name in names) {
+      if (Math.abs(pqm.quantity(1, name).in(names[name]) - 1) > 1e-12) {
+        return "Long name " + name + " not parsed";
+      }
+    }
+    if (!pqm.quantity(1, "bar").eq(pqm.quantity(1, "[k]Pa").mul(100))) {
+      return "Symbol did not take precedence over a name";
+    }
+    if (!(caught(() => {pqm.quantity(1, "meterz")}) instanceof pqm.UnknownUnitError)) {
+      return "Allowed unknown long name";
+    }
+    let long = (magnitude, unit) => pqm.quantity(magnitude, unit).toString({unit: unit, style: "long"});
+    if (long(3, "[k]g") != "3 kilograms" || long(1, "[k]g") != "1 kilogram" || long(1.5, "ft") != "1.5 feet" || long(1, "ft") != "1 foot") {
+      return "Long names not pluralized";
+    }
+    if (long(100, "[k]m / hr") != "100 kilometers per hour" || long(2, "1/s") != "2 per second" || long(0, "lbf") != "0 pounds-force") {
+      return "Compound long names not formatted";
+    }
+    if (long(2, "m^2") != "2 square meters" || long(2, "ft^3") != "2 cubic feet" || long(2, "m^4") != "2 meters^4") {
+      return "Powers of long names not formatted";
+    }
+    if (long(20, "degC") != "20 degrees Celsius" || long(3, "Hz") != "3 hertz" || pqm.quantity([1, 2], "m").toString({unit: "m", style: "long"}) != "[1,2] meters") {
+      return "Long names not formatted";
+    }
+    if (pqm.quantity(10, "dB").toString({style: "long"}) != "10 dB") {
+      return "Logarithmic unit without a long name not formatted";
+    }
+    return "Pass";
+  });
+
+  failures += runner("Mixed units", div, function() {
+    let height = pqm.quantity(1.6002, "m");
+    let [feet, inches] = height.split(["ft", "in"]);
+    if (feet !== 5 || Math.abs(inches - 3) > 1e-9) {
+      return "Quantity not split into mixed units";
+    }
+    if (height.toString({unit: ["ft", "in"], digits: 1}) != "5 ft 3.0 in") {
+      return "Mixed units not displayed";
+    }
+    let negative = pqm.quantity(-1.6002, "m").split(["ft", "in"], {digits: 2});
+    if (negative[0] !== -5 || negative[1] !== -3) {
+      return "Negative quantity not split into mixed units";
+    }
+    // Rounding the last unit carries into the larger units
+    let time = pqm.quantity(1, "hr").sub(pqm.quantity(0.2, "s"));
+    let parts = time.split(["hr", "min", "s"], {digits: 0});
+    if (parts[0] !== 1 || parts[1] !== 0 || parts[2] !== 0) {
+      return "Rounding the last unit did not carry into the larger units";
+    }
+    parts = pqm.quantity(12, "in").split(["ft", "in"]);
+    if (parts[0] !== 1 || Math.abs(parts[1]) > 1e-9) {
+      return "Whole number of a larger unit not carried";
+    }
+    let long = pqm.quantity(8043, "s").toString({
+      unit: ["hr", "min", "s"], style: "long"
+    });
+    if (long != "2 hours 14 minutes 3 seconds") {
+      return "Mixed units not displayed with long names";
+    }
+    let lengths = pqm.quantity([1.25, 2], "ft").split(["ft", "in"]);
+    if (lengths[0][1] !== 2 || Math.abs(lengths[1][0] - 3) > 1e-9) {
+      return "Array quantity not split into mixed units";
+    }
+    if (!(caught(() => height.split(["in", "ft"])) 
+          instanceof pqm.InvalidArgumentError)) {
+      return "Allowed mixed units that are not from largest to smallest";
+    }
+    if (!(caught(() => height.split(["ft", "s"])) 
+          instanceof pqm.DimensionMismatchError)) {
+      return "Allowed mixed units that are not alike";
+    }
+    if (!(caught(() => pqm.quantity(20, "degC").split(["degC"])) 
+          instanceof pqm.InvalidArgumentError)) {
+      return "Allowed mixed units with an offset";
+    }
+    let array = pqm.quantity([1, 2], "m");
+    if (!fails(() => array.toString({unit: ["ft", "in"]}))) {
+      return "Allowed an array quantity to be displayed in mixed units";
+    }
+    // Parse mixed units
+    let checks = [
+      ["5 ft 3 in", 1.6002, "m"],
+      ["-5 ft 3 in", -1.6002, "m"],
+      ["5 feet 3 inches", 1.6002, "m"],
+      ["3 [k]m 200 m", 3200, "m"],
+      ["1h30m", 5400, "s"],
+      ["2d 4h", 187200, "s"],
+      ["1 hr 30 min 15 s", 5415, "s"],
+      ["1e3 m 200 [m]m", 1000.2, "m"],
+      ["5 ft 3e0 in", 1.6002, "m"],
+    ];
+    for (const [str, value, unit] of checks) {
+      if (Math.abs(pqm.parse(str).in(unit) - value) > 1e-9) {
+        return "Mixed units " + str + " not parsed";
+      }
+    }
+    if (!fails(() => pqm.parse("5 ft 3 s"))) {
+      return "Allowed parsing mixed units that are not alike";
+    }
+    if (!fails(() => pqm.parse("5 ft 3 in tall", {strict: true}))) {
+      return "Allowed words after mixed units in strict mode";
+    }
+    if (Math.abs(pqm.parse("5 ft 3 in tall").in("m") - 1.6002) > 1e-9) {
+      return "Words after mixed units not ignored";
+    }
+    let mismatch = caught(() => pqm.parse("1 N 2 m"));
+    if (!(mismatch instanceof pqm.DimensionMismatchError) || !mismatch.message.includes("length")) {
+      return "Used the short symbols of times for units that are not all times";
+    }
+    for (const strict of [false, true]) {
+      if (!(caught(() => pqm.parse("5 ft -3 in", {strict: strict})) instanceof pqm.UnitParseError)) {
+        return "Allowed a sign on a number after the first with strict " + strict;
+      }
+    }
+    return "Pass";
+  });
+
+  failures += runner("Search for the simplest units", div, function() {
+    let [value, units] = pqm.quantity(2, "J / m").with(["J", "m", "N"]);
+    if (units != "N" || value != 2) {
+      return "Named derived unit not preferred";
+    }
+    // Combinations that need units in the denominator to cancel out
+    [value, units] = pqm.quantity(1, "kg").with(["N", "s", "m"]);
+    if (units != "N s^2 / m" || Math.abs(value - 1) > 1e-12) {
+      return "Did not find units that cancel out";
+    }
+    if (pqm.quantity(1, "m").with(["J", "N"])[1] != "J / N") {
+      return "Did not find units of only derived units";
+    }
+    if (pqm.quantity(1, "lbm").inUS()[1] != "lbm") {
+      return "US Customary units not found";
+    }
+    let checks = [
+      ["m / s", "m / s"],
+      ["W / N", "m / s"],
+      ["Pa s", "Pa s"],
+      ["kg / m^3", "[k]g / m^3"],
+      ["A s / kg", "C / [k]g"],
+      ["S / m", "S / m"],
+      ["1 / N", "1 / N"],
+      ["1 / s", "1 / s"],
+      ["1 / s^2", "1 / s^2"],
+      ["rad / s", "1 / s"],
+      ["V / m", "V / m"],
+      ["W / m K", "W / m K"],
+      ["W / m^2", "W / m^2"],
+      ["kg m s K A mol cd bit", "[k]g m s K A mol cd bit"],
+    ];
+    for (const [unitString, expected] of checks) {
+      if (pqm.quantity(1, unitString).inSI()[1] != expected) {
+        return "Did not find " + expected + " for " + unitString;
+      }
+    }
+    if (pqm.quantity(1, "1 / s").inSI()[0] != 1) {
+      return "Did not keep the magnitude of 1 / s";
+    }
+    // The weights of the score can be changed
+    let rate = pqm.quantity(50, "Hz");
+    if (rate.with(["s", "Hz"])[1] != "1 / s") {
+      return "Unit with a scale preferred";
+    }
+    if (rate.with(["s", "Hz"], {scaled: 0})[1] != "Hz") {
+      return "Units in the numerator not preferred";
+    }
+    if (rate.with(["s", "Hz"], {scaled: 0, numerator: 0})[1] != "1 / s") {
+      return "Weights of the score not used";
+    }
+    // Results are the same every time
+    let first = pqm.quantity(3, "W / m K").inSI();
+    let second = pqm.quantity(3, "W / m K").inSI();
+    if (first[0] != second[0] || first[1] != second[1]) {
+      return "Results of the search changed";
+    }
+    if (!(caught(() => rate.with(["s"], {symbols: -1})) 
+          instanceof pqm.InvalidArgumentError)) {
+      return "Allowed a negative weight";
+    }
+    if (!(caught(() => rate.with(["m", "[k]g"])) 
+          instanceof pqm.InvalidArgumentError)) {
+      return "Allowed units that cannot represent the quantity";
+    }
+    return "Pass";
+  });
+
   failures += runner("Check user input for math", div, function() {
     let Ra = pqm.quantity(1, "Ra");
     let degF = pqm.quantity(1, "degF");
@@ -504,7 +1875,7 @@ function testBasics(div) {
     if (!fails(() => {ft.pow([2, 3])})) {
       return "Bad power allowed (variant 1)";
     }
-    if (!fails(() => {ft.pow(1.2)})) {
+    if (!fails(() => {ft.pow(Math.PI)})) {
       return "Bad power allowed (variant 2)";
     }
     if (!fails(() => {degF.pow(2)})) {
@@ -522,7 +1893,7 @@ function testBasics(div) {
     if (!fails(() => {negative_ft2.root(2)})) {
       return "Bad root allowed (variant 4)";
     }
-    if (!fails(() => {ft.root(2)})) {
+    if (!fails(() => {degF.root(2)})) {
       return "Bad root allowed (variant 5)";
     }
     if (!fails(() => {ft.in("kg")})) {
@@ -660,4 +2031,21 @@ function fails(func) {
   }
 }
 
+/**
+ * Simple utility function that returns the error thrown by the provided
+ * operation, or undefined if no error is thrown
+ * 
+ * @param {function} func Operation to perform as a closure
+ * 
+ * @returns {*} Error thrown by the operation
+ */
+function caught(func) {
+  try {
+    func();
+  } catch (err) {
+    return err;
+  }
+  return undefined;
+}
+
 export default testBasics;